@@ -0,0 +1,153 @@
+/* browser-pool.js */
+// Verwaltete Playwright-Instanz für den Browser-Fallback: höchstens maxPages Seiten gleichzeitig,
+// Schließen nach Leerlauf, Neustart nach Absturz und sauberes Beenden (SIGTERM).
+
+const PW_MAX_PAGES = Number(process.env.PW_MAX_PAGES || 2);
+const PW_IDLE_MS = Number(process.env.PW_IDLE_MS ?? 5 * 60 * 1000);   // 0 = nie schließen
+
+class BrowserPool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.launch - async () => Browser, oder null wenn Playwright nicht verfügbar ist
+   * @param {Function} [options.newContext] - async (browser) => BrowserContext, Standard: browser.newContext()
+   * @param {number} [options.maxPages] - gleichzeitig offene Seiten, weitere Aufrufe warten
+   * @param {number} [options.idleMs] - Browser nach so langer Zeit ohne Seite schließen
+   * @param {Object} [options.logger] - Ausgabe für Meldungen (log, warn), Standard: console
+   */
+  constructor({ launch, newContext = (browser) => browser.newContext(), maxPages = PW_MAX_PAGES, idleMs = PW_IDLE_MS, logger = console } = {}) {
+    this.launch = launch;
+    this.logger = logger;
+    this.newContext = newContext;
+    this.maxPages = Math.max(1, maxPages);
+    this.idleMs = idleMs;
+    this.browser = null;
+    this.context = null;
+    this._starting = null;
+    this._idleTimer = null;
+    this._waiting = [];
+    this.active = 0;
+    this.closed = false;
+    this.stats = { launches: 0, crashes: 0, pages: 0, lastCrashAt: null, lastUsedAt: null };
+  }
+
+  // Seitenplatz belegen; wartet, solange maxPages Seiten offen sind
+  async _acquire() {
+    if (this.active < this.maxPages) {
+      this.active++;
+      return;
+    }
+    await new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+  }
+
+  _release() {
+    const next = this._waiting.shift();
+    if (next) return next.resolve();   // Platz direkt weitergeben
+    this.active--;
+    if (this.active === 0) this._scheduleIdle();
+  }
+
+  _scheduleIdle() {
+    clearTimeout(this._idleTimer);
+    if (!this.idleMs || !this.browser) return;
+    this._idleTimer = setTimeout(() => {
+      if (this.active === 0) this._shutdown('Leerlauf').catch(() => {});
+    }, this.idleMs);
+    this._idleTimer.unref();
+  }
+
+  // Browser und Kontext starten (einmalig, auch bei parallelen Aufrufen); null = Playwright nicht verfügbar
+  async _ensureContext() {
+    if (this.context && this.browser?.isConnected()) return this.context;
+    if (!this._starting) {
+      this._starting = (async () => {
+        const browser = await this.launch();
+        if (!browser) return null;
+        browser.on('disconnected', () => this._onDisconnected(browser));
+        this.browser = browser;
+        this.stats.launches++;
+        try {
+          this.context = await this.newContext(browser);
+        } catch (err) {
+          await this._shutdown('Kontext fehlgeschlagen');
+          throw err;
+        }
+        return this.context;
+      })().finally(() => { this._starting = null; });
+    }
+    return this._starting;
+  }
+
+  // Unerwartetes Ende (Absturz, Kill): Zustand verwerfen, der nächste Aufruf startet neu.
+  // Beim eigenen Schließen ist this.browser bereits zurückgesetzt.
+  _onDisconnected(browser) {
+    if (this.browser !== browser) return;
+    this.browser = null;
+    this.context = null;
+    this.stats.crashes++;
+    this.stats.lastCrashAt = new Date().toISOString();
+    this.logger.warn('Browser unerwartet beendet – wird beim nächsten Abruf neu gestartet');
+  }
+
+  async _shutdown(reason) {
+    clearTimeout(this._idleTimer);
+    const { browser, context } = this;
+    if (!browser) return;
+    this.browser = null;
+    this.context = null;
+    this.logger.log(`Browser wird geschlossen (${reason})`);
+    try { await context?.close(); } catch {}
+    try { await browser.close(); } catch {}
+  }
+
+  /**
+   * Neue Seite öffnen, fn(page) ausführen und die Seite in jedem Fall wieder schließen
+   * Stürzt der Browser währenddessen ab, wird einmal mit neu gestartetem Browser wiederholt.
+   * @param {Function} fn - async (page) => Ergebnis
+   */
+  async withPage(fn) {
+    if (this.closed) throw new Error('Browser-Pool ist geschlossen');
+    await this._acquire();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const context = await this._ensureContext();
+        if (!context) throw new Error('Playwright nicht verfügbar');
+        const browser = this.browser;
+        const page = await context.newPage();
+        this.stats.pages++;
+        this.stats.lastUsedAt = new Date().toISOString();
+        try {
+          return await fn(page);
+        } catch (err) {
+          if (attempt === 0 && browser && !browser.isConnected() && !this.closed) continue;
+          throw err;
+        } finally {
+          await page.close().catch(() => {});
+        }
+      }
+    } finally {
+      this._release();
+    }
+  }
+
+  // Für SIGTERM/Tests: wartende Aufrufe abbrechen, Browser schließen
+  async close() {
+    this.closed = true;
+    for (const w of this._waiting.splice(0)) w.reject(new Error('Browser-Pool ist geschlossen'));
+    await this._starting?.catch(() => {});
+    await this._shutdown('Beenden');
+  }
+
+  describe() {
+    return {
+      running: !!this.browser,
+      activePages: this.active,
+      queued: this._waiting.length,
+      maxPages: this.maxPages,
+      idleShutdownMs: this.idleMs,
+      closed: this.closed,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { BrowserPool, PW_MAX_PAGES, PW_IDLE_MS };
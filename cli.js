@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+// cli.js - Batch-Modus ohne Server (z.B. für nächtliche Datenqualitäts-Jobs).
+//   qmp compare in.xlsx -o out.xlsx   Web-Vergleich wie POST /api/process-excel
+//   qmp check in.xlsx -o bericht.xlsx Vollständigkeits- & Plausibilitätsprüfung wie POST /api/check-completeness
+//   qmp corrections in.xlsx           Korrekturvorschläge wie POST /api/corrections
+//   qmp apply geprueft.xlsx           Änderungsliste aus geprüfter Korrekturliste wie POST /api/corrections/apply
+// Ein- und Ausgabe auch als CSV oder JSON (Format aus der Dateiendung oder --input-format/--format)
+// Exit-Codes: 0 = keine Befunde, 1 = Abweichungen bzw. Regelverstöße gefunden, 2 = Fehler (Aufruf, Datei, Verarbeitung)
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const EXIT_OK = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Verwendung:
+  qmp compare <eingabe.xlsx|csv|json> [-o ausgabe.xlsx] [Optionen]
+  qmp check   <eingabe.xlsx|csv|json> [-o bericht.xlsx] [Optionen]
+  qmp corrections <eingabe.xlsx|csv|json> [-o korrekturen.xlsx] [Optionen]
+  qmp apply   <korrekturen.xlsx|csv|json> [-o aenderungen.xlsx] [Optionen]
+
+Gemeinsame Optionen:
+  -o, --output <datei>     Ergebnisdatei (Standard: <eingabe>_Web_Vergleich, _Qualitätsbericht, _Korrekturen bzw. _Änderungen.<format>)
+  --format <xlsx|csv|json> Ausgabeformat (Standard: Endung von --output, sonst xlsx)
+  --input-format <format>  Eingabeformat (Standard: Dateiendung)
+  --delimiter <zeichen>    CSV-Trennzeichen, auch "semicolon", "comma", "tab" (Standard: ;)
+  --encoding <name>        CSV-Zeichensatz, z.B. windows-1252 (Standard: utf-8)
+  --decimal <, oder .>     Dezimaltrennzeichen in CSV (Standard: ,)
+  --json <datei|->         Statistik als JSON schreiben ("-" = stdout)
+  --strict                 compare: auch fehlende Web-Werte, check: auch Warnungen gelten als Befund
+  -q, --quiet              keine Fortschrittsausgabe
+  --verbose                Meldungen von Cache, Scheduler und Browser auf stderr
+  -h, --help               diese Hilfe
+
+compare, corrections:
+  -c, --concurrency <n>    parallele Scrapes (Standard: SCRAPE_CONCURRENCY oder 4)
+  --tolerances <json|datei> Toleranzen, z.B. '{"weight":{"pct":2}}'
+  --cache-file <datei>     Scrape-Cache (Standard: CACHE_FILE bzw. data/scrape-cache.json)
+  --no-cache               Cache weder lesen noch schreiben
+  --refresh                alle Cache-Einträge vor dem Lauf als abgelaufen markieren
+
+check:
+  --rules <datei>          eigenes Regelwerk (JSON), Standard: completeness-rules.json
+
+Exit-Codes: 0 = keine Befunde, 1 = Abweichungen/Regelverstöße/Korrekturvorschläge, 2 = Fehler`;
+
+const OPTIONS = {
+  output:        { type: 'string', short: 'o' },
+  json:          { type: 'string' },
+  strict:        { type: 'boolean', default: false },
+  quiet:         { type: 'boolean', short: 'q', default: false },
+  verbose:       { type: 'boolean', default: false },
+  help:          { type: 'boolean', short: 'h', default: false },
+  format:        { type: 'string' },
+  'input-format': { type: 'string' },
+  delimiter:     { type: 'string' },
+  encoding:      { type: 'string' },
+  decimal:       { type: 'string' },
+  concurrency:   { type: 'string', short: 'c' },
+  tolerances:    { type: 'string' },
+  'cache-file':  { type: 'string' },
+  'no-cache':    { type: 'boolean', default: false },
+  refresh:       { type: 'boolean', default: false },
+  rules:         { type: 'string' }
+};
+
+const print = (msg) => process.stdout.write(`${msg}\n`);
+const printErr = (msg) => process.stderr.write(`${msg}\n`);
+
+// Logger für Cache, Scheduler und Browser-Pool: stdout bleibt dem Ergebnis vorbehalten, Meldungen nur mit --verbose;
+// Fehler (z.B. Cache nicht speicherbar) immer auf stderr
+function createLogger(verbose) {
+  const silent = () => {};
+  return { log: verbose ? printErr : silent, warn: verbose ? printErr : silent, error: printErr };
+}
+
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+function readInput(file) {
+  if (!file) throw usageError('Eingabedatei fehlt.');
+  if (!fs.existsSync(file)) throw usageError(`Datei nicht gefunden: ${file}`);
+  return fs.readFileSync(file);
+}
+
+function defaultOutput(input, suffix, format) {
+  const { FORMATS } = require('./formats');
+  const { dir, name } = path.parse(input);
+  return path.join(dir, `${name}_${suffix}.${FORMATS[format].ext}`);
+}
+
+// Ein-/Ausgabeformat und CSV-Optionen; Fehler aus formats.js (status 400) gelten als Aufruffehler
+function formatOptions(file, opts) {
+  const { detectFormat, resolveCsvOptions } = require('./formats');
+  try {
+    return {
+      inputFormat: detectFormat(opts['input-format'], file),
+      outputFormat: detectFormat(opts.format || (opts.output ? null : 'xlsx'), opts.output),
+      csv: resolveCsvOptions(opts)
+    };
+  } catch (err) {
+    throw usageError(err.message);
+  }
+}
+
+// Toleranzen als JSON-Text oder Pfad zu einer JSON-Datei
+function readTolerances(value) {
+  if (!value) return undefined;
+  return fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value;
+}
+
+function writeJson(target, data) {
+  const text = JSON.stringify(data, null, 2);
+  if (target === '-') print(text);
+  else fs.writeFileSync(target, text + '\n');
+}
+
+// Zählende Phasen: Bezeichnung, Einheit, Bezeichnung der Fehlschläge
+const COUNTED_PHASES = {
+  searching: ['Produktsuche', 'Herstellartikelnummern', 'nicht eindeutig'],
+  scraping: ['Scraping', 'A2V', 'Fehler']
+};
+
+function createProgress(quiet) {
+  if (quiet) return () => {};
+  let lastPhase = null;
+  return (p) => {
+    const counted = COUNTED_PHASES[p.phase];
+    if (counted && p.total) {
+      const [label, unit, failedLabel] = counted;
+      const failed = p.failed ? `, ${p.failed} ${failedLabel}` : '';
+      process.stderr.write(`\r${label}: ${p.done}/${p.total} ${unit}${failed}   `);
+      if (p.done === p.total) process.stderr.write('\n');
+    } else if (p.phase && p.phase !== lastPhase && !counted) {
+      process.stderr.write(p.phase === 'building' ? 'Ergebnis wird aufgebaut...\n' : 'Ergebnisdatei wird geschrieben...\n');
+    }
+    lastPhase = p.phase;
+  };
+}
+
+// Scraper mit den Cache-Optionen des Aufrufs
+function createScraper(opts) {
+  const { ProductScraper } = require('./scraper');
+  const { ScrapeCache } = require('./scrape-cache');
+  const logger = createLogger(opts.verbose);
+  let cache;
+  if (opts['no-cache']) cache = new ScrapeCache({ file: null, logger });
+  else if (opts['cache-file']) cache = new ScrapeCache({ file: opts['cache-file'], logger });
+  const scraper = new ProductScraper({ cache, logger });
+  if (opts.refresh) scraper.cache.invalidate();
+  return scraper;
+}
+
+function readConcurrency(opts) {
+  const concurrency = Number(opts.concurrency || process.env.SCRAPE_CONCURRENCY || 4);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw usageError(`Ungültige Parallelität: ${opts.concurrency}`);
+  return concurrency;
+}
+
+async function runCompare(file, opts, log) {
+  const { runWebComparison } = require('./formats');
+
+  const concurrency = readConcurrency(opts);
+  const input = readInput(file);
+  const formats = formatOptions(file, opts);
+  const output = opts.output || defaultOutput(file, 'Web_Vergleich', formats.outputFormat);
+  const scraper = createScraper(opts);
+
+  try {
+    const { buffer, stats } = await runWebComparison(input, {
+      ...formats,
+      scraper,
+      concurrency,
+      onProgress: createProgress(opts.quiet),
+      tolerances: readTolerances(opts.tolerances)
+    });
+    fs.writeFileSync(output, Buffer.from(buffer));
+
+    const t = stats.totals;
+    log(`${output}: ${t.products} Produkte – ${t.equal} Übereinstimmungen, ${t.tolerance} innerhalb Toleranz, ${t.mismatch} Abweichungen, ${t.missing} fehlende Web-Werte`);
+    const findings = t.mismatch + (opts.strict ? t.missing : 0);
+    return { output, stats, findings };
+  } finally {
+    await scraper.close();
+  }
+}
+
+async function runCorrectionsCommand(file, opts, log) {
+  const { runCorrections } = require('./corrections');
+
+  const concurrency = readConcurrency(opts);
+  const input = readInput(file);
+  const formats = formatOptions(file, opts);
+  const output = opts.output || defaultOutput(file, 'Korrekturen', formats.outputFormat);
+  const scraper = createScraper(opts);
+
+  try {
+    const { buffer, stats } = await runCorrections(input, {
+      ...formats,
+      scraper,
+      concurrency,
+      onProgress: createProgress(opts.quiet),
+      tolerances: readTolerances(opts.tolerances)
+    });
+    fs.writeFileSync(output, Buffer.from(buffer));
+
+    const t = stats.totals;
+    log(`${output}: ${t.products} Produkte – ${t.proposals} Korrekturvorschläge für ${t.materials} Materialien`);
+    return { output, stats, findings: t.proposals };
+  } finally {
+    await scraper.close();
+  }
+}
+
+async function runApply(file, opts, log) {
+  const { applyCorrections } = require('./corrections');
+
+  const input = readInput(file);
+  const formats = formatOptions(file, opts);
+  const output = opts.output || defaultOutput(file, 'Änderungen', formats.outputFormat);
+
+  const { buffer, stats } = await applyCorrections(input, formats);
+  fs.writeFileSync(output, Buffer.from(buffer));
+
+  const t = stats.totals;
+  log(`${output}: ${t.accepted} übernommen, ${t.rejected} abgelehnt, ${t.open} offen – ${t.materials} Materialien in der Änderungsliste`);
+  return { output, stats, findings: 0 };
+}
+
+async function runCheck(file, opts, log) {
+  const { runCompletenessCheck } = require('./formats');
+  const { loadRuleSet } = require('./rule-engine');
+
+  const input = readInput(file);
+  const formats = formatOptions(file, opts);
+  const output = opts.output || defaultOutput(file, 'Qualitätsbericht', formats.outputFormat);
+  const ruleSet = opts.rules ? loadRuleSet(readInput(opts.rules)) : undefined;
+
+  const { buffer, stats } = await runCompletenessCheck(input, { ...formats, ruleSet });
+  fs.writeFileSync(output, Buffer.from(buffer));
+
+  for (const u of stats.unresolvedRules) {
+    printErr(`Regel ${u.ruleId}: Spalten nicht gefunden (${u.missing.join(', ')})${u.applied ? '' : ' – Regel übersprungen'}`);
+  }
+  const t = stats.totals;
+  log(`${output}: ${t.rows} Zeilen – ${t.complete} vollständig, ${t.incomplete} mit Fehlern, ${t.warnings} nur mit Warnungen, ${t.violations} Regelverstöße`);
+  const findings = t.incomplete + (opts.strict ? t.warnings : 0);
+  return { output, stats, findings };
+}
+
+const COMMANDS = { compare: runCompare, check: runCheck, corrections: runCorrectionsCommand, apply: runApply };
+
+/**
+ * CLI ausführen
+ * @param {string[]} argv - Argumente ohne "node cli.js"
+ * @returns {Promise<number>} - Exit-Code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    printErr(`${err.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+  const { values: opts, positionals } = parsed;
+  const [command, file, ...rest] = positionals;
+
+  if (opts.help || !command) {
+    (opts.help ? print : printErr)(USAGE);
+    return opts.help ? EXIT_OK : EXIT_ERROR;
+  }
+  const run = COMMANDS[command];
+  if (!run) {
+    printErr(`Unbekannter Befehl: ${command}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+  if (rest.length) {
+    printErr(`Zu viele Argumente: ${rest.join(' ')}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  // Zusammenfassung nach stderr, wenn stdout für JSON reserviert ist
+  const log = opts.json === '-' ? printErr : print;
+  try {
+    const { output, stats, findings } = await run(file, opts, log);
+    const exitCode = findings > 0 ? EXIT_FINDINGS : EXIT_OK;
+    if (opts.json) writeJson(opts.json, { command, input: file, output, exitCode, stats });
+    return exitCode;
+  } catch (err) {
+    printErr(`Fehler: ${err.message}`);
+    if (err.usage) printErr(`\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => { process.exitCode = code; });
+}
+
+module.exports = { main, EXIT_OK, EXIT_FINDINGS, EXIT_ERROR };
@@ -0,0 +1,274 @@
+/* corrections.js */
+// Korrekturvorschläge für die SAP-Massenpflege:
+// 1) runCorrections: Web-Vergleich, je Material und abweichendem Feld eine Zeile mit DB-Wert, Web-Vorschlag,
+//    Grund und Spalte "Übernehmen" (Feldnamen aus Zeile 2 der Eingabe, z.B. NTGEW)
+// 2) applyCorrections: geprüfte Liste zurücklesen und nur die übernommenen Vorschläge als Änderungsliste
+//    (MATNR + MARA-Feldnamen, eine Zeile je Material) ausgeben
+
+const ExcelJS = require('exceljs');
+
+const { normHeader, plainValue } = require('./utils');
+const { prepareWebComparison, compareRows } = require('./web-comparison');
+const { DEFAULT_CSV, readWorkbook, encodeCsv } = require('./formats');
+const { describeSegmentDiff } = require('./n-code');
+
+const CORRECTIONS_SHEET = 'Korrekturen';
+const CHANGES_SHEET = 'Änderungen';
+const TECH_ROW = 2;   // technische Feldnamen der Eingabe
+const HEADER_ROW = 3;
+
+// Spalten der Korrekturliste (Reihenfolge = Ausgabe); beim Zurücklesen über die Überschrift gefunden
+const CORRECTION_COLUMNS = [
+  { key: 'matnr',    header: 'Material',        width: 14 },
+  { key: 'a2v',      header: 'Produkt-ID',      width: 18 },
+  { key: 'sheet',    header: 'Blatt',           width: 12 },
+  { key: 'row',      header: 'Zeile',           width: 7 },
+  { key: 'label',    header: 'Feld',            width: 20 },
+  { key: 'sapField', header: 'SAP-Feld',        width: 10 },
+  { key: 'unit',     header: 'Einheit',         width: 8 },
+  { key: 'dbValue',  header: 'DB-Wert',         width: 28 },
+  { key: 'proposal', header: 'Vorschlag (Web)', width: 28 },
+  { key: 'reason',   header: 'Grund',           width: 60 },
+  { key: 'accept',   header: 'Übernehmen',      width: 12 },
+  { key: 'comment',  header: 'Kommentar',       width: 30 },
+  { key: 'url',      header: 'URL',             width: 40 }
+];
+const REQUIRED_KEYS = ['matnr', 'sapField', 'proposal', 'accept'];
+
+// Materialnummer: Überschrift in Zeile 3 oder technischer Name in Zeile 2
+const MATNR_HEADERS = ['Material', 'Materialnummer', 'Material-Nr.', 'Materialnr.'];
+const MATNR_FIELD = 'MATNR';
+
+// Werte in "Übernehmen", die als Zustimmung bzw. Ablehnung gelten
+const ACCEPT_VALUES = new Set(['ja', 'j', 'x', 'yes', 'y', '1', 'true', 'übernehmen']);
+const REJECT_VALUES = new Set(['nein', 'n', 'no', '0', 'false', 'ablehnen']);
+
+const FILL_HEADER = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F3FF' } };
+const FILL_PROPOSAL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF9C4' } };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function cellText(v) {
+  return String(plainValue(v) ?? '').trim();
+}
+
+function findMatnrColumn(ws) {
+  const wanted = new Set(MATNR_HEADERS.map(normHeader));
+  const last = ws.lastColumn?.number || ws.columnCount;
+  for (let c = 1; c <= last; c++) {
+    if (cellText(ws.getCell(TECH_ROW, c).value).toUpperCase() === MATNR_FIELD) return c;
+    if (wanted.has(normHeader(ws.getCell(HEADER_ROW, c).value))) return c;
+  }
+  return null;
+}
+
+/**
+ * Korrekturvorschläge aus dem Ergebnis von compareRows: nur Abweichungen (rote Zellen) mit Web-Wert
+ * @param {Map} layouts - prepareWebComparison().layouts
+ * @param {Object} result - compareRows()
+ * @returns {Object[]} - Einträge mit den Schlüsseln aus CORRECTION_COLUMNS
+ */
+function buildCorrections(layouts, result) {
+  const sheets = new Map();
+  for (const [ws, layout] of layouts) sheets.set(ws.name, { ws, layout, matnrCol: findMatnrColumn(ws) });
+
+  const out = [];
+  for (const r of result.rows) {
+    const sheet = sheets.get(r.sheet);
+    if (!sheet || r.skipped) continue;
+    const { ws, layout, matnrCol } = sheet;
+    for (const f of r.fields) {
+      if (f.status !== 'mismatch' || f.webRaw == null || f.webValue == null) continue;
+      const pair = layout.pairs.find(p => p.field === f.field);
+      const unitCol = pair.unit ? layout.units[pair.unit] : null;
+      out.push({
+        matnr: matnrCol ? cellText(ws.getCell(r.row, matnrCol).value) || null : null,
+        a2v: r.a2v,
+        sheet: r.sheet,
+        row: r.row,
+        label: f.label,
+        sapField: cellText(ws.getCell(`${pair.original}${TECH_ROW}`).value) || pair.sapField,
+        unit: unitCol ? cellText(ws.getCell(`${unitCol}${r.row}`).value) || null : null,
+        dbValue: f.dbValue,
+        proposal: f.webValue,
+        reason: `[${f.ruleId}] Abweichung: ${f.label} in DB und Web unterschiedlich (DB: ${f.dbNorm || '—'}, Web: ${f.webNorm || '—'}${f.score != null ? `, Ähnlichkeit ${f.score} %` : ''}${f.segments ? `; ${describeSegmentDiff(f.segments)}` : ''})`,
+        // Entscheidungen aus der Prüfansicht vorbelegen ("Web übernehmen" -> Ja, "DB korrekt" -> Nein)
+        accept: f.review?.decision === 'web' ? 'Ja' : f.review?.decision === 'db' ? 'Nein' : null,
+        comment: f.review?.comment || null,
+        url: r.scrape?.url || null
+      });
+    }
+  }
+  return out;
+}
+
+function correctionStats(result, entries) {
+  const fields = new Map();
+  for (const e of entries) fields.set(e.sapField, (fields.get(e.sapField) || 0) + 1);
+  return {
+    totals: {
+      products: result.stats.totals.products,
+      materials: new Set(entries.map(e => e.matnr || e.a2v)).size,
+      proposals: entries.length
+    },
+    fields: Array.from(fields, ([sapField, proposals]) => ({ sapField, proposals }))
+  };
+}
+
+async function writeCorrectionsWorkbook(entries) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet(CORRECTIONS_SHEET, { views: [{ state: 'frozen', ySplit: 1 }] });
+  ws.columns = CORRECTION_COLUMNS.map(c => ({ header: c.header, key: c.key, width: c.width }));
+  ws.getRow(1).eachCell(c => { c.font = { bold: true }; c.fill = FILL_HEADER; });
+  for (const e of entries) ws.addRow(e);
+
+  const acceptCol = ws.getColumn('accept').letter;
+  const proposalCol = ws.getColumn('proposal').letter;
+  for (let r = 2; r <= entries.length + 1; r++) {
+    ws.getCell(`${acceptCol}${r}`).dataValidation = {
+      type: 'list', allowBlank: true, formulae: ['"Ja,Nein"'],
+      showErrorMessage: true, errorTitle: 'Übernehmen', error: 'Bitte "Ja" oder "Nein" wählen.'
+    };
+    ws.getCell(`${proposalCol}${r}`).fill = FILL_PROPOSAL;
+  }
+  ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: CORRECTION_COLUMNS.length } };
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+/**
+ * Web-Vergleich ausführen und Korrekturliste erzeugen
+ * @param {Buffer|Object} input - Eingabedatei oder Ergebnis von prepareWebComparison()
+ * @param {Object} options - { inputFormat, outputFormat, csv, scraper, concurrency, onProgress, tolerances, reviews }
+ * @returns {Promise<{ buffer: Buffer, stats: Object, format: string }>}
+ */
+async function runCorrections(input, { inputFormat = 'xlsx', outputFormat = 'xlsx', csv = DEFAULT_CSV, ...options } = {}) {
+  const prepared = input.layouts ? input : await prepareWebComparison(await readWorkbook(input, { format: inputFormat, csv }));
+  const result = await compareRows(prepared, options);
+  const entries = buildCorrections(prepared.layouts, result);
+  const stats = correctionStats(result, entries);
+
+  let buffer;
+  if (outputFormat === 'csv') {
+    buffer = encodeCsv({
+      headers: CORRECTION_COLUMNS.map(c => c.header),
+      rows: entries.map(e => CORRECTION_COLUMNS.map(c => e[c.key]))
+    }, csv);
+  } else if (outputFormat === 'json') {
+    buffer = Buffer.from(JSON.stringify({ stats, corrections: entries }, null, 2));
+  } else {
+    buffer = await writeCorrectionsWorkbook(entries);
+  }
+  return { buffer, stats, format: outputFormat };
+}
+
+// -------- Geprüfte Liste zurücklesen ----------
+
+// Kopfzeile der Korrekturliste suchen (xlsx: Zeile 1, CSV über readWorkbook: Zeile 3)
+function readCorrectionRows(wb) {
+  const ws = wb.getWorksheet(CORRECTIONS_SHEET) || wb.worksheets[0];
+  if (!ws) throw badRequest('Die Korrekturliste enthält kein Tabellenblatt.');
+  const byHeader = new Map(CORRECTION_COLUMNS.map(c => [normHeader(c.header), c.key]));
+  for (let h = 1; h <= Math.min(ws.rowCount, 5); h++) {
+    const cols = new Map();
+    ws.getRow(h).eachCell((cell, c) => {
+      const key = byHeader.get(normHeader(cell.value));
+      if (key && !cols.has(key)) cols.set(key, c);
+    });
+    if (!cols.has('sapField')) continue;
+    const missing = REQUIRED_KEYS.filter(k => !cols.has(k));
+    if (missing.length) {
+      const names = missing.map(k => CORRECTION_COLUMNS.find(c => c.key === k).header);
+      throw badRequest(`Korrekturliste: Spalten nicht gefunden – ${names.join(', ')}`);
+    }
+    const rows = [];
+    for (let r = h + 1; r <= ws.rowCount; r++) {
+      const row = ws.getRow(r);
+      if (!row.hasValues) continue;
+      const entry = { line: r };
+      for (const [key, c] of cols) entry[key] = plainValue(row.getCell(c).value);
+      rows.push(entry);
+    }
+    return rows;
+  }
+  throw badRequest('Keine Korrekturliste erkannt (Spalte "SAP-Feld" nicht gefunden).');
+}
+
+/**
+ * Geprüfte Korrekturliste in die Änderungsliste für die Massenpflege umwandeln
+ * @param {Buffer} buffer - Korrekturliste (xlsx, CSV oder JSON aus runCorrections)
+ * @param {Object} options - { inputFormat, outputFormat, csv }
+ * @returns {Promise<{ buffer: Buffer, stats: Object, format: string }>}
+ */
+async function applyCorrections(buffer, { inputFormat = 'xlsx', outputFormat = 'xlsx', csv = DEFAULT_CSV } = {}) {
+  let rows;
+  if (inputFormat === 'json') {
+    let data;
+    try { data = JSON.parse(buffer.toString('utf8')); }
+    catch { throw badRequest('Ungültige JSON-Datei.'); }
+    if (!Array.isArray(data?.corrections)) throw badRequest('JSON-Korrekturliste: Feld "corrections" fehlt.');
+    rows = data.corrections.map((e, i) => ({ ...e, line: i + 1 }));
+  } else {
+    rows = readCorrectionRows(await readWorkbook(buffer, { format: inputFormat, csv }));
+  }
+
+  const totals = { corrections: rows.length, accepted: 0, rejected: 0, open: 0, materials: 0 };
+  const fields = [];
+  const materials = new Map(); // MATNR -> { SAP-Feld: Wert }
+  const problems = [];
+  for (const e of rows) {
+    const decision = String(e.accept ?? '').trim().toLowerCase();
+    if (REJECT_VALUES.has(decision)) { totals.rejected++; continue; }
+    if (!ACCEPT_VALUES.has(decision)) {
+      if (decision) problems.push(`Zeile ${e.line}: unbekannte Angabe "${e.accept}" in Übernehmen`);
+      totals.open++;
+      continue;
+    }
+    totals.accepted++;
+    const matnr = String(e.matnr ?? '').trim();
+    const sapField = String(e.sapField ?? '').trim().toUpperCase();
+    if (!matnr || !sapField) {
+      problems.push(`Zeile ${e.line}: ${!matnr ? 'Material' : 'SAP-Feld'} fehlt`);
+      continue;
+    }
+    if (!fields.includes(sapField)) fields.push(sapField);
+    if (!materials.has(matnr)) materials.set(matnr, {});
+    const values = materials.get(matnr);
+    if (sapField in values && String(values[sapField]) !== String(e.proposal)) {
+      problems.push(`Zeile ${e.line}: ${matnr}/${sapField} mehrfach mit unterschiedlichen Werten übernommen`);
+    }
+    values[sapField] = e.proposal;
+  }
+  if (problems.length) throw badRequest(`Korrekturliste fehlerhaft – ${problems.slice(0, 10).join('; ')}`);
+  totals.materials = materials.size;
+
+  const headers = [MATNR_FIELD, ...fields];
+  const table = Array.from(materials, ([matnr, values]) => [matnr, ...fields.map(f => values[f] ?? null)]);
+  let out;
+  if (outputFormat === 'csv') {
+    out = encodeCsv({ headers, rows: table }, csv);
+  } else if (outputFormat === 'json') {
+    out = Buffer.from(JSON.stringify({
+      totals,
+      changes: Array.from(materials, ([matnr, values]) => ({ [MATNR_FIELD]: matnr, ...values }))
+    }, null, 2));
+  } else {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet(CHANGES_SHEET, { views: [{ state: 'frozen', ySplit: 1 }] });
+    ws.addRow(headers).eachCell(c => { c.font = { bold: true }; c.fill = FILL_HEADER; });
+    for (const r of table) ws.addRow(r);
+    ws.columns.forEach(col => { col.width = 16; });
+    out = Buffer.from(await wb.xlsx.writeBuffer());
+  }
+  return { buffer: out, stats: { totals, fields }, format: outputFormat };
+}
+
+module.exports = {
+  CORRECTION_COLUMNS,
+  buildCorrections,
+  runCorrections,
+  applyCorrections
+};
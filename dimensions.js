@@ -0,0 +1,125 @@
+/* dimensions.js */
+// Abmessungen aus Web-Texten lesen: "40 x 13 x 5 mm", "L: 120 mm, B: 4 cm", "Ø 20 x 30", "10-20 mm".
+// Ergebnis immer in mm; die Ausrichtung (L/B/H) kommt aus Beschriftungen, sonst aus der Reihenfolge.
+
+const UNIT_MM = { mm: 1, cm: 10, dm: 100, m: 1000 };
+
+// Rechenrauschen entfernen (1,3 cm * 10 = 13.000000000000002 -> 13), Dezimalstellen bleiben erhalten
+function roundValue(v){ return v==null ? null : Number(v.toPrecision(12)); }
+
+// Beschriftung → Maß (T/Tiefe wie in "B x T x H" entspricht der Länge)
+const LABELS = [
+  { key: 'L', pattern: /^(?:l|länge|laenge|length|t|tiefe|depth)$/ },
+  { key: 'B', pattern: /^(?:b|w|breite|width)$/ },
+  { key: 'H', pattern: /^(?:h|höhe|hoehe|height)$/ },
+  { key: 'D', pattern: /^(?:d|ø|durchmesser|diameter|dia)$/ }
+];
+
+const NUM = String.raw`\d+(?:\.\d+)?`;
+const UNIT = String.raw`mm|cm|dm|m(?![a-zäöü])`;   // "mm" vor "m", sonst wird "mm" zu Meter
+const LABEL = String.raw`länge|laenge|length|breite|width|höhe|hoehe|height|tiefe|depth|durchmesser|diameter|dia|ø|[lbhwtd]`;
+// Reihenfolge als Überschrift vor den Werten: "B x T x H: 20 x 30 x 40", "LxBxH (mm) = 40x13x5"
+const ORDER = new RegExp(
+  String.raw`(?<![a-zäöü])(${LABEL})\s*x\s*(${LABEL})(?:\s*x\s*(${LABEL}))?(?![a-zäöü])\s*(?:\(?(?:in\s*)?(${UNIT})\)?)?\s*[:=]?`
+);
+// Beschriftung (optional) – Zahl oder Bereich – Einheit (optional)
+const ITEM = new RegExp(
+  String.raw`(?:(?<![a-zäöü])(${LABEL})(?![a-zäöü])\s*[:=.]?\s*)?(${NUM})(?:\s*(?:-|–|…|\.\.\.|bis)\s*(${NUM}))?\s*(${UNIT})?`,
+  'g'
+);
+
+function labelKey(label) {
+  if (!label) return null;
+  return LABELS.find(l => l.pattern.test(label))?.key || null;
+}
+
+/**
+ * Abmessungstext zerlegen
+ * - beschriftete Werte ("L: 120", "Breite 40", "Ø20") stehen fest, unbeschriftete füllen die freien Maße
+ *   in der Reihenfolge L, B, H; nach einem Durchmesser ist ein unbeschrifteter Wert die Höhe ("Ø 20 x 30")
+ * - zwei unbeschriftete Werte gelten wie bisher als Zylinder Durchmesser x Höhe (B und H)
+ * - eine vorangestellte Reihenfolge ("B x T x H: 20 x 30 x 40") ordnet die unbeschrifteten Werte zu
+ * - Einheit je Wert oder einmal für alle ("40 x 40 x 42 mm"), ohne Angabe mm
+ * - Bereiche ("10-20 mm") liefern den größten Wert, den Bereich zusätzlich unter ranges; ein einzelner
+ *   unbeschrifteter Bereich gilt wie ein unbeschrifteter Wert an erster Stelle als Länge
+ * @param {string} text
+ * @returns {{ L: number|null, B: number|null, H: number|null, D: number|null, ranges: Object }} - Werte in mm
+ */
+function parseDimensions(text) {
+  const result = { L: null, B: null, H: null, D: null, ranges: {} };
+  if (!text) return result;
+  let s = String(text).toLowerCase()
+    .replace(/[⌀∅]/g, 'ø')
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/[×*]/g, 'x');
+
+  // Überschrift mit Reihenfolge abtrennen, ihre Einheit gilt für alle Werte ohne eigene Einheit
+  let order = null;
+  let headerUnit = null;
+  const header = s.match(ORDER);
+  if (header) {
+    order = header.slice(1, 4).filter(Boolean).map(labelKey);
+    headerUnit = header[4] || null;
+    s = s.slice(0, header.index) + ' ' + s.slice(header.index + header[0].length);
+  }
+
+  const items = [];
+  for (const m of s.matchAll(ITEM)) {
+    const [, label, a, b, unit] = m;
+    const min = parseFloat(a);
+    const max = b != null ? parseFloat(b) : min;
+    items.push({ key: labelKey(label), min: Math.min(min, max), max: Math.max(min, max), unit, range: b != null });
+  }
+  if (!items.length) return result;
+
+  // Einheit ohne eigene Angabe: die zuletzt genannte Einheit gilt für alle vorherigen Werte ("40 x 40 x 42 mm")
+  let unit = headerUnit || 'mm';
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (items[i].unit) unit = items[i].unit;
+    else items[i].unit = unit;
+  }
+
+  const unlabeled = items.filter(it => !it.key);
+  const labeled = items.filter(it => it.key);
+  if (order && !labeled.length) {
+    unlabeled.forEach((it, i) => { it.key = order[i] || null; });
+  } else if (!labeled.length && unlabeled.length === 2) {
+    // Zylinder-Format ohne Beschriftung: Durchmesser x Höhe
+    unlabeled[0].key = 'B';
+    unlabeled[1].key = 'H';
+  } else if (!labeled.length && unlabeled.length !== 3 && !(unlabeled.length === 1 && unlabeled[0].range)) {
+    return result; // einzelne Zahl oder zu viele Werte: Ausrichtung unbekannt
+  } else {
+    const taken = new Set(labeled.map(it => it.key));
+    const free = (taken.has('D') ? ['H', 'L', 'B'] : ['L', 'B', 'H']).filter(k => !taken.has(k));
+    unlabeled.forEach((it, i) => { it.key = free[i] || null; });
+  }
+
+  for (const it of items) {
+    if (!it.key || result[it.key] != null) continue;
+    const scale = UNIT_MM[it.unit] || 1;
+    result[it.key] = roundValue(it.max * scale);
+    if (it.range) result.ranges[it.key] = [roundValue(it.min * scale), roundValue(it.max * scale)];
+  }
+  // Durchmesser ohne Breite: wie bisher als Breite führen
+  if (result.D != null && result.B == null) {
+    result.B = result.D;
+    if (result.ranges.D) result.ranges.B = result.ranges.D;
+  }
+  return result;
+}
+
+/**
+ * Maße als Satz (ohne Ausrichtung), aufsteigend sortiert
+ * Beim Zylinder (Durchmesser, keine Länge) zählt der Durchmesser doppelt.
+ * @param {{ L, B, H, D? }} d - Maße in mm
+ * @returns {number[]|null} - null, wenn nicht alle drei Maße bekannt sind
+ */
+function dimensionSet(d) {
+  const L = d.L ?? (d.D != null ? d.D : null);
+  const values = [L, d.B, d.H];
+  if (values.some(v => v == null)) return null;
+  return values.sort((a, b) => a - b);
+}
+
+module.exports = { parseDimensions, dimensionSet, roundValue, UNIT_MM };
@@ -0,0 +1,125 @@
+/* field-mapping.js */
+// Feldzuordnung des Web-Vergleichs: welche DB-Spalte mit welchem Web-Wert wie verglichen wird.
+// Die Einträge stehen in field-mapping.json und steuern Spalteneinfügung, Überschriften, Notizen und Statistik.
+
+const fs = require('fs');
+const path = require('path');
+const { normHeader } = require('./utils');
+
+const MAPPING_FILE = process.env.FIELD_MAPPING_FILE || path.join(__dirname, 'field-mapping.json');
+
+// Parser je Feld mit den dazu passenden Vergleichen; unit = Gruppe der DB-Einheitenspalte
+const PARSERS = {
+  text:       { comparators: ['exact', 'similarity', 'material'] },
+  partNumber: { comparators: ['exact'] },
+  code:       { comparators: ['segments', 'exact'] },
+  weight:     { comparators: ['numeric'], unit: 'weight' },
+  dimension:  { comparators: ['numeric'], unit: 'dimension' },
+  volume:     { comparators: ['numeric'], unit: 'volume' }
+};
+const AXES = ['L', 'B', 'H'];
+// Schlüssel, die in Toleranzen und JSON-Zeilen schon belegt sind
+const RESERVED_FIELDS = new Set(['a2v', 'dimensions']);
+
+function mappingError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const isStringList = (v) => Array.isArray(v) && v.length > 0 && v.every(s => typeof s === 'string' && s.trim());
+
+function validateField(entry, i) {
+  const where = `Feld ${entry?.field || '#' + (i + 1)}`;
+  if (!entry || typeof entry !== 'object') return [`${where}: Objekt erwartet`];
+  const problems = [];
+  if (typeof entry.field !== 'string' || !/^[A-Za-z]\w*$/.test(entry.field)) problems.push(`${where}: "field" fehlt oder ist kein Bezeichner`);
+  else if (RESERVED_FIELDS.has(entry.field)) problems.push(`${where}: Name "${entry.field}" ist reserviert`);
+  for (const key of ['label', 'ruleId']) {
+    if (typeof entry[key] !== 'string' || !entry[key].trim()) problems.push(`${where}: "${key}" fehlt`);
+  }
+  if (!isStringList(entry.headers)) problems.push(`${where}: "headers" braucht mindestens eine Überschrift`);
+  if (!isStringList(entry.web)) problems.push(`${where}: "web" braucht mindestens ein Web-Feld`);
+  const parser = PARSERS[entry.parser];
+  if (!parser) problems.push(`${where}: unbekannter Parser "${entry.parser}" (erlaubt: ${Object.keys(PARSERS).join(', ')})`);
+  else if (!parser.comparators.includes(entry.comparator)) {
+    problems.push(`${where}: Vergleich "${entry.comparator}" passt nicht zu Parser ${entry.parser} (erlaubt: ${parser.comparators.join(', ')})`);
+  }
+  if (entry.parser === 'dimension' && !AXES.includes(entry.axis)) problems.push(`${where}: "axis" muss ${AXES.join(', ')} sein`);
+  if (entry.searchKey && entry.parser !== 'partNumber') problems.push(`${where}: "searchKey" nur für Parser partNumber`);
+  return problems;
+}
+
+/**
+ * Feldzuordnung prüfen und normalisieren
+ * @param {Buffer|string|Object} source - JSON { units: { gruppe: { key, headers } }, fields: [{ field, label, ruleId, sapField?,
+ *   headers, web, parser, comparator, axis?, optional?, defaultToA2v?, searchKey? }] }
+ *   searchKey: Zeilen ohne A2V-Nummer werden über diese Nummer in der Produktsuche aufgelöst (höchstens ein Feld)
+ * @returns {{ fields: Object[], units: Object }}
+ */
+function loadFieldMapping(source) {
+  let data = source;
+  if (Buffer.isBuffer(data)) data = data.toString('utf8');
+  if (typeof data === 'string') {
+    try { data = JSON.parse(data); }
+    catch (e) { throw mappingError(`Feldzuordnung ist kein gültiges JSON: ${e.message}`); }
+  }
+  if (!Array.isArray(data?.fields) || !data.fields.length) throw mappingError('Feldzuordnung braucht eine Liste "fields".');
+
+  const problems = [];
+  const units = {};
+  for (const [group, def] of Object.entries(data.units || {})) {
+    if (typeof def?.key !== 'string' || !def.key.trim() || !isStringList(def.headers)) {
+      problems.push(`Einheit ${group}: "key" und "headers" erforderlich`);
+    } else {
+      units[group] = { key: def.key, headers: def.headers };
+    }
+  }
+
+  const names = new Set();
+  const headerOwner = new Map();
+  data.fields.forEach((entry, i) => {
+    const fieldProblems = validateField(entry, i);
+    problems.push(...fieldProblems);
+    if (fieldProblems.length) return;
+    if (names.has(entry.field)) problems.push(`Feld ${entry.field}: "field" doppelt vergeben`);
+    names.add(entry.field);
+    for (const header of entry.headers) {
+      const owner = headerOwner.get(normHeader(header));
+      if (owner && owner !== entry.field) problems.push(`Feld ${entry.field}: Überschrift "${header}" gehört bereits zu ${owner}`);
+      headerOwner.set(normHeader(header), entry.field);
+    }
+    const unit = PARSERS[entry.parser].unit;
+    if (unit && !units[unit]) problems.push(`Feld ${entry.field}: Einheitengruppe "${unit}" fehlt in "units"`);
+  });
+  const searchKeys = data.fields.filter(f => f?.searchKey).map(f => f.field);
+  if (searchKeys.length > 1) problems.push(`"searchKey" ist mehrfach gesetzt (${searchKeys.join(', ')})`);
+  if (problems.length) throw mappingError(`Ungültige Feldzuordnung – ${problems.join('; ')}`);
+
+  return {
+    units,
+    fields: data.fields.map(entry => ({
+      field: entry.field,
+      label: entry.label,
+      ruleId: entry.ruleId,
+      sapField: entry.sapField || null,
+      headers: entry.headers,
+      web: entry.web,
+      parser: entry.parser,
+      comparator: entry.comparator,
+      unit: PARSERS[entry.parser].unit || null,
+      axis: entry.axis || null,
+      optional: !!entry.optional,
+      defaultToA2v: !!entry.defaultToA2v,
+      searchKey: !!entry.searchKey
+    }))
+  };
+}
+
+let defaultMapping = null;
+function loadDefaultFieldMapping() {
+  if (!defaultMapping) defaultMapping = loadFieldMapping(fs.readFileSync(MAPPING_FILE, 'utf8'));
+  return defaultMapping;
+}
+
+module.exports = { PARSERS, MAPPING_FILE, loadFieldMapping, loadDefaultFieldMapping };
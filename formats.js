@@ -0,0 +1,355 @@
+/* formats.js */
+// Ein- und Ausgabeformate neben xlsx: CSV (Trennzeichen, Zeichensatz, Dezimalkomma) und JSON.
+// CSV/JSON-Eingaben werden in ein Workbook im gewohnten Layout (Überschriften in Zeile 3, Daten ab Zeile 4)
+// umgewandelt, damit Spaltenerkennung und Regeln unverändert greifen. Da CSV keine Farben kennt,
+// stehen die Ergebnisse dort in eigenen Status-Spalten.
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const iconv = require('iconv-lite');
+
+const { normHeader, plainValue } = require('./utils');
+const { prepareWebComparison, processWebComparison, compareRows, reviewItemsOf, SEARCH_HEADERS, matchText } = require('./web-comparison');
+const { checkCompleteness } = require('./completeness-checker');
+const { describeSegmentDiff } = require('./n-code');
+
+const FORMATS = {
+  xlsx: { ext: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv:  { ext: 'csv',  contentType: 'text/csv' },
+  json: { ext: 'json', contentType: 'application/json' }
+};
+
+// Standard: SAP-Export (Semikolon, Dezimalkomma, UTF-8)
+const DEFAULT_CSV = { delimiter: ';', encoding: 'utf-8', decimal: ',' };
+const DELIMITER_NAMES = { semicolon: ';', comma: ',', tab: '\t', pipe: '|', '\\t': '\t' };
+
+const HEADER_ROW = 3;      // wie in web-comparison.js / completeness-checker.js
+const FIRST_DATA_ROW = 4;
+
+// Überschriften, an denen die Kopfzeile einer CSV-Datei erkannt wird
+const KNOWN_HEADERS = new Set([
+  'Produkt-ID', 'A2V', 'Materialkurztext', 'Her.-Artikelnummer', 'Fert./Prüfhinweis', 'Werkstoff',
+  'Nettogewicht', 'Bruttogewicht', 'Länge', 'Breite', 'Höhe', 'Material'
+].map(normHeader));
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Format aus explizitem Wert oder Dateiendung bestimmen
+ * @param {string} [explicit] - 'xlsx' | 'csv' | 'json'
+ * @param {string} [filename]
+ * @returns {string}
+ */
+function detectFormat(explicit, filename) {
+  if (explicit) {
+    const f = String(explicit).toLowerCase().replace(/^\./, '');
+    if (!FORMATS[f]) throw badRequest(`Unbekanntes Format: ${explicit} (erlaubt: ${Object.keys(FORMATS).join(', ')})`);
+    return f;
+  }
+  const ext = path.extname(filename || '').toLowerCase().replace('.', '');
+  // altes Excel-Format (BIFF) kann ExcelJS nicht lesen
+  if (ext === 'xls') throw badRequest('Dateien im alten Excel-Format (.xls) werden nicht unterstützt – bitte als .xlsx speichern.');
+  return FORMATS[ext] ? ext : 'xlsx';
+}
+
+/**
+ * CSV-Optionen prüfen und mit den Standardwerten zusammenführen
+ * @param {Object} [options] - { delimiter, encoding, decimal }; delimiter auch als "semicolon", "comma", "tab"
+ */
+function resolveCsvOptions({ delimiter, encoding, decimal } = {}) {
+  const out = { ...DEFAULT_CSV };
+  if (delimiter) {
+    const d = DELIMITER_NAMES[String(delimiter).toLowerCase()] || String(delimiter);
+    if (d.length !== 1 || /["\r\n]/.test(d)) throw badRequest(`Ungültiges CSV-Trennzeichen: ${delimiter}`);
+    out.delimiter = d;
+  }
+  if (encoding) {
+    if (!iconv.encodingExists(encoding)) throw badRequest(`Unbekannter Zeichensatz: ${encoding}`);
+    out.encoding = String(encoding).toLowerCase();
+  }
+  if (decimal) {
+    if (decimal !== ',' && decimal !== '.') throw badRequest(`Ungültiges Dezimaltrennzeichen: ${decimal} (erlaubt: "," oder ".")`);
+    out.decimal = decimal;
+  }
+  return out;
+}
+
+// -------- CSV lesen ----------
+function decodeText(buffer, encoding) {
+  return iconv.decode(buffer, encoding).replace(/^﻿/, '');
+}
+
+// RFC-4180-Parser: Anführungszeichen, verdoppelte Anführungszeichen und Zeilenumbrüche in Feldern
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+// Zahlen im Text erkennen ("1.234,5" bei Dezimalkomma); führende Nullen bleiben Text (z.B. Sparte "01")
+function parseNumber(value, decimal) {
+  const s = value.trim();
+  if (!s || /^-?0\d/.test(s)) return value;
+  if (decimal === ',') {
+    if (!/^-?(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/.test(s)) return value;
+    return Number(s.replace(/\./g, '').replace(',', '.'));
+  }
+  if (!/^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/.test(s)) return value;
+  return Number(s.replace(/,/g, ''));
+}
+
+// Kopfzeile = Zeile mit den meisten bekannten Überschriften unter den ersten drei (darüber: Titel/technische Namen)
+function findHeaderIndex(rows) {
+  let best = 0, bestHits = 0;
+  rows.slice(0, HEADER_ROW).forEach((row, i) => {
+    const hits = row.filter(v => KNOWN_HEADERS.has(normHeader(v))).length;
+    if (hits > bestHits) { best = i; bestHits = hits; }
+  });
+  return best;
+}
+
+/**
+ * Tabelle (Liste von Zeilen) als Workbook im Eingangslayout ablegen
+ * @param {Array[]} rows - Kopfzeile(n) und Datenzeilen
+ * @param {string} [sheetName]
+ */
+function tableToWorkbook(rows, sheetName = 'Daten') {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet(sheetName);
+  const headerIndex = findHeaderIndex(rows);
+  rows.forEach((values, i) => {
+    const r = i <= headerIndex ? HEADER_ROW - headerIndex + i : FIRST_DATA_ROW + i - headerIndex - 1;
+    values.forEach((v, c) => {
+      if (v !== null && v !== undefined && v !== '') ws.getCell(r, c + 1).value = v;
+    });
+  });
+  return wb;
+}
+
+/**
+ * Eingabe (xlsx, CSV oder JSON) als Workbook laden
+ * @param {Buffer} buffer
+ * @param {Object} options - { format, csv: resolveCsvOptions() }
+ * @returns {Promise<ExcelJS.Workbook>}
+ */
+async function readWorkbook(buffer, { format = 'xlsx', csv = DEFAULT_CSV } = {}) {
+  if (format === 'xlsx') {
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(buffer);
+    return wb;
+  }
+  if (format === 'csv') {
+    const rows = parseCsv(decodeText(buffer, csv.encoding), csv.delimiter)
+      .map(r => r.map(v => parseNumber(v, csv.decimal)));
+    if (!rows.length) throw badRequest('Die CSV-Datei ist leer.');
+    return tableToWorkbook(rows);
+  }
+
+  // JSON: Liste von Objekten (oder { rows: [...] }), Schlüssel = Spaltenüberschriften
+  let data;
+  try { data = JSON.parse(decodeText(buffer, 'utf-8')); }
+  catch { throw badRequest('Ungültige JSON-Datei.'); }
+  const list = Array.isArray(data) ? data : data?.rows;
+  if (!Array.isArray(list) || !list.length || list.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+    throw badRequest('JSON-Eingabe: Liste von Zeilen-Objekten erwartet (Schlüssel = Spaltenüberschriften).');
+  }
+  const headers = [];
+  for (const item of list) for (const key of Object.keys(item)) if (!headers.includes(key)) headers.push(key);
+  return tableToWorkbook([headers, ...list.map(item => headers.map(h => item[h] ?? null))]);
+}
+
+// -------- CSV schreiben ----------
+function csvField(value, { delimiter, decimal }) {
+  let s;
+  if (value === null || value === undefined) s = '';
+  else if (typeof value === 'number') s = decimal === ',' ? String(value).replace('.', ',') : String(value);
+  else if (value instanceof Date) s = value.toISOString();
+  else s = String(value);
+  return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Tabelle als CSV kodieren
+ * @param {{ headers: string[], rows: Array[] }} table
+ * @param {Object} csv - resolveCsvOptions()
+ * @returns {Buffer}
+ */
+function encodeCsv({ headers, rows }, csv = DEFAULT_CSV) {
+  const lines = [headers, ...rows].map(r => r.map(v => csvField(v, csv)).join(csv.delimiter));
+  return iconv.encode(lines.join('\r\n') + '\r\n', csv.encoding);
+}
+
+function headerText(ws, c) {
+  return String(plainValue(ws.getCell(HEADER_ROW, c).value) ?? '').trim() || `Spalte ${c}`;
+}
+
+/**
+ * Ergebnis des Web-Vergleichs als flache Tabelle: Originalspalten, nach jeder verglichenen Spalte
+ * "<Spalte> (Web)" und "<Spalte> (Status)", am Ende ggf. das Ergebnis der Produktsuche, Scrape-Status und URL
+ * @param {Map} layouts - prepareWebComparison().layouts
+ * @param {Object} result - compareRows()
+ */
+function comparisonTable(layouts, result) {
+  const byRow = new Map(result.rows.map(r => [`${r.sheet}\u0000${r.row}`, r]));
+  const multiSheet = layouts.size > 1;
+  const headers = [];
+  const columnsOf = new Map(); // ws -> [{ key, col } | { key, field, part, format? }]
+  for (const [ws, layout] of layouts) {
+    const pairByCol = new Map(layout.pairs.map(p => [p.original, p]));
+    const cols = [];
+    const last = ws.lastColumn?.number || ws.columnCount;
+    for (let c = 1; c <= last; c++) {
+      const header = headerText(ws, c);
+      const letter = ws.getColumn(c).letter;
+      cols.push({ key: header, col: c });
+      const pair = pairByCol.get(letter);
+      if (pair) {
+        cols.push({ key: `${header} (Web)`, field: pair.field, part: 'webValue' });
+        cols.push({ key: `${header} (Status)`, field: pair.field, part: 'status' });
+        if (pair.comparator === 'similarity') cols.push({ key: `${header} (Ähnlichkeit)`, field: pair.field, part: 'score' });
+        if (pair.comparator === 'segments') cols.push({ key: `${header} (Segmente)`, field: pair.field, part: 'segments', format: describeSegmentDiff });
+      }
+    }
+    for (const { key } of cols) if (!headers.includes(key)) headers.push(key);
+    columnsOf.set(ws, cols);
+  }
+  const searched = result.rows.some(r => r.search);
+  if (searched) headers.push(...SEARCH_HEADERS);
+  headers.push('Scrape-Status', 'URL');
+  if (multiSheet) headers.unshift('Blatt');
+
+  const rows = [];
+  for (const [ws] of layouts) {
+    const cols = columnsOf.get(ws);
+    const last = ws.lastRow?.number || 0;
+    for (let r = FIRST_DATA_ROW; r <= last; r++) {
+      const row = ws.getRow(r);
+      if (!row.hasValues) continue;
+      const res = byRow.get(`${ws.name}\u0000${r}`);
+      const fields = new Map((res?.fields || []).map(f => [f.field, f]));
+      const values = new Map();
+      for (const col of cols) {
+        if (!col.field) { values.set(col.key, plainValue(row.getCell(col.col).value)); continue; }
+        const value = fields.get(col.field)?.[col.part] ?? null;
+        values.set(col.key, col.format ? col.format(value) || null : value);
+      }
+      if (searched) {
+        values.set(SEARCH_HEADERS[0], res?.search?.a2v ?? null);
+        values.set(SEARCH_HEADERS[1], res?.search ? matchText(res.search) : null);
+      }
+      values.set('Scrape-Status', res?.scrape?.status ?? null);
+      values.set('URL', res?.scrape?.url ?? null);
+      values.set('Blatt', ws.name);
+      rows.push(headers.map(h => values.get(h) ?? null));
+    }
+  }
+  return { headers, rows };
+}
+
+/**
+ * Ergebnis der Qualitätsprüfung als flache Tabelle: Originalspalten plus Status, Regel-IDs und Meldungen
+ * @param {ExcelJS.Worksheet} ws - geprüftes Worksheet
+ * @param {Object[]} rowResults - checkCompleteness().rows
+ */
+function completenessTable(ws, rowResults) {
+  const last = ws.lastColumn?.number || ws.columnCount;
+  const headers = [];
+  for (let c = 1; c <= last; c++) headers.push(headerText(ws, c));
+  const rows = rowResults.map(res => {
+    const row = ws.getRow(res.row);
+    const values = headers.map((_, i) => plainValue(row.getCell(i + 1).value));
+    return [
+      ...values,
+      res.status,
+      [...new Set(res.violations.map(v => v.ruleId))].join(', '),
+      res.violations.map(v => `[${v.ruleId}] ${v.message}`).join(' | ')
+    ];
+  });
+  return { headers: [...headers, 'Status', 'Regel-IDs', 'Meldungen'], rows };
+}
+
+function completenessJson(ws, stats, rowResults) {
+  const { headers } = completenessTable(ws, []);
+  const columns = headers.slice(0, -3);
+  return {
+    stats,
+    rows: rowResults.map(res => ({
+      ...res,
+      values: Object.fromEntries(columns.map((h, i) => [h, plainValue(ws.getRow(res.row).getCell(i + 1).value)]))
+    }))
+  };
+}
+
+// -------- Gemeinsame Abläufe für Server und CLI ----------
+
+/**
+ * Web-Vergleich mit beliebigem Ein- und Ausgabeformat
+ * @param {Buffer|Object} input - Eingabedatei oder Ergebnis von prepareWebComparison()
+ * @param {Object} options - { inputFormat, outputFormat, csv, scraper, concurrency, onProgress, tolerances, reviews, scraped }
+ * @returns {Promise<{ buffer: Buffer, stats: Object, format: string, review: Object[], scraped: Object }>} - review: Prüfliste,
+ *   in allen Formaten dieselben Einträge; scraped: für einen Neuaufbau mit geänderten Prüfentscheidungen (siehe processWebComparison)
+ */
+async function runWebComparison(input, { inputFormat = 'xlsx', outputFormat = 'xlsx', csv = DEFAULT_CSV, ...options } = {}) {
+  const prepared = input.layouts ? input : await prepareWebComparison(await readWorkbook(input, { format: inputFormat, csv }));
+  if (outputFormat === 'xlsx') {
+    return { ...await processWebComparison(prepared, options), format: 'xlsx' };
+  }
+  const { scraped, ...result } = await compareRows(prepared, options);
+  const out = outputFormat === 'csv'
+    ? encodeCsv(comparisonTable(prepared.layouts, result), csv)
+    : Buffer.from(JSON.stringify(result, null, 2));
+  return { buffer: out, stats: result.stats, review: reviewItemsOf(result), format: outputFormat, scraped };
+}
+
+/**
+ * Qualitätsprüfung mit beliebigem Ein- und Ausgabeformat
+ * @param {Buffer} buffer - Eingabedatei
+ * @param {Object} options - { inputFormat, outputFormat, csv, ruleSet }
+ * @returns {Promise<{ buffer: Buffer, stats: Object, format: string }>}
+ */
+async function runCompletenessCheck(buffer, { inputFormat = 'xlsx', outputFormat = 'xlsx', csv = DEFAULT_CSV, ruleSet } = {}) {
+  const wb = await readWorkbook(buffer, { format: inputFormat, csv });
+  const result = await checkCompleteness(wb, { ruleSet });
+  if (outputFormat === 'xlsx') return { buffer: result.buffer, stats: result.stats, format: 'xlsx' };
+
+  const ws = wb.worksheets[0];
+  const out = outputFormat === 'csv'
+    ? encodeCsv(completenessTable(ws, result.rows), csv)
+    : Buffer.from(JSON.stringify(completenessJson(ws, result.stats, result.rows), null, 2));
+  return { buffer: out, stats: result.stats, format: outputFormat };
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_CSV,
+  detectFormat,
+  resolveCsvOptions,
+  parseCsv,
+  readWorkbook,
+  encodeCsv,
+  runWebComparison,
+  runCompletenessCheck
+};
@@ -0,0 +1,125 @@
+// jobs.js - Hintergrund-Jobs für lange Verarbeitungen (Scraping + Workbook-Aufbau).
+// Jobs leben nur im Speicher; fertige Ergebnisse werden nach JOB_TTL_MS verworfen.
+
+const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS || 60 * 60 * 1000); // 1h
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+class JobManager {
+  constructor() {
+    this.jobs = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Job anlegen und sofort im Hintergrund starten
+   * @param {string} type - z.B. 'web-comparison'
+   * @param {Function} runner - async (report) => { buffer, filename, contentType?, stats?, review?, rebuild? };
+   *   rebuild: async () => { buffer, stats? } erzeugt das Ergebnis für den Download neu (siehe rebuild())
+   * @returns {Object} - öffentliche Job-Sicht
+   */
+  create(type, runner) {
+    const job = {
+      id: randomUUID(),
+      type,
+      status: 'queued',
+      phase: null,
+      total: 0,
+      done: 0,
+      failed: 0,
+      etaSeconds: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      filename: null,
+      contentType: null,
+      stats: null,
+      review: null,
+      result: null,
+      rebuildResult: null
+    };
+    this.jobs.set(job.id, job);
+    setImmediate(() => this._run(job, runner));
+    return this.view(job);
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Öffentliche Sicht ohne Ergebnis-Buffer und Prüfliste
+  view(job) {
+    const { result, review, rebuildResult, ...rest } = job;
+    return { ...rest, hasResult: !!result, hasReview: !!review };
+  }
+
+  /**
+   * Ergebnis eines fertigen Jobs neu erzeugen, falls der Runner rebuild geliefert hat (z.B. mit geänderten
+   * Prüfentscheidungen); aktualisiert Ergebnis und Statistik des Jobs
+   * @returns {Promise<Buffer>} - aktuelles Ergebnis
+   */
+  async rebuild(job) {
+    if (job.rebuildResult) {
+      const { buffer, stats } = await job.rebuildResult();
+      job.result = Buffer.from(buffer);
+      if (stats) job.stats = stats;
+    }
+    return job.result;
+  }
+
+  // Listener für Status-Updates eines Jobs, liefert Funktion zum Abmelden
+  subscribe(id, listener) {
+    const channel = `job:${id}`;
+    this.events.on(channel, listener);
+    return () => this.events.off(channel, listener);
+  }
+
+  _emit(job) {
+    this.events.emit(`job:${job.id}`, this.view(job));
+  }
+
+  _report(job, p) {
+    if (p.phase) job.phase = p.phase;
+    if (p.total != null) job.total = p.total;
+    if (p.done != null) job.done = p.done;
+    if (p.failed != null) job.failed = p.failed;
+    if (job.phase === 'scraping' && job.done > 0 && job.total > job.done) {
+      const elapsed = (Date.now() - Date.parse(job.startedAt)) / 1000;
+      job.etaSeconds = Math.round((elapsed / job.done) * (job.total - job.done));
+    } else if (job.phase !== 'scraping' || job.done >= job.total) {
+      job.etaSeconds = null;
+    }
+    this._emit(job);
+  }
+
+  async _run(job, runner) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this._emit(job);
+    try {
+      const { buffer, filename, contentType = XLSX_TYPE, stats, review, rebuild } = await runner((p) => this._report(job, p));
+      job.result = Buffer.from(buffer);
+      job.filename = filename;
+      job.contentType = contentType;
+      job.stats = stats || null;
+      job.review = review || null;
+      job.rebuildResult = rebuild || null;
+      job.status = 'done';
+    } catch (err) {
+      console.error(`Job ${job.id} fehlgeschlagen:`, err);
+      job.status = 'error';
+      job.error = err.message;
+    }
+    job.phase = null;
+    job.etaSeconds = null;
+    job.finishedAt = new Date().toISOString();
+    this._emit(job);
+    setTimeout(() => this.jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+}
+
+module.exports = { JobManager };
@@ -0,0 +1,64 @@
+// json-file-store.js - Basis für Schlüssel/Wert-Speicher in einer JSON-Datei (Scrape-Cache, Prüfentscheidungen).
+// Einträge liegen als Map im Speicher; Änderungen werden gesammelt und verzögert geschrieben, und zwar atomar
+// (temporäre Datei + rename), damit nach einem Absturz keine halbe Datei liegen bleibt.
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY_MS = 1000;
+
+class JsonFileStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.file - Pfad der Datei, null = nur im Speicher
+   * @param {string} options.label - Name für Log-Meldungen, z.B. 'Scrape-Cache'
+   * @param {number} [options.saveDelayMs] - Verzögerung, mit der Änderungen gesammelt geschrieben werden
+   * @param {Object} [options.logger] - Ausgabe für Meldungen (log, error), Standard: console
+   */
+  constructor({ file, label, saveDelayMs = SAVE_DELAY_MS, logger = console }) {
+    this.file = file;
+    this.label = label;
+    this.saveDelayMs = saveDelayMs;
+    this.logger = logger;
+    this.entries = new Map();
+    this._saveTimer = null;
+    this._load();
+  }
+
+  _load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const [key, entry] of Object.entries(data.entries || {})) this.entries.set(key, entry);
+      this.logger.log(`${this.label} geladen: ${this.entries.size} Einträge aus ${this.file}`);
+    } catch (e) {
+      this.logger.log(`${this.label}: Datei nicht lesbar (${e.message}) – starte leer`);
+    }
+  }
+
+  // Nach einer Änderung aufrufen; mehrere Änderungen innerhalb von saveDelayMs ergeben einen Schreibvorgang
+  _scheduleSave() {
+    if (!this.file || this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.flush();
+    }, this.saveDelayMs);
+    this._saveTimer.unref();
+  }
+
+  // Sofort auf Platte schreiben (temporäre Datei + rename)
+  flush() {
+    if (!this.file) return;
+    if (this._saveTimer) { clearTimeout(this._saveTimer); this._saveTimer = null; }
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries: Object.fromEntries(this.entries) }));
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      this.logger.error(`${this.label}: Speichern fehlgeschlagen: ${e.message}`);
+    }
+  }
+}
+
+module.exports = { JsonFileStore };
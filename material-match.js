@@ -0,0 +1,110 @@
+/* material-match.js */
+// Werkstoff-Normalisierung: Werkstoffnummern, EN/DIN-Kurznamen und Handelsnamen desselben Werkstoffs
+// ("1.4301", "X5CrNi18-10", "V2A", "Edelstahl 1.4301") werden über die Synonymtabelle
+// material-synonyms.json auf eine kanonische Bezeichnung abgebildet.
+
+const fs = require('fs');
+const path = require('path');
+
+const SYNONYMS_FILE = process.env.MATERIAL_SYNONYMS_FILE || path.join(__dirname, 'material-synonyms.json');
+const MAX_WORDS = 4; // längste Bezeichnung in Wörtern, die in Freitext gesucht wird ("Polyethylen hoher Dichte")
+
+function synonymError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Vergleichsschlüssel: ohne Groß-/Kleinschreibung, Leerzeichen, Punkte, Bindestriche usw.
+function designationKey(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .replace(/[\s.,\-_/+]+/g, '');
+}
+
+function normText(v) { return v == null ? '' : String(v).trim().toLowerCase().replace(/\s+/g, ' '); }
+
+/**
+ * Synonymtabelle prüfen und in einen Suchindex umwandeln
+ * @param {Buffer|string|Object} source - JSON { materials: [{ canonical: "1.4301", synonyms: ["X5CrNi18-10", "V2A"] }] }
+ * @returns {Map<string, string>} - Vergleichsschlüssel → kanonische Bezeichnung
+ */
+function loadMaterialSynonyms(source) {
+  let data = source;
+  if (Buffer.isBuffer(data)) data = data.toString('utf8');
+  if (typeof data === 'string') {
+    try { data = JSON.parse(data); }
+    catch (e) { throw synonymError(`Werkstoff-Synonyme sind kein gültiges JSON: ${e.message}`); }
+  }
+  if (!Array.isArray(data?.materials)) throw synonymError('Werkstoff-Synonyme: Liste "materials" fehlt');
+
+  const index = new Map();
+  data.materials.forEach((m, i) => {
+    const where = `Werkstoff-Synonyme, Eintrag ${m?.canonical || '#' + (i + 1)}`;
+    if (!m || typeof m.canonical !== 'string' || !designationKey(m.canonical)) throw synonymError(`${where}: "canonical" fehlt`);
+    if (m.synonyms != null && !Array.isArray(m.synonyms)) throw synonymError(`${where}: "synonyms" ist keine Liste`);
+    for (const name of [m.canonical, ...(m.synonyms || [])]) {
+      const key = designationKey(name);
+      if (!key) continue;
+      const existing = index.get(key);
+      if (existing && existing !== m.canonical) {
+        throw synonymError(`${where}: "${name}" ist bereits ${existing} zugeordnet`);
+      }
+      index.set(key, m.canonical);
+    }
+  });
+  return index;
+}
+
+let defaultSynonyms = null;
+function loadDefaultMaterialSynonyms() {
+  if (!defaultSynonyms) defaultSynonyms = loadMaterialSynonyms(fs.readFileSync(SYNONYMS_FILE, 'utf8'));
+  return defaultSynonyms;
+}
+
+/**
+ * Kanonische Bezeichnung eines Werkstofftextes
+ * Der ganze Text oder darin enthaltene Bezeichnungen ("Edelstahl 1.4301 (V2A)") werden gesucht;
+ * nennt der Text verschiedene Werkstoffe, ist er nicht eindeutig (null).
+ * @param {string} text
+ * @param {Map} [synonyms] - Ergebnis von loadMaterialSynonyms()
+ * @returns {string|null}
+ */
+function canonicalMaterial(text, synonyms = loadDefaultMaterialSynonyms()) {
+  const whole = synonyms.get(designationKey(text));
+  if (whole) return whole;
+
+  const words = String(text ?? '').split(/[\s;()[\]]+/).filter(Boolean);
+  const found = new Set();
+  for (let i = 0; i < words.length; i++) {
+    // längste Bezeichnung ab Wort i zuerst, damit "Polyamid 6.6" nicht als "Polyamid 6" gilt
+    for (let n = Math.min(MAX_WORDS, words.length - i); n >= 1; n--) {
+      const canonical = synonyms.get(designationKey(words.slice(i, i + n).join(' ')));
+      if (canonical) { found.add(canonical); i += n - 1; break; }
+    }
+  }
+  return found.size === 1 ? [...found][0] : null;
+}
+
+/**
+ * Werkstoff aus DB und Web vergleichen
+ * @param {string} dbText
+ * @param {string} webText
+ * @param {Object} [options]
+ * @param {Map} [options.synonyms] - Standard: material-synonyms.json
+ * @returns {{ result: 'equal'|'equivalent'|'mismatch', dbNorm: string, webNorm: string }}
+ *   equivalent: unterschiedliche Bezeichnungen desselben Werkstoffs; Norm = kanonische Bezeichnung, sonst Text
+ */
+function compareMaterials(dbText, webText, { synonyms = loadDefaultMaterialSynonyms() } = {}) {
+  const dbCanonical = canonicalMaterial(dbText, synonyms);
+  const webCanonical = canonicalMaterial(webText, synonyms);
+  const dbNorm = dbCanonical || normText(dbText);
+  const webNorm = webCanonical || normText(webText);
+  let result = 'mismatch';
+  if (normText(dbText) === normText(webText)) result = 'equal';
+  else if (dbCanonical && dbCanonical === webCanonical) result = 'equivalent';
+  return { result, dbNorm, webNorm };
+}
+
+module.exports = { compareMaterials, canonicalMaterial, loadMaterialSynonyms, loadDefaultMaterialSynonyms, SYNONYMS_FILE };
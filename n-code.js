@@ -0,0 +1,115 @@
+/* n-code.js */
+// Fert./Prüfhinweis (N-Code): fünf Segmente Schweißklasse/Zeugnis/Gussklasse/Kleben/Schmieden, z.B. "2/3.1/N/J/A3".
+// Übersetzt die Materialklassifizierung von MoBase (deutsche oder englische Seite) in den Code und vergleicht DB- und
+// Web-Code segmentweise.
+
+// Segmente mit erlaubten Werten (wie Regel FERT-01 in completeness-rules.json); values[0] = nicht relevant
+const SEGMENTS = [
+  { name: 'Schweißklasse', values: ['OHNE', '1', '2', '3'] },
+  { name: 'Zeugnis',       values: ['N', '3.2', '3.1', '2.2', '2.1'] },
+  { name: 'Gussklasse',    values: ['N', 'CL1', 'CL2', 'CL3'] },
+  { name: 'Kleben',        values: ['N', 'J'] },
+  { name: 'Schmieden',     values: ['N', 'A1', 'A2', 'A3', 'A5', 'A+'] }
+];
+
+// Je Segment: Erkennung im Text und Klasse, wenn relevant (null = Klasse nicht angegeben)
+const ASPECTS = [
+  {
+    pattern: /schweiss|weld/,
+    value: (c) => {
+      const m = c.match(/(?:klasse|class|kl\.?|cl)\s*([123])\b/) || c.match(/(?:schweiss|weld)\w*\s+([123])\b/);
+      return m ? m[1] : null;
+    }
+  },
+  {
+    pattern: /zeugnis|bescheinigung|certificate|10204|\bapz\b/,
+    value: (c) => {
+      const m = c.match(/\b([23])\s*[.,]\s*([12])\b/);
+      return m ? `${m[1]}.${m[2]}` : null;
+    }
+  },
+  {
+    pattern: /guss|\bcast/,
+    value: (c) => {
+      const m = c.match(/(?:cl|klasse|class)\s*([123])\b/);
+      return m ? `CL${m[1]}` : null;
+    }
+  },
+  {
+    pattern: /kleb|\bbond|adhesi/,
+    value: () => 'J'
+  },
+  {
+    pattern: /schmied|\bforg/,
+    value: (c) => {
+      const m = c.match(/\ba\s*([1-5]|\+)(?!\d)/);
+      return m ? `A${m[1]}` : null;
+    }
+  }
+];
+
+// „OHNE/N  /N  /N/N “ -> "OHNE/N/N/N/N"
+function normalizeNCode(s) {
+  if (!s) return '';
+  return String(s).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Materialklassifizierung (MoBase) in die fünf Segmente übersetzen
+ * Der Text wird in Abschnitte zerlegt (";", Zeilenumbruch, "," außer nach Ergänzungsstrich wie in
+ * "Nicht schweiß-, guss-, klebe-, schmiederelevant" oder in der Aufzählung nach "not relevant for" wie in
+ * "Not relevant for welding, casting, bonding, forging"); "nicht", "kein", "ohne", "not", "no" und "without" gelten
+ * für den ganzen Abschnitt.
+ * Nicht erwähnte Aspekte sind nicht relevant.
+ * @param {string} text - z.B. "Schweißklasse 2; Abnahmeprüfzeugnis 3.1; nicht gussrelevant; klebrelevant; Schmiedeklasse A3"
+ * @returns {{ segments: Array<string|null>, code: string|null }|null} - null, wenn der Text keinen Aspekt nennt;
+ *   code nur, wenn alle Segmente bestimmt sind (z.B. "schweißrelevant" ohne Klasse → Segment null, code null)
+ */
+function parseMaterialClassification(text) {
+  if (!text) return null;
+  const clauses = String(text).toLowerCase().replace(/ß/g, 'ss')
+    .replace(/\bnot relevant (?:for|to)\b[^;\n|]*/g, list => list.replace(/\s*,\s*/g, ' and '))
+    .split(/[;\n|]+|(?<!-)\s*,\s*/);
+  const segments = SEGMENTS.map(() => undefined);
+  for (const clause of clauses) {
+    const negated = /\b(nicht|kein\w*|ohne|not|no|non|without)\b/.test(clause);
+    ASPECTS.forEach((aspect, i) => {
+      if (!aspect.pattern.test(clause)) return;
+      const value = negated ? SEGMENTS[i].values[0] : aspect.value(clause);
+      segments[i] = SEGMENTS[i].values.includes(value) ? value : null;
+    });
+  }
+  if (segments.every(s => s === undefined)) return null;
+  const resolved = segments.map((s, i) => s === undefined ? SEGMENTS[i].values[0] : s);
+  return { segments: resolved, code: resolved.includes(null) ? null : resolved.join('/') };
+}
+
+/**
+ * DB- und Web-Code segmentweise vergleichen
+ * @param {string} dbCode - z.B. "OHNE/N/N/N/N"
+ * @param {string} webCode
+ * @returns {{ equal: boolean, segments: Array<{ name, db, web, equal }>|null }} - segments null, wenn ein Code
+ *   nicht aus fünf Segmenten besteht (dann Vergleich des ganzen Codes)
+ */
+function compareNCodes(dbCode, webCode) {
+  const db = normalizeNCode(dbCode);
+  const web = normalizeNCode(webCode);
+  const dbParts = db.split('/');
+  const webParts = web.split('/');
+  if (dbParts.length !== SEGMENTS.length || webParts.length !== SEGMENTS.length) {
+    return { equal: db === web, segments: null };
+  }
+  const segments = SEGMENTS.map((seg, i) => ({ name: seg.name, db: dbParts[i], web: webParts[i], equal: dbParts[i] === webParts[i] }));
+  return { equal: segments.every(s => s.equal), segments };
+}
+
+// Abweichende Segmente als Text, z.B. "2 Zeugnis: DB 3.1, Web 3.2"
+function describeSegmentDiff(segments) {
+  if (!segments) return '';
+  return segments
+    .map((s, i) => s.equal ? null : `${i + 1} ${s.name}: DB ${s.db || '—'}, Web ${s.web}`)
+    .filter(Boolean)
+    .join('; ');
+}
+
+module.exports = { SEGMENTS, normalizeNCode, parseMaterialClassification, compareNCodes, describeSegmentDiff };
@@ -0,0 +1,208 @@
+/* providers.js */
+// Anbieter-Plug-ins: Herstellerportale, deren Produktseiten gescraped werden (Siemens Mobility/MoBase und weitere).
+// providers.json listet die Anbieter mit Modul, ID-Präfixen und Lieferantennamen; jede Zeile wird über das Präfix
+// ihrer Produkt-ID oder über die Lieferantenspalte einem Anbieter zugeordnet. Neue Anbieter brauchen nur ein Modul
+// und einen Eintrag in providers.json.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROVIDERS_FILE = process.env.PROVIDERS_FILE || path.join(__dirname, 'providers.json');
+const NOT_FOUND = 'Nicht gefunden';
+
+/**
+ * Schnittstelle eines Anbieters: Rückgabe von createProvider(config) des Provider-Moduls
+ * Ergebnisse von extract/extractFromPage haben die gemeinsamen Felder A2V (Produkt-ID), URL, Produkttitel,
+ * 'Weitere Artikelnummer', Gewicht, Abmessung, Werkstoff, Materialklassifizierung (fehlend: 'Nicht gefunden'),
+ * Spezifikationen (alle technischen Daten) und Status (Quelle, z.B. 'HTTP-Parser').
+ * @typedef {Object} Provider
+ * @property {string} id
+ * @property {string} label - Anzeigename
+ * @property {string[]} [prefixes] - Produkt-IDs mit diesem Präfix gehören zum Anbieter (providers.json hat Vorrang)
+ * @property {string[]} [suppliers] - Lieferantennamen für die Lieferantenspalte (providers.json hat Vorrang)
+ * @property {Function} productUrl - (id, lang?) => URL der Produktseite (in der Sprachversion lang)
+ * @property {Function} extract - (html, { id, url, lang }) => Ergebnis; Schlüssel anderer Sprachen möglichst wie in der Hauptsprache
+ * @property {string[]} [languages] - Sprachversionen, erste = Hauptsprache; fehlende Felder ergänzt der Scraper aus den weiteren
+ * @property {Function} [searchUrl] - (Herstellartikelnummer) => URL der Suchergebnisse; ohne = keine Produktsuche
+ * @property {Function} [parseSearchResults] - (html) => [{ id, title }] in Trefferreihenfolge
+ * @property {Function} [extractFromPage] - async (page, { id, url, lang }) => Ergebnis aus einer Playwright-Seite (Browser-Fallback)
+ */
+
+// -------- Hilfsfunktionen für Provider-Module ----------
+
+// Schlüssel/Wert-Paar in die vollständige Spezifikationsliste übernehmen (erster Wert je Schlüssel gewinnt)
+function addSpecification(specs, key, value) {
+  const k = String(key ?? '').replace(/\s+/g, ' ').trim();
+  const v = String(value ?? '').trim();
+  if (k && v && !(k in specs)) specs[k] = v;
+}
+
+/**
+ * Feldsuche in den Spezifikationen: pick(['material', 'klass']) liefert den ersten Wert, dessen Schlüssel
+ * (ohne Groß-/Kleinschreibung) alle Teile enthält; exclude schließt Schlüssel mit einem der Teile aus
+ * @returns {Function} - (needles, exclude = []) => Wert oder null
+ */
+function specPicker(specs) {
+  const kv = {};
+  for (const [k, v] of Object.entries(specs)) {
+    const low = k.toLowerCase();
+    if (!(low in kv)) kv[low] = v;
+  }
+  return (needles, exclude = []) => {
+    for (const [k, v] of Object.entries(kv)) {
+      if (needles.every(n => k.includes(n)) && !exclude.some(n => k.includes(n))) return v;
+    }
+    return null;
+  };
+}
+
+// -------- Registry ----------
+
+const normName = (v) => String(v ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+class ProviderRegistry {
+  /**
+   * @param {Provider[]} providers - Reihenfolge = Vorrang bei überlappenden Präfixen
+   * @param {Object} [options]
+   * @param {string} [options.defaultId] - Anbieter für die Produktsuche ohne Lieferantenangabe, Standard: der erste
+   * @param {string[]} [options.supplierHeaders] - Überschriften der Lieferantenspalte
+   */
+  constructor(providers, { defaultId, supplierHeaders = [] } = {}) {
+    this.providers = providers.map(p => ({
+      ...p,
+      prefixes: (p.prefixes || []).map(s => s.trim().toUpperCase()),
+      suppliers: (p.suppliers || []).map(normName)
+    }));
+    this.defaultProvider = this.get(defaultId) || this.providers[0] || null;
+    this.supplierHeaders = supplierHeaders;
+  }
+
+  get(id) {
+    return this.providers.find(p => p.id === id) || null;
+  }
+
+  // Anbieter zu einem Lieferantennamen; "Siemens Mobility GmbH" passt zu "Siemens" und "Siemens Mobility"
+  forSupplier(supplier) {
+    const name = normName(supplier);
+    if (!name) return null;
+    return this.providers.find(p => p.suppliers.some(s => name === s || name.startsWith(`${s} `))) || null;
+  }
+
+  /**
+   * Anbieter einer Zeile: ist ein Lieferant bekannt, gilt dessen Anbieter (die ID muss zu seinen Präfixen passen,
+   * sofern er welche hat), sonst der erste Anbieter mit passendem ID-Präfix
+   * @returns {Provider|null} - null = keine gültige Produkt-ID für einen Anbieter
+   */
+  route(productId, supplier) {
+    const id = String(productId ?? '').trim().toUpperCase();
+    if (!id) return null;
+    const bySupplier = this.forSupplier(supplier);
+    const accepts = (p) => p.prefixes.some(prefix => id.startsWith(prefix));
+    if (bySupplier) return !bySupplier.prefixes.length || accepts(bySupplier) ? bySupplier : null;
+    return this.providers.find(p => p.prefixes.length && accepts(p)) || null;
+  }
+
+  // Anbieter für die Produktsuche nach Herstellartikelnummer: der des Lieferanten, ohne Lieferant der Standardanbieter
+  searchProvider(supplier) {
+    const provider = this.forSupplier(supplier) || this.defaultProvider;
+    return provider?.searchUrl ? provider : null;
+  }
+
+  describe() {
+    return this.providers.map(p => ({
+      id: p.id,
+      label: p.label,
+      prefixes: p.prefixes,
+      suppliers: p.suppliers,
+      default: p === this.defaultProvider,
+      search: !!p.searchUrl,
+      browserFallback: !!p.extractFromPage,
+      languages: p.languages || [],
+      baseUrl: p.baseUrl || null
+    }));
+  }
+}
+
+// -------- Laden und Prüfen ----------
+
+function providersError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const isStringList = (v) => Array.isArray(v) && v.every(s => typeof s === 'string' && s.trim());
+
+/**
+ * Anbieter-Konfiguration prüfen und die Provider-Module laden
+ * @param {Buffer|string|Object} source - JSON { default?, supplierHeaders?, providers: [{ id, module, label?, prefixes?,
+ *   suppliers?, ...weitere Optionen für createProvider }] }
+ * @param {Object} [options]
+ * @param {string} [options.baseDir] - Basis für relative Modulpfade, Standard: Verzeichnis von PROVIDERS_FILE
+ * @returns {ProviderRegistry}
+ */
+function loadProviders(source, { baseDir = path.dirname(PROVIDERS_FILE) } = {}) {
+  let data = source;
+  if (Buffer.isBuffer(data)) data = data.toString('utf8');
+  if (typeof data === 'string') {
+    try { data = JSON.parse(data); }
+    catch (e) { throw providersError(`Anbieter-Konfiguration ist kein gültiges JSON: ${e.message}`); }
+  }
+  if (!Array.isArray(data?.providers) || !data.providers.length) throw providersError('Anbieter-Konfiguration braucht eine Liste "providers".');
+  if (data.supplierHeaders !== undefined && !isStringList(data.supplierHeaders)) throw providersError('"supplierHeaders" muss eine Liste von Überschriften sein.');
+
+  const problems = [];
+  const providers = [];
+  data.providers.forEach((entry, i) => {
+    const where = `Anbieter ${entry?.id || '#' + (i + 1)}`;
+    if (!entry || typeof entry !== 'object') return problems.push(`${where}: Objekt erwartet`);
+    if (typeof entry.id !== 'string' || !/^[a-z][\w-]*$/i.test(entry.id)) return problems.push(`${where}: "id" fehlt oder ist kein Bezeichner`);
+    if (providers.some(p => p.id === entry.id)) return problems.push(`${where}: "id" doppelt vergeben`);
+    if (typeof entry.module !== 'string' || !entry.module.trim()) return problems.push(`${where}: "module" fehlt`);
+    for (const key of ['prefixes', 'suppliers']) {
+      if (entry[key] !== undefined && !isStringList(entry[key])) problems.push(`${where}: "${key}" muss eine Liste von Texten sein`);
+    }
+
+    let provider;
+    try {
+      const mod = require(path.resolve(baseDir, entry.module));
+      if (typeof mod.createProvider !== 'function') return problems.push(`${where}: Modul ${entry.module} exportiert kein createProvider()`);
+      provider = mod.createProvider(entry);
+    } catch (e) {
+      return problems.push(`${where}: Modul ${entry.module} nicht ladbar (${e.message})`);
+    }
+    for (const fn of ['productUrl', 'extract']) {
+      if (typeof provider?.[fn] !== 'function') problems.push(`${where}: ${fn}() fehlt`);
+    }
+    if (provider?.searchUrl && typeof provider.parseSearchResults !== 'function') problems.push(`${where}: searchUrl() ohne parseSearchResults()`);
+    const merged = {
+      ...provider,
+      id: entry.id,
+      label: entry.label || provider?.label || entry.id,
+      prefixes: entry.prefixes || provider?.prefixes || [],
+      suppliers: entry.suppliers || provider?.suppliers || []
+    };
+    if (!merged.prefixes.length && !merged.suppliers.length) problems.push(`${where}: braucht "prefixes" oder "suppliers", sonst wird ihm keine Zeile zugeordnet`);
+    providers.push(merged);
+  });
+  if (data.default !== undefined && !providers.some(p => p.id === data.default)) problems.push(`"default": unbekannter Anbieter "${data.default}"`);
+  if (problems.length) throw providersError(`Ungültige Anbieter-Konfiguration – ${problems.join('; ')}`);
+
+  return new ProviderRegistry(providers, { defaultId: data.default, supplierHeaders: data.supplierHeaders || [] });
+}
+
+let defaultRegistry = null;
+function loadDefaultProviders() {
+  if (!defaultRegistry) defaultRegistry = loadProviders(fs.readFileSync(PROVIDERS_FILE, 'utf8'));
+  return defaultRegistry;
+}
+
+module.exports = {
+  PROVIDERS_FILE,
+  NOT_FOUND,
+  ProviderRegistry,
+  loadProviders,
+  loadDefaultProviders,
+  addSpecification,
+  specPicker
+};
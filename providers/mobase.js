@@ -0,0 +1,248 @@
+// providers/mobase.js - Siemens Mobility (mymobase.com): Produktseiten /p/<A2V>, Produktsuche /search?text=
+// Erst das eingebettete initialData-JSON, sonst Tabellen und Definitionslisten der Seite.
+// Fehlen Felder auf der deutschen Seite, ergänzt der Scraper sie aus der englischen (/en/p/<A2V>); deren
+// Schlüssel werden dafür auf die deutschen abgebildet.
+
+const cheerio = require('cheerio');
+const { NOT_FOUND, addSpecification, specPicker } = require('../providers');
+
+// Basis-URL der Produktseiten (für Tests/Entwicklung z.B. auf den lokalen Fake-Server umstellen)
+const MOBASE_BASE_URL = (process.env.MOBASE_BASE_URL || 'https://www.mymobase.com/de').replace(/\/+$/, '');
+// Sprachversionen, aus denen fehlende Felder ergänzt werden (kommagetrennt, leer = keine)
+const MOBASE_FALLBACK_LANGS = String(process.env.MOBASE_FALLBACK_LANGS ?? 'en').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+// Englische Schlüssel der technischen Daten -> deutsche (Feldsuche und Feldzuordnung arbeiten mit den deutschen);
+// Vergleich ohne Groß-/Kleinschreibung, unbekannte Schlüssel bleiben englisch
+const SPEC_KEYS_EN = {
+  'additional material number': 'Weitere Artikelnummer',
+  'additional material numbers': 'Weitere Artikelnummer',
+  'weight': 'Gewicht',
+  'net weight': 'Gewicht',
+  'gross weight': 'Bruttogewicht',
+  'dimensions': 'Abmessungen',
+  'dimension': 'Abmessungen',
+  'material': 'Werkstoff',
+  'material classification': 'Materialklassifizierung',
+  'surface': 'Oberfläche',
+  'colour': 'Farbe',
+  'color': 'Farbe',
+  'volume': 'Volumen',
+  'country of origin': 'Ursprungsland',
+  'customs tariff number': 'Zolltarifnummer'
+};
+
+// Schlüssel der technischen Daten in der Sprache der Feldsuche
+function specKey(key, lang = 'de') {
+  if (lang !== 'en') return key;
+  return SPEC_KEYS_EN[String(key ?? '').replace(/\s+/g, ' ').trim().toLowerCase()] || key;
+}
+
+function a2vUrl(a2v, baseUrl = MOBASE_BASE_URL) {
+  const id = String(a2v || '').trim();
+  return `${baseUrl}/p/${id}`;
+}
+
+function searchUrl(query, baseUrl = MOBASE_BASE_URL) {
+  return `${baseUrl}/search?text=${encodeURIComponent(String(query || '').trim())}`;
+}
+
+// Treffer einer Suchergebnisseite: Links auf Produktseiten, in Reihenfolge, je A2V einmal
+function parseSearchResults(html) {
+  const $ = cheerio.load(html);
+  const hits = [];
+  $('a[href]').each((_, a) => {
+    const m = String($(a).attr('href')).match(/\/p\/(A2V\d+)/i);
+    if (!m) return;
+    const id = m[1].toUpperCase();
+    const title = $(a).text().replace(/\s+/g, ' ').trim();
+    const hit = hits.find(h => h.id === id);
+    if (!hit) hits.push({ id, title });
+    else if (!hit.title) hit.title = title;
+  });
+  return hits;
+}
+
+function extractJsonInitialData(html) {
+  // Verschiedene mögliche JSON-Formate versuchen
+  const patterns = [
+    /window\.initialData\[['"]product\/dataProduct['"]]\s*=\s*(\{[\s\S]*?\});\s*<\/script>/i,
+    /window\.initialData\s*=\s*(\{[\s\S]*?\});\s*<\/script>/i,
+    /initialData\[['"]product\/dataProduct['"]]\s*=\s*(\{[\s\S]*?\});/i,
+    /initialData\s*=\s*(\{[\s\S]*?\});/i
+  ];
+
+  for (const pattern of patterns) {
+    const m = html.match(pattern);
+    if (m) {
+      try {
+        return JSON.parse(m[1]);
+      } catch {
+        // kein gültiges JSON – nächstes Muster versuchen
+      }
+    }
+  }
+  return null;
+}
+
+// lang: Sprache der Seite, englische Schlüssel werden übersetzt (siehe SPEC_KEYS_EN)
+function mapFromInitialData(obj, a2v, url, lang = 'de') {
+  try {
+    const product = obj?.data?.product || {};
+    const ts = product?.localizations?.technicalSpecifications || product?.technicalSpecifications || [];
+    const specs = {};
+    for (const item of ts) {
+      if (!item || typeof item !== 'object') continue;
+      addSpecification(specs, specKey(item.key, lang), item.value);
+    }
+    const pick = specPicker(specs);
+
+    const weitere = pick(['weitere','artikelnummer']) || product.additionalMaterialNumbers || product.baseProductAdditionalMaterialNumbers || NOT_FOUND;
+    let gewicht = pick(['gewicht']) || null;
+    if (!gewicht && typeof product.weight === 'number') gewicht = `${product.weight.toString().replace('.', ',')} kg`;
+    if (!gewicht) gewicht = NOT_FOUND;
+    const materialklass = pick(['materialklassifizierung']) || product.materialClassification || NOT_FOUND;
+    const name = product.name || NOT_FOUND;
+    const code = product.code || a2v;
+
+    // Abmessungen extrahieren - erweiterte Suche
+    const abmessung = ['abmess', 'dimension', 'größe', 'size', 'maße', 'measure', 'länge', 'breite', 'höhe', 'length', 'width', 'height']
+      .map(n => pick([n])).find(Boolean) || NOT_FOUND;
+
+    return {
+      A2V: code,
+      URL: url,
+      Produkttitel: name,
+      'Weitere Artikelnummer': weitere,
+      Gewicht: gewicht,
+      Abmessung: abmessung,
+      Werkstoff: pickMaterial(pick) || NOT_FOUND,
+      Materialklassifizierung: materialklass,
+      Spezifikationen: specs,
+      Status: 'initialData JSON'
+    };
+  } catch { return null; }
+}
+
+// Werkstoff: "Werkstoff" oder ein Material-Schlüssel, der nicht die Materialklassifizierung ist
+function pickMaterial(pick) {
+  return pick(['werkstoff']) || pick(['material'], ['klass', 'class']);
+}
+
+// Gemeinsame Felder aus Schlüssel/Wert-Paaren der Seite (Tabellen, Definitionslisten)
+function mapSpecifications(pairs, { a2v, url, title, status, lang }) {
+  const specs = {};
+  for (const [k, v] of pairs) addSpecification(specs, specKey(k, lang), v);
+  const pick = specPicker(specs);
+  return {
+    A2V: a2v,
+    URL: url,
+    Produkttitel: String(title || '').replace(' | MoBase', '').trim() || NOT_FOUND,
+    'Weitere Artikelnummer':
+      pick(['weitere','artikelnummer']) ||
+      pick(['additional','material','number']) ||
+      pick(['part','number']) || NOT_FOUND,
+    Gewicht:  pick(['gewicht']) || pick(['weight']) || NOT_FOUND,
+    Abmessung: pick(['abmess']) || pick(['dimension']) || pick(['größe']) || pick(['size']) || NOT_FOUND,
+    Werkstoff: pickMaterial(pick) || NOT_FOUND,
+    Materialklassifizierung: pick(['material','klass']) || pick(['material','class']) || NOT_FOUND,
+    Spezifikationen: specs,
+    Status: status
+  };
+}
+
+// Produktseite ohne initialData: Tabellen und Definitionslisten
+function parseProductPage(html, { id, url, lang }) {
+  const $ = cheerio.load(html);
+  const pairs = [];
+  $('table').each((_, t) => {
+    $(t).find('tr').each((_, tr) => {
+      const tds = $(tr).find('td,th');
+      if (tds.length >= 2) pairs.push([$(tds[0]).text(), $(tds[1]).text()]);
+    });
+  });
+  $('dl').each((_, dl) => {
+    const dts = $(dl).find('dt'); const dds = $(dl).find('dd');
+    for (let i=0;i<Math.min(dts.length, dds.length); i++) pairs.push([$(dts[i]).text(), $(dds[i]).text()]);
+  });
+  const title = $('h1, .product-title').first().text() || $('title').first().text();
+  return mapSpecifications(pairs, { a2v: id, url, title, status: 'HTTP-Parser', lang });
+}
+
+function extract(html, { id, url, lang }) {
+  const initObj = extractJsonInitialData(html);
+  return (initObj && mapFromInitialData(initObj, id, url, lang)) || parseProductPage(html, { id, url, lang });
+}
+
+// Browser-Fallback: dieselbe Auswertung in der geladenen Playwright-Seite
+async function extractFromPage(page, { id, url, lang }) {
+  const initJson = await page.evaluate(() => {
+    const re = /window\.initialData\[['"]product\/dataProduct['"]]\s*=\s*(\{[\s\S]*?\});/i;
+    for (const s of document.querySelectorAll('script')) {
+      const t = s.textContent || '';
+      const m = t.match(re);
+      if (m) return m[1];
+    }
+    return null;
+  });
+  if (initJson) {
+    try {
+      const mapped = mapFromInitialData(JSON.parse(initJson), id, url, lang);
+      if (mapped) return mapped;
+    } catch {}
+  }
+  const pairs = await page.evaluate(() => {
+    const data = [];
+    document.querySelectorAll('table').forEach(t => {
+      t.querySelectorAll('tr').forEach(tr => {
+        const tds = tr.querySelectorAll('td,th');
+        if (tds.length >= 2) data.push([tds[0].textContent, tds[1].textContent]);
+      });
+    });
+    document.querySelectorAll('dl').forEach(dl => {
+      const dts = dl.querySelectorAll('dt'); const dds = dl.querySelectorAll('dd');
+      for (let i=0;i<Math.min(dts.length, dds.length); i++) data.push([dts[i].textContent, dds[i].textContent]);
+    });
+    return data;
+  });
+  const title = await page.locator('h1, .product-title').first().textContent().catch(() => '');
+  return mapSpecifications(pairs, { a2v: id, url, title, status: 'Playwright', lang });
+}
+
+/**
+ * @param {Object} [config] - Eintrag aus providers.json
+ * @param {string} [config.baseUrl] - Standard: MOBASE_BASE_URL; endet sie auf eine Sprache (/de), gibt es Sprachversionen
+ * @param {string[]} [config.fallbackLanguages] - Standard: MOBASE_FALLBACK_LANGS
+ * @returns {import('../providers').Provider}
+ */
+function createProvider({ baseUrl = MOBASE_BASE_URL, fallbackLanguages = MOBASE_FALLBACK_LANGS } = {}) {
+  baseUrl = baseUrl.replace(/\/+$/, '');
+  const primary = (baseUrl.match(/\/([a-z]{2})$/i) || [])[1]?.toLowerCase();
+  // Basis-URL einer Sprachversion: letzter Pfadteil ersetzt
+  const localeUrl = (lang) => lang && primary ? baseUrl.replace(/\/[a-z]{2}$/i, `/${lang}`) : baseUrl;
+  return {
+    id: 'mobase',
+    label: 'Siemens Mobility (MoBase)',
+    prefixes: ['A2V'],
+    suppliers: ['Siemens', 'Siemens Mobility'],
+    baseUrl,
+    languages: primary ? [primary, ...fallbackLanguages.filter(l => l !== primary)] : undefined,
+    productUrl: (id, lang) => a2vUrl(id, localeUrl(lang)),
+    searchUrl: (query) => searchUrl(query, baseUrl),
+    parseSearchResults,
+    extract,
+    extractFromPage
+  };
+}
+
+module.exports = {
+  MOBASE_BASE_URL,
+  MOBASE_FALLBACK_LANGS,
+  createProvider,
+  specKey,
+  a2vUrl,
+  searchUrl,
+  parseSearchResults,
+  extractJsonInitialData,
+  mapFromInitialData,
+  parseProductPage
+};
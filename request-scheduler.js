@@ -0,0 +1,161 @@
+/* request-scheduler.js */
+// Rücksichtsvolles Scrapen: Mindestabstand zwischen Anfragen je Host, Wiederholung vorübergehender Fehler
+// (Netzwerk, Timeout, HTTP 429/5xx) mit exponentiellem Backoff und Jitter, Beachtung von Retry-After
+// und ein Circuit Breaker, der den Lauf pausiert, solange der Host nicht antwortet.
+
+const SCRAPE_MIN_INTERVAL_MS = Number(process.env.SCRAPE_MIN_INTERVAL_MS ?? 250);       // je Host
+const SCRAPE_RETRIES = Number(process.env.SCRAPE_RETRIES ?? 3);
+const SCRAPE_BACKOFF_MS = Number(process.env.SCRAPE_BACKOFF_MS ?? 1000);                 // erste Wartezeit
+const SCRAPE_BACKOFF_MAX_MS = Number(process.env.SCRAPE_BACKOFF_MAX_MS ?? 30000);
+const SCRAPE_BREAKER_THRESHOLD = Number(process.env.SCRAPE_BREAKER_THRESHOLD ?? 5);      // Fehler in Folge
+const SCRAPE_BREAKER_COOLDOWN_MS = Number(process.env.SCRAPE_BREAKER_COOLDOWN_MS ?? 60000);
+const SCRAPE_BREAKER_MAX_PAUSES = Number(process.env.SCRAPE_BREAKER_MAX_PAUSES ?? 3);    // danach sofort Fehler
+
+// HTTP-Status, bei denen sich ein neuer Versuch lohnt
+const TRANSIENT_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After als Sekunden oder HTTP-Datum -> Wartezeit in ms (null = keine Angabe)
+function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function hostOf(url) {
+  try { return new URL(url).host; } catch { return String(url); }
+}
+
+class RequestScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minIntervalMs] - Mindestabstand zwischen zwei Anfragen an denselben Host
+   * @param {number} [options.retries] - Wiederholungen vorübergehender Fehler
+   * @param {number} [options.baseDelayMs] - Backoff: baseDelayMs * 2^n, höchstens maxDelayMs, mit Jitter (50–100 %)
+   * @param {number} [options.maxDelayMs]
+   * @param {number} [options.breakerThreshold] - vorübergehende Fehler in Folge, nach denen der Host pausiert wird
+   * @param {number} [options.breakerCooldownMs] - Dauer einer Pause
+   * @param {number} [options.breakerMaxPauses] - Pausen in Folge ohne Erfolg, danach schlagen Anfragen sofort fehl
+   * @param {Function} [options.sleep] - für Tests
+   * @param {Function} [options.random] - für Tests
+   * @param {Function} [options.now] - für Tests
+   * @param {Object} [options.logger] - Ausgabe für Meldungen (Pausen des Circuit Breakers), Standard: console
+   */
+  constructor({
+    minIntervalMs = SCRAPE_MIN_INTERVAL_MS,
+    retries = SCRAPE_RETRIES,
+    baseDelayMs = SCRAPE_BACKOFF_MS,
+    maxDelayMs = SCRAPE_BACKOFF_MAX_MS,
+    breakerThreshold = SCRAPE_BREAKER_THRESHOLD,
+    breakerCooldownMs = SCRAPE_BREAKER_COOLDOWN_MS,
+    breakerMaxPauses = SCRAPE_BREAKER_MAX_PAUSES,
+    sleep: sleepFn = sleep,
+    random = Math.random,
+    now = Date.now,
+    logger = console
+  } = {}) {
+    Object.assign(this, { minIntervalMs, retries, baseDelayMs, maxDelayMs, breakerThreshold, breakerCooldownMs, breakerMaxPauses });
+    this.sleep = sleepFn;
+    this.random = random;
+    this.now = now;
+    this.logger = logger;
+    this.hosts = new Map();
+  }
+
+  _host(host) {
+    if (!this.hosts.has(host)) this.hosts.set(host, { nextSlot: 0, failures: 0, openUntil: 0, pauses: 0 });
+    return this.hosts.get(host);
+  }
+
+  // Auf den nächsten freien Zeitschlitz des Hosts warten; bei offenem Circuit Breaker bis zum Ende der Pause
+  async _acquire(host) {
+    const h = this._host(host);
+    for (;;) {
+      const now = this.now();
+      if (h.openUntil > now) {
+        if (h.pauses > this.breakerMaxPauses) {
+          const err = new Error(`${host} nicht erreichbar (Circuit Breaker offen)`);
+          err.transient = true;
+          throw err;
+        }
+        await this.sleep(h.openUntil - now);
+        continue;
+      }
+      const slot = Math.max(now, h.nextSlot);
+      h.nextSlot = slot + this.minIntervalMs;
+      if (slot > now) await this.sleep(slot - now);
+      if (h.openUntil <= this.now()) return h;
+    }
+  }
+
+  _success(h) {
+    h.failures = 0;
+    h.pauses = 0;
+  }
+
+  _failure(h, host) {
+    h.failures++;
+    const now = this.now();
+    if (h.failures >= this.breakerThreshold && h.openUntil <= now) {
+      h.openUntil = now + this.breakerCooldownMs;
+      h.pauses++;
+      this.logger.log(`${host}: ${h.failures} Fehler in Folge – Anfragen pausieren ${Math.round(this.breakerCooldownMs / 1000)} s`);
+    }
+  }
+
+  backoff(attempt) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(delay * (0.5 + this.random() / 2));
+  }
+
+  /**
+   * Anfrage an einen Host ausführen
+   * attempt() wirft bei Fehlern ein Error mit transient=true (neuer Versuch sinnvoll) und optional retryAfterMs.
+   * @param {string} url - bestimmt den Host für Rate-Limit und Circuit Breaker
+   * @param {Function} attempt - async () => Ergebnis
+   * @param {Object} [options]
+   * @param {number} [options.retries] - abweichende Anzahl Wiederholungen (0 = nur Rate-Limit)
+   * @returns {Promise<{ value: *, retries: number }>} - Fehler tragen err.retries
+   */
+  async run(url, attempt, { retries: maxRetries = this.retries } = {}) {
+    const host = hostOf(url);
+    let retries = 0;
+    for (;;) {
+      let h;
+      try {
+        h = await this._acquire(host);
+        const value = await attempt();
+        this._success(h);
+        return { value, retries };
+      } catch (err) {
+        err.retries = retries;
+        if (!h) throw err;                    // Circuit Breaker
+        if (!err.transient) {                 // Host hat geantwortet (z.B. 404)
+          this._success(h);
+          throw err;
+        }
+        this._failure(h, host);
+        if (retries >= maxRetries) throw err;
+        if (err.retryAfterMs != null) h.nextSlot = Math.max(h.nextSlot, this.now() + err.retryAfterMs);
+        await this.sleep(Math.max(this.backoff(retries), err.retryAfterMs || 0));
+        retries++;
+      }
+    }
+  }
+
+  // Zustand je Host (z.B. für /api/health)
+  describe() {
+    const now = this.now();
+    return Array.from(this.hosts, ([host, h]) => ({
+      host,
+      paused: h.openUntil > now,
+      resumeAt: h.openUntil > now ? new Date(h.openUntil).toISOString() : null,
+      failures: h.failures
+    }));
+  }
+}
+
+module.exports = { RequestScheduler, TRANSIENT_STATUS, parseRetryAfter };
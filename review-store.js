@@ -0,0 +1,78 @@
+// review-store.js - Persistente Prüfentscheidungen zu Abweichungen (JSON-Datei).
+// Schlüssel ist A2V + Feld; eine Entscheidung gilt nur, solange DB- und Web-Wert (normalisiert) unverändert sind,
+// damit sie bei geänderten Daten nicht stillschweigend weiter gilt.
+
+const path = require('path');
+const { JsonFileStore } = require('./json-file-store');
+
+const REVIEW_FILE = process.env.REVIEW_FILE || path.join(__dirname, 'data', 'review-decisions.json');
+
+// Entscheidungen und ihre Beschriftung (Notizen, Zusammenfassung, Web-Oberfläche)
+const DECISIONS = {
+  db:      'DB korrekt',
+  web:     'Web übernehmen',
+  unclear: 'unklar'
+};
+
+// Prüfbar sind rote (Abweichung) und orange (Web-Wert fehlt) Zellen
+const REVIEWABLE = new Set(['mismatch', 'missing']);
+
+class ReviewStore extends JsonFileStore {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.file] - Pfad der Datei, null = nur im Speicher
+   */
+  constructor({ file = REVIEW_FILE } = {}) {
+    super({ file, label: 'Prüfentscheidungen' });
+  }
+
+  _key(a2v, field) {
+    return `${String(a2v || '').trim().toUpperCase()}|${field}`;
+  }
+
+  /**
+   * Gültige Entscheidung zu einem Vergleichsergebnis oder null
+   * @param {string} a2v
+   * @param {string} field - Feld aus DB_WEB_PAIRS (z.B. 'weight')
+   * @param {{ dbNorm: string, webNorm: string }} values - normalisierte Werte des aktuellen Vergleichs
+   */
+  lookup(a2v, field, { dbNorm = '', webNorm = '' } = {}) {
+    const entry = this.entries.get(this._key(a2v, field));
+    if (!entry || entry.dbNorm !== (dbNorm || '') || entry.webNorm !== (webNorm || '')) return null;
+    return entry;
+  }
+
+  /**
+   * Entscheidung speichern
+   * @param {string} a2v
+   * @param {string} field
+   * @param {Object} review - { decision: 'db' | 'web' | 'unclear', dbNorm, webNorm, comment? }
+   * @returns {Object} - gespeicherter Eintrag
+   */
+  set(a2v, field, { decision, dbNorm = '', webNorm = '', comment = '' }) {
+    if (!Object.hasOwn(DECISIONS, decision)) {
+      const err = new Error(`Unbekannte Entscheidung: ${decision} (erlaubt: ${Object.keys(DECISIONS).join(', ')})`);
+      err.status = 400;
+      throw err;
+    }
+    const entry = {
+      decision,
+      dbNorm: String(dbNorm || ''),
+      webNorm: String(webNorm || ''),
+      comment: String(comment || '').trim(),
+      decidedAt: new Date().toISOString()
+    };
+    this.entries.set(this._key(a2v, field), entry);
+    this._scheduleSave();
+    return entry;
+  }
+
+  // Entscheidung zurücknehmen, liefert true, wenn es eine gab
+  delete(a2v, field) {
+    const removed = this.entries.delete(this._key(a2v, field));
+    if (removed) this._scheduleSave();
+    return removed;
+  }
+}
+
+module.exports = { ReviewStore, DECISIONS, REVIEWABLE };
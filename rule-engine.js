@@ -0,0 +1,294 @@
+/* rule-engine.js */
+// Deklarative Regeln für die Vollständigkeits- & Plausibilitätsprüfung.
+// Regeln werden aus JSON geladen (Standard: completeness-rules.json) und adressieren Spalten per Überschrift.
+
+const fs = require('fs');
+const path = require('path');
+const { normHeader, plainValue } = require('./utils');
+
+const RULES_FILE = process.env.COMPLETENESS_RULES_FILE || path.join(__dirname, 'completeness-rules.json');
+
+const RULE_TYPES = ['required', 'regex', 'enum-segments', 'range', 'compare', 'at-least-one'];
+const SEVERITIES = ['error', 'warning'];
+const OPERATORS = {
+  '<':  (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>':  (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+function ruleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function isEmpty(v) { return v == null || String(v).trim() === ''; }
+
+function toNum(v) {
+  if (v == null || String(v).trim() === '') return null;
+  const n = Number(String(v).replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+// Spaltenreferenzen einer Regel: "column" (eine) oder "columns" (mehrere)
+function columnRefs(rule) {
+  if (rule.columns != null) return Array.isArray(rule.columns) ? rule.columns : [rule.columns];
+  if (rule.column != null) return [rule.column];
+  return [];
+}
+
+function validateRule(rule, index) {
+  const where = `Regel ${rule?.id || '#' + (index + 1)}`;
+  if (!rule || typeof rule !== 'object') return [`${where}: kein Objekt`];
+  const problems = [];
+  if (!rule.id) problems.push(`${where}: "id" fehlt`);
+  if (!RULE_TYPES.includes(rule.type)) problems.push(`${where}: unbekannter Typ "${rule.type}" (erlaubt: ${RULE_TYPES.join(', ')})`);
+  if (rule.severity != null && !SEVERITIES.includes(rule.severity)) problems.push(`${where}: unbekannte Severity "${rule.severity}"`);
+  if (!columnRefs(rule).length) problems.push(`${where}: "column" oder "columns" fehlt`);
+
+  switch (rule.type) {
+    case 'regex':
+      try { new RegExp(rule.pattern, rule.flags || ''); }
+      catch (e) { problems.push(`${where}: ungültiges Pattern (${e.message})`); }
+      break;
+    case 'enum-segments':
+      if (!Array.isArray(rule.segments) || !rule.segments.every(Array.isArray)) {
+        problems.push(`${where}: "segments" muss eine Liste von Werte-Listen sein`);
+      }
+      break;
+    case 'range':
+      if (['min', 'max', 'exclusiveMin', 'exclusiveMax'].every(k => rule[k] == null)) {
+        problems.push(`${where}: mindestens eine Grenze (min, max, exclusiveMin, exclusiveMax) angeben`);
+      }
+      break;
+    case 'compare':
+      if (!OPERATORS[rule.operator]) problems.push(`${where}: unbekannter Operator "${rule.operator}"`);
+      if (!rule.other) problems.push(`${where}: "other" (Vergleichsspalte) fehlt`);
+      break;
+    case 'at-least-one':
+      if (rule.unless) {
+        try { new RegExp(rule.unless.pattern, rule.unless.flags || ''); }
+        catch (e) { problems.push(`${where}: ungültiges "unless"-Pattern (${e.message})`); }
+      }
+      break;
+  }
+  return problems;
+}
+
+/**
+ * Regelwerk laden und prüfen
+ * @param {Object|string|Buffer} source - Regelwerk als Objekt oder JSON
+ * @returns {{ version: number, rules: Object[] }}
+ */
+function loadRuleSet(source) {
+  let ruleSet = source;
+  if (Buffer.isBuffer(ruleSet)) ruleSet = ruleSet.toString('utf8');
+  if (typeof ruleSet === 'string') {
+    try { ruleSet = JSON.parse(ruleSet.replace(/^\uFEFF/, '')); }
+    catch (e) { throw ruleError(`Regeldatei ist kein gültiges JSON: ${e.message}`); }
+  }
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) throw ruleError('Regeldatei braucht eine Liste "rules".');
+
+  const problems = [];
+  const ids = new Set();
+  ruleSet.rules.forEach((rule, i) => {
+    problems.push(...validateRule(rule, i));
+    if (rule?.id && ids.has(rule.id)) problems.push(`Regel ${rule.id}: "id" doppelt vergeben`);
+    if (rule?.id) ids.add(rule.id);
+  });
+  if (problems.length) throw ruleError(`Ungültige Regeldatei – ${problems.join('; ')}`);
+
+  return {
+    version: ruleSet.version || 1,
+    rules: ruleSet.rules.map(rule => ({ severity: 'error', ...rule }))
+  };
+}
+
+function loadDefaultRuleSet() {
+  return loadRuleSet(fs.readFileSync(RULES_FILE, 'utf8'));
+}
+
+// -------- Spalten auflösen ----------
+function columnIndex(letter) {
+  let index = 0;
+  for (const ch of letter.toUpperCase()) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index;
+}
+
+/**
+ * Spaltenreferenz → Spaltenindizes (1-based)
+ * - "Länge": Überschrift in der Header-Zeile
+ * - ["Länge", "Laenge"]: Überschrift mit Aliassen
+ * - { "range": "B:J" }: Spaltenbereich nach Position
+ */
+function resolveRef(ref, headerIndex) {
+  if (ref && typeof ref === 'object' && !Array.isArray(ref) && ref.range) {
+    const [from, to = from] = String(ref.range).split(':');
+    const out = [];
+    for (let c = columnIndex(from); c <= columnIndex(to); c++) out.push(c);
+    return out;
+  }
+  const names = Array.isArray(ref) ? ref : [ref];
+  for (const name of names) {
+    const c = headerIndex.get(normHeader(name));
+    if (c) return [c];
+  }
+  return null;
+}
+
+function refLabel(ref) {
+  if (ref && typeof ref === 'object' && !Array.isArray(ref)) return ref.range;
+  return Array.isArray(ref) ? ref[0] : ref;
+}
+
+/**
+ * Regeln gegen die Header-Zeile eines Worksheets auflösen.
+ * Nicht gefundene Spalten werden in unresolved gemeldet; die Regel prüft dann nur die übrigen Spalten
+ * und entfällt ganz, wenn keine Spalte bzw. die Vergleichsspalte ("other") fehlt (applied: false).
+ * @returns {{ rules: Object[], unresolved: { id: string, missing: string[], applied: boolean }[] }}
+ */
+function compileRules(ruleSet, ws, headerRow) {
+  const hdr = ws.getRow(headerRow);
+  const headerIndex = new Map();
+  const headerNames = new Map();
+  for (let c = 1; c <= ws.columnCount; c++) {
+    const name = plainValue(hdr.getCell(c).value);
+    const key = normHeader(name);
+    if (key && !headerIndex.has(key)) headerIndex.set(key, c);
+    if (name != null) headerNames.set(c, String(name).trim());
+  }
+
+  const rules = [];
+  const unresolved = [];
+  for (const rule of ruleSet.rules) {
+    const missing = [];
+    const resolve = (ref) => {
+      const cols = resolveRef(ref, headerIndex);
+      if (!cols) missing.push(refLabel(ref));
+      return cols || [];
+    };
+    // Bereiche und Überschriften können sich überschneiden (z.B. CSV mit anderer Spaltenreihenfolge)
+    const cols = [...new Set(columnRefs(rule).flatMap(resolve))].filter(c => c <= ws.columnCount);
+    const other = rule.other ? resolve(rule.other)[0] : null;
+    const unlessCol = rule.unless?.column ? resolve(rule.unless.column)[0] : null;
+
+    const applied = cols.length > 0 && !(rule.other && !other);
+    if (missing.length) unresolved.push({ id: rule.id, missing, applied });
+    if (!applied) continue;
+    rules.push({
+      ...rule,
+      cols,
+      other,
+      unlessCol,
+      regex: rule.type === 'regex' ? new RegExp(rule.pattern, (rule.flags || '').replace('g', '')) : null,
+      unlessRegex: rule.unless ? new RegExp(rule.unless.pattern, rule.unless.flags || '') : null,
+      headerOf: (c) => headerNames.get(c) || `Spalte ${c}`
+    });
+  }
+  return { rules, unresolved };
+}
+
+// -------- Auswertung ----------
+function checkRange(rule, n) {
+  if (rule.min != null && n < rule.min) return `kleiner als ${rule.min}`;
+  if (rule.exclusiveMin != null && n <= rule.exclusiveMin) return `nicht größer als ${rule.exclusiveMin}`;
+  if (rule.max != null && n > rule.max) return `größer als ${rule.max}`;
+  if (rule.exclusiveMax != null && n >= rule.exclusiveMax) return `nicht kleiner als ${rule.exclusiveMax}`;
+  return null;
+}
+
+/**
+ * Alle Regeln auf eine Zeile anwenden
+ * @param {Object[]} rules - kompilierte Regeln (compileRules)
+ * @param {Function} valueAt - (spaltenIndex) => Zellwert
+ * @returns {{ ruleId, severity, cols: number[], message: string }[]}
+ */
+function evaluateRow(rules, valueAt) {
+  const get = (c) => plainValue(valueAt(c));
+  const violations = [];
+  const flag = (rule, cols, message) => violations.push({ ruleId: rule.id, severity: rule.severity, cols, message });
+
+  for (const rule of rules) {
+    switch (rule.type) {
+      case 'required':
+        for (const c of rule.cols) {
+          if (isEmpty(get(c))) flag(rule, [c], `${rule.headerOf(c)}: Pflichtfeld leer`);
+        }
+        break;
+
+      case 'regex':
+        for (const c of rule.cols) {
+          const v = get(c);
+          if (!isEmpty(v) && !rule.regex.test(String(v).trim())) {
+            flag(rule, [c], `${rule.headerOf(c)}: "${v}" entspricht nicht dem Muster ${rule.pattern}`);
+          }
+        }
+        break;
+
+      case 'enum-segments':
+        for (const c of rule.cols) {
+          const v = get(c);
+          if (isEmpty(v)) continue;
+          const parts = String(v).split(rule.separator || '/').map(t => t.trim());
+          if (parts.length !== rule.segments.length) {
+            flag(rule, [c], `${rule.headerOf(c)}: "${v}" hat ${parts.length} statt ${rule.segments.length} Segmente`);
+            continue;
+          }
+          const bad = parts
+            .map((p, i) => rule.segments[i].includes(p) ? null : `Segment ${i + 1} "${p}" (erlaubt: ${rule.segments[i].join(', ')})`)
+            .filter(Boolean);
+          if (bad.length) flag(rule, [c], `${rule.headerOf(c)}: ungültig – ${bad.join('; ')}`);
+        }
+        break;
+
+      case 'range': {
+        const bad = [];
+        for (const c of rule.cols) {
+          const n = toNum(get(c));
+          const problem = n == null ? null : checkRange(rule, n);
+          if (problem) bad.push({ c, text: `${rule.headerOf(c)} = ${n} ist ${problem}` });
+        }
+        if (!bad.length) break;
+        if (rule.flag === 'all') flag(rule, rule.cols, bad.map(b => b.text).join('; '));
+        else for (const b of bad) flag(rule, [b.c], b.text);
+        break;
+      }
+
+      case 'compare': {
+        const a = toNum(get(rule.cols[0]));
+        const b = toNum(get(rule.other));
+        if (a != null && b != null && !OPERATORS[rule.operator](a, b)) {
+          flag(rule, [rule.cols[0]], `${rule.headerOf(rule.cols[0])} (${a}) ist nicht ${rule.operator} ${rule.headerOf(rule.other)} (${b})`);
+        }
+        break;
+      }
+
+      case 'at-least-one': {
+        const present = rule.cols.some(c => {
+          const v = get(c);
+          if (rule.nonZero) { const n = toNum(v); return n != null && n !== 0; }
+          return !isEmpty(v);
+        });
+        if (present) break;
+        if (rule.unlessCol && rule.unlessRegex) {
+          const u = get(rule.unlessCol);
+          if (u != null && rule.unlessRegex.test(String(u))) break;
+        }
+        flag(rule, rule.cols, `${rule.cols.map(rule.headerOf).join(', ')}: kein Wert${rule.nonZero ? ' ungleich 0' : ''} vorhanden`);
+        break;
+      }
+    }
+  }
+  return violations;
+}
+
+module.exports = {
+  RULE_TYPES,
+  loadRuleSet,
+  loadDefaultRuleSet,
+  compileRules,
+  evaluateRow
+};
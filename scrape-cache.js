@@ -0,0 +1,147 @@
+// scrape-cache.js - Persistenter Scrape-Cache (JSON-Datei) mit TTL.
+// Erfolgreiche Ergebnisse leben CACHE_TTL_HOURS, Fehler ("Fehler: ...") nur CACHE_ERROR_TTL_MINUTES,
+// damit sie beim nächsten Lauf erneut versucht werden.
+// Schlüssel ist "<Anbieter>:<Produkt-ID>", damit dieselbe ID bei verschiedenen Anbietern getrennte Einträge hat.
+
+const path = require('path');
+const { JsonFileStore } = require('./json-file-store');
+
+const CACHE_FILE = process.env.CACHE_FILE || path.join(__dirname, 'data', 'scrape-cache.json');
+const CACHE_TTL_HOURS = Number(process.env.CACHE_TTL_HOURS || 24 * 30);      // 30 Tage
+const CACHE_ERROR_TTL_MINUTES = Number(process.env.CACHE_ERROR_TTL_MINUTES || 15);
+
+function isErrorResult(result) {
+  return String(result?.Status || '').startsWith('Fehler');
+}
+
+class ScrapeCache extends JsonFileStore {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.file] - Pfad der Cache-Datei, null = nur im Speicher
+   * @param {number} [options.ttlHours]
+   * @param {number} [options.errorTtlMinutes]
+   * @param {Object} [options.logger] - Ausgabe für Meldungen, Standard: console
+   */
+  constructor({ file = CACHE_FILE, ttlHours = CACHE_TTL_HOURS, errorTtlMinutes = CACHE_ERROR_TTL_MINUTES, logger } = {}) {
+    super({ file, label: 'Scrape-Cache', logger });
+    this.ttlMs = ttlHours * 3600 * 1000;
+    this.errorTtlMs = errorTtlMinutes * 60 * 1000;
+  }
+
+  _id(a2v) {
+    return String(a2v || '').trim().toUpperCase();
+  }
+
+  _key(a2v, provider) {
+    return provider ? `${provider}:${this._id(a2v)}` : this._id(a2v);
+  }
+
+  // Schlüssel -> { provider, a2v }; Einträge ohne Anbieter (ältere Cache-Dateien) haben provider null
+  _parseKey(key) {
+    const i = key.indexOf(':');
+    return i < 0 ? { provider: null, a2v: key } : { provider: key.slice(0, i), a2v: key.slice(i + 1) };
+  }
+
+  _isExpired(entry, now = Date.now()) {
+    if (entry.invalidated) return true;
+    const ttl = entry.failed ? this.errorTtlMs : this.ttlMs;
+    return now - Date.parse(entry.scrapedAt) > ttl;
+  }
+
+  // Gültiges (nicht abgelaufenes) Ergebnis des Anbieters oder null
+  get(a2v, { provider } = {}) {
+    const entry = this.entries.get(this._key(a2v, provider));
+    if (!entry || this._isExpired(entry)) return null;
+    return entry.result;
+  }
+
+  set(a2v, result, { provider } = {}) {
+    this.entries.set(this._key(a2v, provider), {
+      result,
+      status: result?.Status || '',
+      failed: isErrorResult(result),
+      scrapedAt: new Date().toISOString()
+    });
+    this._scheduleSave();
+  }
+
+  // Eintrag mit Metadaten für die Cache-Endpunkte; ohne provider der zuletzt gescrapte Eintrag der ID (beliebiger Anbieter)
+  describe(a2v, { provider } = {}) {
+    const key = provider
+      ? this._key(a2v, provider)
+      : this._keysFor(a2v).sort((a, b) => this.entries.get(b).scrapedAt.localeCompare(this.entries.get(a).scrapedAt))[0];
+    return key ? this._describe(key) : null;
+  }
+
+  _describe(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    const ttl = entry.failed ? this.errorTtlMs : this.ttlMs;
+    return {
+      ...this._parseKey(key),
+      status: entry.status,
+      failed: entry.failed,
+      scrapedAt: entry.scrapedAt,
+      expiresAt: new Date(Date.parse(entry.scrapedAt) + ttl).toISOString(),
+      expired: this._isExpired(entry),
+      invalidated: !!entry.invalidated,
+      result: entry.result
+    };
+  }
+
+  list() {
+    return Array.from(this.entries.keys()).sort().map(key => this._describe(key));
+  }
+
+  stats() {
+    const now = Date.now();
+    let expired = 0, failed = 0;
+    for (const entry of this.entries.values()) {
+      if (this._isExpired(entry, now)) expired++;
+      if (entry.failed) failed++;
+    }
+    return {
+      file: this.file,
+      entries: this.entries.size,
+      fresh: this.entries.size - expired,
+      expired,
+      failed,
+      ttlHours: this.ttlMs / 3600000,
+      errorTtlMinutes: this.errorTtlMs / 60000
+    };
+  }
+
+  // Schlüssel zu einer A2V-Nummer (alle Anbieter), mit prefix: true zu allen A2V-Nummern mit diesem Anfang, ohne a2v alle
+  _keysFor(a2v, prefix) {
+    const keys = Array.from(this.entries.keys());
+    if (!a2v) return keys;
+    const id = this._id(a2v);
+    return keys.filter(k => {
+      const own = this._parseKey(k).a2v;
+      return prefix ? own.startsWith(id) : own === id;
+    });
+  }
+
+  // Einträge einer A2V-Nummer bei allen Anbietern (mit prefix: true alle passenden, ohne a2v alle) als abgelaufen markieren – wird beim nächsten Lauf neu gescraped
+  invalidate(a2v, { prefix = false } = {}) {
+    let count = 0;
+    for (const key of this._keysFor(a2v, prefix)) {
+      const entry = this.entries.get(key);
+      if (entry) { entry.invalidated = true; count++; }
+    }
+    if (count) this._scheduleSave();
+    return count;
+  }
+
+  // Einträge einer A2V-Nummer bei allen Anbietern (mit prefix: true alle passenden, ohne a2v alle) löschen
+  purge(a2v, { prefix = false } = {}) {
+    let count = 0;
+    for (const key of this._keysFor(a2v, prefix)) {
+      if (this.entries.delete(key)) count++;
+    }
+    if (count) this._scheduleSave();
+    return count;
+  }
+}
+
+module.exports = { ScrapeCache, isErrorResult };
@@ -1,158 +1,147 @@
-// scraper.js - A2V-only scraper with structured JSON extraction and optional Playwright fallback.
+// scraper.js - Scraper für Herstellerportale: der Anbieter (providers.js) liefert URL, Suche und Auswertung,
+// hier liegen Abruf, Cache, Rate-Limit/Wiederholungen und der optionale Playwright-Fallback.
 // Playwright is lazy-required and can be disabled by setting DISABLE_PLAYWRIGHT=1.
 
-const cheerio = require('cheerio');
+const { ScrapeCache, isErrorResult } = require('./scrape-cache');
+const { RequestScheduler, TRANSIENT_STATUS, parseRetryAfter } = require('./request-scheduler');
+const { BrowserPool } = require('./browser-pool');
+const { NOT_FOUND, ProviderRegistry, loadDefaultProviders } = require('./providers');
+const mobase = require('./providers/mobase');
+const { normPartNo } = require('./utils');
 const NAV_TIMEOUT_MS = Number(process.env.NAV_TIMEOUT_MS || 18000);
+const HTTP_TIMEOUT_MS = Number(process.env.HTTP_TIMEOUT_MS || NAV_TIMEOUT_MS);
 const DISABLE_PLAYWRIGHT = String(process.env.DISABLE_PLAYWRIGHT || '0') === '1';
+// Produktsuche nach Herstellartikelnummer: so viele Treffer werden über ihre Produktseite geprüft
+const SEARCH_MAX_CANDIDATES = Number(process.env.SEARCH_MAX_CANDIDATES || 5);
 
-function a2vUrl(a2v) {
-  const id = String(a2v || '').trim();
-  return `https://www.mymobase.com/de/p/${id}`;
-}
+// Gemeinsame Felder, die aus einer weiteren Sprachversion ergänzt werden
+const MERGE_FIELDS = ['Produkttitel', 'Weitere Artikelnummer', 'Gewicht', 'Abmessung', 'Werkstoff', 'Materialklassifizierung'];
+const hasValue = (v) => !!v && v !== NOT_FOUND;
 
-function extractJsonInitialData(html) {
-  // Verschiedene mögliche JSON-Formate versuchen
-  const patterns = [
-    /window\.initialData\[['"]product\/dataProduct['"]]\s*=\s*(\{[\s\S]*?\});\s*<\/script>/i,
-    /window\.initialData\s*=\s*(\{[\s\S]*?\});\s*<\/script>/i,
-    /initialData\[['"]product\/dataProduct['"]]\s*=\s*(\{[\s\S]*?\});/i,
-    /initialData\s*=\s*(\{[\s\S]*?\});/i
-  ];
-  
-  for (const pattern of patterns) {
-    const m = html.match(pattern);
-    if (m) {
-      try { 
-        const parsed = JSON.parse(m[1]);
-        console.log(`Successfully extracted JSON for product data`);
-        return parsed; 
-      } catch (e) {
-        console.log(`Failed to parse JSON with pattern: ${pattern}`);
-      }
+// Ergebnis einer Sprachversion mit Herkunft je Wert: Sprache, Sprachen: { Felder: { Feld: lang }, Spezifikationen: { Schlüssel: lang } }
+function withLanguage(result, lang) {
+  return {
+    ...result,
+    Sprache: lang,
+    Sprachen: {
+      Felder: Object.fromEntries(MERGE_FIELDS.filter(f => hasValue(result[f])).map(f => [f, lang])),
+      Spezifikationen: Object.fromEntries(Object.keys(result.Spezifikationen || {}).map(k => [k, lang]))
     }
-  }
-  return null;
+  };
 }
 
-function mapFromInitialData(obj, a2v, url) {
-  try {
-    const product = obj?.data?.product || {};
-    const ts = product?.localizations?.technicalSpecifications || product?.technicalSpecifications || [];
-    const tsMap = {};
-    for (const item of ts) {
-      if (!item || typeof item !== 'object') continue;
-      const k = String(item.key || '').toLowerCase();
-      tsMap[k] = item.value || '';
-    }
-    const pickTs = (...needles) => {
-      for (const [k,v] of Object.entries(tsMap)) if (needles.every(n => k.includes(n))) return v;
-      return null;
-    };
-
-    const weitere = pickTs('weitere','artikelnummer') || product.additionalMaterialNumbers || product.baseProductAdditionalMaterialNumbers || 'Nicht gefunden';
-    let gewicht = pickTs('gewicht') || null;
-    if (!gewicht && typeof product.weight === 'number') gewicht = `${product.weight.toString().replace('.', ',')} kg`;
-    if (!gewicht) gewicht = 'Nicht gefunden';
-    const materialklass = pickTs('materialklassifizierung') || product.materialClassification || 'Nicht gefunden';
-    const name = product.name || 'Nicht gefunden';
-    const code = product.code || a2v;
-    
-    // Abmessungen extrahieren - erweiterte Suche
-    let abmessung = pickTs('abmess') || pickTs('dimension') || pickTs('größe') || pickTs('size') || pickTs('maße') || pickTs('measure') || pickTs('länge') || pickTs('breite') || pickTs('höhe') || pickTs('length') || pickTs('width') || pickTs('height') || pickTs('abmessungen') || pickTs('dimensions') || pickTs('abmessung') || 'Nicht gefunden';
-    
-    // Debug-Logging für Abmessungen
-    if (abmessung !== 'Nicht gefunden') {
-      console.log(`Found dimensions for ${a2v}: "${abmessung}"`);
-    } else {
-      console.log(`No dimensions found for ${a2v}. Available keys:`, Object.keys(tsMap).slice(0, 10)); // Nur erste 10 Keys anzeigen
-    }
-    
-    // Werkstoff extrahieren
-    let werkstoff = pickTs('werkstoff') || (pickTs('material') && !pickTs('material','klass')) || 'Nicht gefunden';
-
-    return {
-      A2V: code,
-      URL: url,
-      Produkttitel: name,
-      'Weitere Artikelnummer': weitere,
-      Gewicht: gewicht,
-      Abmessung: abmessung,
-      Werkstoff: werkstoff,
-      Materialklassifizierung: materialklass,
-      Status: 'initialData JSON'
-    };
-  } catch { return null; }
+// Fehlende Felder und Spezifikationsschlüssel aus dem Ergebnis einer weiteren Sprachversion übernehmen
+function mergeLanguage(out, alt, lang) {
+  const merged = {
+    ...out,
+    Spezifikationen: { ...out.Spezifikationen },
+    Sprachen: { Felder: { ...out.Sprachen.Felder }, Spezifikationen: { ...out.Sprachen.Spezifikationen } },
+    Wiederholungen: (out.Wiederholungen || 0) + (alt.Wiederholungen || 0)
+  };
+  for (const f of MERGE_FIELDS) {
+    if (hasValue(merged[f]) || !hasValue(alt[f])) continue;
+    merged[f] = alt[f];
+    merged.Sprachen.Felder[f] = lang;
+  }
+  for (const [k, v] of Object.entries(alt.Spezifikationen || {})) {
+    if (k in merged.Spezifikationen) continue;
+    merged.Spezifikationen[k] = v;
+    merged.Sprachen.Spezifikationen[k] = lang;
+  }
+  return merged;
 }
 
-class SiemensProductScraper {
-  constructor() {
-    this.cache = new Map();
-    this.browser = null;
-    this.context = null;
-  }
+// Schlüssel der Ergebnisse von resolvePartNumbers: normPartNo, bei ausdrücklich angegebenem Anbieter "anbieter:normPartNo"
+function partNoKey(partNo, provider) {
+  return provider ? `${provider}:${normPartNo(partNo)}` : normPartNo(partNo);
+}
 
-  async _httpGet(url) {
-    const resp = await fetch(url, {
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36'
-      }
+class ProductScraper {
+  /**
+   * @param {Object} [options]
+   * @param {ScrapeCache} [options.cache] - Standard: Datei-Cache (CACHE_FILE)
+   * @param {ProviderRegistry} [options.registry] - Anbieter, Standard: providers.json
+   * @param {number} [options.httpTimeoutMs] - Timeout für den HTTP-Abruf, Standard: HTTP_TIMEOUT_MS
+   * @param {RequestScheduler} [options.scheduler] - Rate-Limit, Wiederholungen und Circuit Breaker je Host
+   * @param {BrowserPool} [options.browserPool] - Playwright-Seiten für den Browser-Fallback
+   * @param {Object} [options.logger] - Ausgabe für Meldungen von Cache, Scheduler und Browser-Pool, Standard: console
+   */
+  constructor({ cache, registry, httpTimeoutMs = HTTP_TIMEOUT_MS, scheduler, browserPool, logger = console } = {}) {
+    this.cache = cache || new ScrapeCache({ logger });
+    this.registry = registry || loadDefaultProviders();
+    this.scheduler = scheduler || new RequestScheduler({ logger });
+    this.httpTimeoutMs = httpTimeoutMs;
+    this.browserPool = browserPool || new BrowserPool({
+      launch: () => this._launchBrowser(),
+      newContext: (browser) => this._newContext(browser),
+      logger
     });
-    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-    return await resp.text();
   }
 
-  _parseWithCheerio(url, html, a2v) {
-    const $ = cheerio.load(html);
-    const kv = {};
-    $('table').each((_, t) => {
-      $(t).find('tr').each((_, tr) => {
-        const tds = $(tr).find('td,th');
-        if (tds.length >= 2) {
-          const k = $(tds[0]).text().trim().toLowerCase();
-          const v = $(tds[1]).text().trim();
-          if (k && v && !kv[k]) kv[k] = v;
+  // Einzelner Abruf; Netzwerkfehler, Timeouts und 429/5xx gelten als vorübergehend (transient)
+  async _fetchOnce(url) {
+    let resp;
+    try {
+      resp = await fetch(url, {
+        signal: AbortSignal.timeout(this.httpTimeoutMs),
+        headers: {
+          'User-Agent':
+            'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36'
         }
       });
-    });
-    $('dl').each((_, dl) => {
-      const dts = $(dl).find('dt'); const dds = $(dl).find('dd');
-      for (let i=0;i<Math.min(dts.length, dds.length); i++) {
-        const k = $(dts[i]).text().trim().toLowerCase();
-        const v = $(dds[i]).text().trim();
-        if (k && v && !kv[k]) kv[k] = v;
-      }
-    });
-    const pick = (needles) => {
-      for (const k of Object.keys(kv)) if (needles.every(n => k.includes(n))) return kv[k];
-      return null;
-    };
-    const title = ($('h1, .product-title').first().text() || $('title').first().text() || '').replace(' | MoBase','').trim();
-    return {
-      A2V: a2v,
-      URL: url,
-      Produkttitel: title || 'Nicht gefunden',
-      'Weitere Artikelnummer':
-        pick(['weitere','artikelnummer']) ||
-        pick(['additional','material','number']) ||
-        pick(['part','number']) || 'Nicht gefunden',
-      Gewicht:  pick(['gewicht']) || pick(['weight']) || 'Nicht gefunden',
-      Abmessung: pick(['abmess']) || pick(['dimension']) || pick(['größe']) || pick(['size']) || 'Nicht gefunden',
-      Werkstoff: (pick(['werkstoff']) || (pick(['material']) && !pick(['material','klass']))) || 'Nicht gefunden',
-      Materialklassifizierung: pick(['material','klass']) || pick(['material','class']) || 'Nicht gefunden',
-      Status: 'HTTP-Parser'
-    };
+    } catch (e) {
+      const err = new Error(e.name === 'TimeoutError' ? `Timeout nach ${this.httpTimeoutMs} ms` : e.message);
+      err.transient = true;
+      throw err;
+    }
+    if (!resp.ok) {
+      const err = new Error(`HTTP ${resp.status}`);
+      err.status = resp.status;
+      err.transient = TRANSIENT_STATUS.has(resp.status);
+      err.retryAfterMs = parseRetryAfter(resp.headers.get('retry-after'));
+      throw err;
+    }
+    return await resp.text();
   }
 
-  async httpScrapeA2V(a2v) {
-    const url = a2vUrl(a2v);
-    const html = await this._httpGet(url);
-    const initObj = extractJsonInitialData(html);
-    if (initObj) {
-      const mapped = mapFromInitialData(initObj, a2v, url);
-      if (mapped) return mapped;
+  // Abruf über den Scheduler: { html, retries }
+  async _httpGet(url) {
+    const { value, retries } = await this.scheduler.run(url, () => this._fetchOnce(url));
+    return { html: value, retries };
+  }
+
+  // Produktseite per HTTP abrufen und vom Anbieter auswerten lassen (lang: Sprachversion, Standard: Hauptsprache)
+  async httpScrape(id, provider, lang) {
+    const url = provider.productUrl(id, lang);
+    const { html, retries } = await this._httpGet(url);
+    return { ...provider.extract(html, { id, url, lang: lang || provider.languages?.[0] }), Wiederholungen: retries };
+  }
+
+  /**
+   * Fehlende gemeinsame Felder aus den weiteren Sprachversionen des Anbieters ergänzen (nur per HTTP; ist die
+   * Seite dort nicht abrufbar, bleibt es beim Ergebnis der Hauptsprache). Spezifikationen werden dabei mit übernommen.
+   * Ist die Seite der Hauptsprache nicht abrufbar (result ist ein Fehler), gilt die erste abrufbare weitere Sprachversion.
+   * @returns {Promise<Object>} - Ergebnis mit Sprache (Sprache des Grundergebnisses) und Sprachen (Herkunft je Wert);
+   *   ohne abrufbare Sprachversion das Fehler-Ergebnis. Nicht abrufbare Sprachversionen stehen mit Fehlermeldung
+   *   unter Sprachen.Fehler (z.B. { en: 'HTTP 404' })
+   */
+  async _completeFromLanguages(id, provider, result) {
+    const [primary, ...fallbacks] = provider.languages;
+    let out = isErrorResult(result) ? null : withLanguage(result, primary);
+    const failed = {};
+    for (const lang of fallbacks) {
+      if (out && MERGE_FIELDS.every(f => hasValue(out[f]))) break;
+      try {
+        const alt = await this.httpScrape(id, provider, lang);
+        out = out ? mergeLanguage(out, alt, lang)
+          : withLanguage({ ...alt, Wiederholungen: (result.Wiederholungen || 0) + (alt.Wiederholungen || 0) }, lang);
+      } catch (e) {
+        failed[lang] = e.message;
+      }
     }
-    return this._parseWithCheerio(url, html, a2v);
+    if (!Object.keys(failed).length) return out || result;
+    const base = out || { ...result, Sprachen: { Felder: {}, Spezifikationen: {} } };
+    return { ...base, Sprachen: { ...base.Sprachen, Fehler: failed } };
   }
 
   async _getChromium() {
@@ -165,118 +154,213 @@ class SiemensProductScraper {
     }
   }
 
-  async _initPlaywright() {
+  // Start des Browsers für den Pool; null = Playwright nicht verfügbar
+  async _launchBrowser() {
     const chromium = await this._getChromium();
-    if (!chromium) return false;
-    if (!this.browser) {
-      this.browser = await chromium.launch({
-        headless: true,
-        args: ['--no-sandbox','--disable-setuid-sandbox','--disable-dev-shm-usage']
-      });
-    }
-    if (!this.context) {
-      this.context = await this.browser.newContext({
-        bypassCSP: true,
-        viewport: { width: 1200, height: 900 },
-        userAgent:
-          'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36'
-      });
-      await this.context.route('**/*', (route) => {
-        const type = route.request().resourceType();
-        if (['image','stylesheet','font','media','websocket','other'].includes(type)) return route.abort();
-        route.continue();
-      });
-    }
-    return true;
+    if (!chromium) return null;
+    return chromium.launch({
+      headless: true,
+      args: ['--no-sandbox','--disable-setuid-sandbox','--disable-dev-shm-usage']
+    });
   }
 
-  async pwScrapeA2V(a2v) {
-    const ok = await this._initPlaywright();
-    if (!ok) throw new Error('Playwright nicht verfügbar');
-    const url = a2vUrl(a2v);
-    const page = await this.context.newPage();
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
-    const initJson = await page.evaluate(() => {
-      const re = /window\.initialData\[['"]product\/dataProduct['"]]\s*=\s*(\{[\s\S]*?\});/i;
-      for (const s of document.querySelectorAll('script')) {
-        const t = s.textContent || '';
-        const m = t.match(re);
-        if (m) return m[1];
-      }
-      return null;
+  async _newContext(browser) {
+    const context = await browser.newContext({
+      bypassCSP: true,
+      viewport: { width: 1200, height: 900 },
+      userAgent:
+        'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36'
     });
-    if (initJson) {
-      try {
-        const obj = JSON.parse(initJson);
-        const mapped = mapFromInitialData(obj, a2v, url);
-        if (mapped) { await page.close(); return mapped; }
-      } catch {}
-    }
-    const kv = await page.evaluate(() => {
-      const data = {};
-      const add = (k, v) => { if (!k || !v) return; k=k.trim().toLowerCase(); v=v.trim(); if (!data[k]) data[k] = v; };
-      document.querySelectorAll('table').forEach(t => {
-        t.querySelectorAll('tr').forEach(tr => {
-          const tds = tr.querySelectorAll('td,th');
-          if (tds.length >= 2) add(tds[0].textContent, tds[1].textContent);
-        });
-      });
-      document.querySelectorAll('dl').forEach(dl => {
-        const dts = dl.querySelectorAll('dt'); const dds = dl.querySelectorAll('dd');
-        for (let i=0;i<Math.min(dts.length, dds.length); i++) add(dts[i].textContent, dds[i].textContent);
-      });
-      return data;
+    await context.route('**/*', (route) => {
+      const type = route.request().resourceType();
+      if (['image','stylesheet','font','media','websocket','other'].includes(type)) return route.abort();
+      route.continue();
     });
-    const pick = (needles) => {
-      for (const k of Object.keys(kv)) {
-        const low = k.toLowerCase();
-        if (needles.every(n => low.includes(n))) return kv[k];
-      }
-      return null;
-    };
-    const title = (await page.locator('h1, .product-title').first().textContent().catch(()=>''))?.replace(' | MoBase','').trim();
-    await page.close();
-    return {
-      A2V: a2v,
-      URL: url,
-      Produkttitel: title || 'Nicht gefunden',
-      'Weitere Artikelnummer':
-        pick(['weitere','artikelnummer']) || pick(['additional','material','number']) || pick(['part','number']) || 'Nicht gefunden',
-      Gewicht:  pick(['gewicht']) || pick(['weight']) || 'Nicht gefunden',
-      Abmessung: pick(['abmess']) || pick(['dimension']) || pick(['größe']) || pick(['size']) || 'Nicht gefunden',
-      Werkstoff: (pick(['werkstoff']) || (pick(['material']) && !pick(['material','klass']))) || 'Nicht gefunden',
-      Materialklassifizierung: pick(['material','klass']) || pick(['material','class']) || 'Nicht gefunden',
-      Status: 'Playwright'
-    };
+    return context;
   }
 
-  async scrapeOne(a2v) {
-    const key = String(a2v || '').trim().toUpperCase();
-    if (!key.startsWith('A2V')) throw new Error('Nur A2V-Nummern sind erlaubt.');
-    if (this.cache.has(key)) return this.cache.get(key);
+  // Seite im Browser-Pool laden (Seite wird auch bei Fehlern geschlossen)
+  async pwScrape(id, provider) {
+    const url = provider.productUrl(id);
+    return this.browserPool.withPage(async (page) => {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
+      return provider.extractFromPage(page, { id, url });
+    });
+  }
+
+  /**
+   * Anbieter einer Produkt-ID: ausdrücklich angegeben (z.B. über die Lieferantenspalte) oder über das ID-Präfix
+   * @param {string} id
+   * @param {string} [providerId]
+   */
+  providerFor(id, providerId) {
+    const provider = providerId ? this.registry.get(providerId) : this.registry.route(id);
+    if (provider) return provider;
+    const prefixes = this.registry.providers.flatMap(p => p.prefixes);
+    const err = new Error(providerId
+      ? `Unbekannter Anbieter "${providerId}".`
+      : `Keinem Anbieter zugeordnet: "${id}" (bekannte Präfixe: ${prefixes.join(', ') || 'keine'}).`);
+    err.status = 400;
+    throw err;
+  }
+
+  /**
+   * Produktseite scrapen (Ergebnis mit Anbieter-ID unter "Anbieter"); Fehler werden als Ergebnis mit Status "Fehler: …" gecacht.
+   * Hat der Anbieter mehrere Sprachversionen, werden fehlende Felder aus den weiteren ergänzt bzw. eine fehlende Seite
+   * der Hauptsprache durch die einer weiteren ersetzt (siehe _completeFromLanguages).
+   * @param {string} id - Produkt-ID (ohne Groß-/Kleinschreibung; Cache-Schlüssel zusammen mit dem Anbieter)
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Cache ignorieren und neu scrapen
+   * @param {string} [options.provider] - Anbieter-ID, Standard: Zuordnung über das ID-Präfix
+   */
+  async scrapeOne(id, { refresh = false, provider: providerId } = {}) {
+    const key = String(id || '').trim().toUpperCase();
+    const provider = this.providerFor(key, providerId);
+    if (!refresh) {
+      const cached = this.cache.get(key, { provider: provider.id });
+      if (cached) return cached;
+    }
+    const url = provider.productUrl(key);
+    const failure = (message, retries) => ({
+      A2V: key, URL: url, Produkttitel: NOT_FOUND, 'Weitere Artikelnummer': NOT_FOUND, Abmessung: NOT_FOUND, Gewicht: NOT_FOUND,
+      Werkstoff: NOT_FOUND, Materialklassifizierung: NOT_FOUND, Spezifikationen: {}, Status: 'Fehler: ' + message, Wiederholungen: retries
+    });
     let out;
+    let transient = false;
     try {
-      out = await this.httpScrapeA2V(key);
+      out = await this.httpScrape(key, provider);
     } catch (e) {
-      try { out = await this.pwScrapeA2V(key); }
-      catch (err) {
-        out = { A2V: key, URL: a2vUrl(key), Produkttitel:'Nicht gefunden', 'Weitere Artikelnummer':'Nicht gefunden', Abmessung:'Nicht gefunden', Gewicht:'Nicht gefunden', Werkstoff:'Nicht gefunden', Materialklassifizierung:'Nicht gefunden', Status:'Fehler: '+err.message };
+      const retries = e.retries || 0;
+      transient = !!e.transient;
+      if (e.transient) {
+        // Portal überlastet oder nicht erreichbar: ein Browser-Abruf hilft nicht, kurz gecachter Fehler statt "Nicht gefunden"
+        out = failure(retries ? `${e.message} (nach ${retries} Wiederholungen)` : e.message, retries);
+      } else if (!provider.extractFromPage) {
+        out = failure(e.message, retries);
+      } else {
+        // Browser-Abruf nur mit Rate-Limit, ohne eigene Wiederholungen
+        try { out = { ...(await this.scheduler.run(url, () => this.pwScrape(key, provider), { retries: 0 })).value, Wiederholungen: retries }; }
+        catch (err) { out = failure(err.message, retries); }
       }
     }
-    this.cache.set(key, out);
+    // weitere Sprachversionen: fehlende Felder ergänzen oder, wenn die Seite der Hauptsprache fehlt (z.B. 404), ersetzen;
+    // nicht bei überlastetem Portal
+    if (provider.languages?.length && !transient) out = await this._completeFromLanguages(key, provider, out);
+    out = { ...out, Anbieter: provider.id };
+    this.cache.set(key, out, { provider: provider.id });
     return out;
   }
 
-  async scrapeMany(list, concurrency = 6) {
-    const unique = Array.from(new Set(list.filter(Boolean).map(x => String(x).trim().toUpperCase())));
+  /**
+   * Mehrere Produkte scrapen; Map Produkt-ID -> Ergebnis
+   * @param {Array<string|{id: string, provider: string}>} list - Produkt-IDs (Anbieter über das Präfix) oder mit Anbieter
+   * @param {number} [concurrency=6]
+   * @param {Function} [onProgress] - wird nach jedem Produkt mit { done, total, failed, a2v } aufgerufen
+   */
+  async scrapeMany(list, concurrency = 6, onProgress = null) {
+    const tasks = new Map();
+    for (const item of list) {
+      const { id, provider } = typeof item === 'object' && item ? item : { id: item };
+      const key = String(id || '').trim().toUpperCase();
+      if (key && !tasks.has(key)) tasks.set(key, provider);
+    }
+    const unique = Array.from(tasks.keys());
     const results = new Map();
     let i = 0;
+    let failed = 0;
     const worker = async () => {
       while (i < unique.length) {
         const idx = i++;
         const id = unique[idx];
-        const r = await this.scrapeOne(id);
+        const r = await this.scrapeOne(id, { provider: tasks.get(id) });
         results.set(id, r);
+        if (isErrorResult(r)) failed++;
+        if (onProgress) onProgress({ done: results.size, total: unique.length, failed, a2v: id });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, () => worker()));
+    return results;
+  }
+
+  // Anbieter der Produktsuche: angegeben oder der Standardanbieter; null = Anbieter ohne Suche
+  _searchProvider(providerId) {
+    const provider = providerId ? this.providerFor(null, providerId) : this.registry.searchProvider();
+    return provider?.searchUrl ? provider : null;
+  }
+
+  // Produktsuche: Produkt-IDs der Treffer (höchstens SEARCH_MAX_CANDIDATES)
+  async searchPartNumber(partNo, provider = this._searchProvider()) {
+    const { html } = await this._httpGet(provider.searchUrl(partNo));
+    return provider.parseSearchResults(html).slice(0, SEARCH_MAX_CANDIDATES);
+  }
+
+  /**
+   * Produkt-ID zu einer Herstellartikelnummer über die Produktsuche des Anbieters bestimmen
+   * Jeder Treffer wird über seine Produktseite geprüft ("Weitere Artikelnummer", ohne Leer-/Satzzeichen).
+   * - resolved: genau ein Treffer passt; confidence 'high', oder 'medium', wenn andere Treffer nicht abrufbar waren
+   * - ambiguous: mehrere Treffer passen
+   * - notFound: kein Treffer passt (oder die Suche schlug fehl, siehe error)
+   * @param {string} partNo
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Anbieter-ID, Standard: Standardanbieter der Registry
+   * @returns {Promise<{ partNo, a2v: string|null, status: string, confidence: string|null, candidates: Object[], error?: string }>}
+   *   a2v/candidates[].a2v: Produkt-ID beim Anbieter
+   */
+  async resolvePartNumber(partNo, { provider: providerId } = {}) {
+    const wanted = normPartNo(partNo);
+    const out = { partNo: String(partNo || '').trim(), a2v: null, status: 'notFound', confidence: null, candidates: [] };
+    if (!wanted) return out;
+    const provider = this._searchProvider(providerId);
+    if (!provider) return { ...out, error: `Keine Produktsuche für Anbieter ${providerId || this.registry.defaultProvider?.id}` };
+    let hits;
+    try { hits = await this.searchPartNumber(partNo, provider); }
+    catch (e) { return { ...out, error: e.message }; }
+
+    for (const hit of hits) {
+      const page = await this.scrapeOne(hit.id, { provider: provider.id });
+      const failed = isErrorResult(page);
+      const found = failed ? null : page['Weitere Artikelnummer'];
+      out.candidates.push({
+        a2v: hit.id,
+        title: failed ? hit.title : page.Produkttitel,
+        partNo: found && found !== NOT_FOUND ? found : null,
+        match: failed ? null : normPartNo(found) === wanted
+      });
+    }
+    const matches = out.candidates.filter(c => c.match);
+    if (matches.length === 1) {
+      out.a2v = matches[0].a2v;
+      out.status = 'resolved';
+      out.confidence = out.candidates.some(c => c.match === null) ? 'medium' : 'high';
+    } else if (matches.length > 1) {
+      out.status = 'ambiguous';
+    }
+    return out;
+  }
+
+  /**
+   * Mehrere Herstellartikelnummern auflösen; Map partNoKey() -> Ergebnis, onProgress wie bei scrapeMany (mit partNo)
+   * @param {Array<string|{partNo: string, provider: string}>} list - Nummern (Suche beim Standardanbieter) oder mit Anbieter
+   */
+  async resolvePartNumbers(list, concurrency = 6, onProgress = null) {
+    const byKey = new Map();
+    for (const item of list) {
+      const { partNo, provider } = typeof item === 'object' && item ? item : { partNo: item };
+      const key = partNoKey(partNo, provider);
+      if (normPartNo(partNo) && !byKey.has(key)) byKey.set(key, { partNo: String(partNo).trim(), provider });
+    }
+    const keys = Array.from(byKey.keys());
+    const results = new Map();
+    let i = 0;
+    let failed = 0;
+    const worker = async () => {
+      while (i < keys.length) {
+        const key = keys[i++];
+        const { partNo, provider } = byKey.get(key);
+        const r = await this.resolvePartNumber(partNo, { provider });
+        results.set(key, r);
+        if (r.status !== 'resolved') failed++;
+        if (onProgress) onProgress({ done: results.size, total: keys.length, failed, partNo: r.partNo });
       }
     };
     await Promise.all(Array.from({ length: Math.max(1, concurrency) }, () => worker()));
@@ -284,9 +368,16 @@ class SiemensProductScraper {
   }
 
   async close() {
-    if (this.context) { await this.context.close(); this.context = null; }
-    if (this.browser)  { await this.browser.close(); this.browser = null; }
+    this.cache.flush();
+    await this.browserPool.close();
+  }
+}
+
+// Scraper nur für MoBase (bisherige Schnittstelle); baseUrl ersetzt die Basis-URL der Produktseiten, z.B. für Tests
+class SiemensProductScraper extends ProductScraper {
+  constructor({ baseUrl, registry, ...options } = {}) {
+    super({ ...options, registry: registry || new ProviderRegistry([mobase.createProvider({ baseUrl })]) });
   }
 }
 
-module.exports = { SiemensProductScraper, a2vUrl };
\ No newline at end of file
+module.exports = { ProductScraper, SiemensProductScraper, partNoKey };
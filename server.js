@@ -5,419 +5,446 @@ const path = require('path');
 const multer = require('multer');
 const ExcelJS = require('exceljs');
 
-const {
-  toNumber,
-  parseWeight,
-  weightToKg,
-  parseDimensionsToLBH,
-  normPartNo,
-  mapMaterialClassificationToExcel,
-  normalizeNCode
-} = require('./utils');
-const { SiemensProductScraper, a2vUrl } = require('./scraper');
-const { checkCompleteness } = require('./completeness-checker');
+const { ProductScraper } = require('./scraper');
+const { loadRuleSet, loadDefaultRuleSet } = require('./rule-engine');
+const { SYNONYMS_FILE } = require('./material-match');
+const { loadDefaultFieldMapping } = require('./field-mapping');
+const { resolveTolerances, prepareWebComparison, compareRows, reviewItemsOf, lookupProduct } = require('./web-comparison');
+const { JobManager } = require('./jobs');
+const { WEB_TOTAL_LABELS, QUALITY_TOTAL_LABELS, readSummaryTotals } = require('./statistics');
+const { FORMATS, detectFormat, resolveCsvOptions, readWorkbook, runWebComparison, runCompletenessCheck } = require('./formats');
+const { runCorrections, applyCorrections } = require('./corrections');
+const { ReviewStore } = require('./review-store');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const SCRAPE_CONCURRENCY = Number(process.env.SCRAPE_CONCURRENCY || 4);
-const WEIGHT_TOL_PCT = Number(process.env.WEIGHT_TOL_PCT || 0); // 0 = strikt
-
-// Ursprüngliche Spalten-Definition (für die Input-Erkennung)
-const ORIGINAL_COLS = { Z:'Z', E:'E', C:'C', S:'S', T:'T', U:'U', V:'V', W:'W', P:'P', N:'N' };
-
-// DB/Web-Spaltenpaare – hier definieren wir, nach welchen Originalspalten wir eine Web-Nachbarspalte einfügen
-const DB_WEB_PAIRS = [
-  { original: 'C', dbCol: null, webCol: null, label: 'Material-Kurztext' },
-  { original: 'E', dbCol: null, webCol: null, label: 'Herstellartikelnummer' },
-  { original: 'N', dbCol: null, webCol: null, label: 'Fert./Prüfhinweis' },
-  { original: 'P', dbCol: null, webCol: null, label: 'Werkstoff' },
-  { original: 'S', dbCol: null, webCol: null, label: 'Nettogewicht' },
-  { original: 'U', dbCol: null, webCol: null, label: 'Länge' },
-  { original: 'V', dbCol: null, webCol: null, label: 'Breite' },
-  { original: 'W', dbCol: null, webCol: null, label: 'Höhe' }
-];
-
-const HEADER_ROW = 3;      // Spaltennamen
-const LABEL_ROW = 4;       // "DB-Wert" / "Web-Wert"
-const FIRST_DATA_ROW = 5;  // erste Datenzeile
 
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
 app.use(express.json({ limit: '2mb' }));
 app.use(express.static(__dirname));
 
-const scraper = new SiemensProductScraper();
+const scraper = new ProductScraper();
+const jobs = new JobManager();
+const reviews = new ReviewStore();
 
-// -------- Helpers: Spalten / Adressen ----------
-function getColumnLetter(index) {
-  let result = '';
-  while (index > 0) {
-    index--;
-    result = String.fromCharCode(65 + (index % 26)) + result;
-    index = Math.floor(index / 26);
-  }
-  return result;
+// -------- Routes ----------
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get('/api/health', (req, res) => res.json({ ok: true, time: new Date().toISOString() }));
+// Zustand des Browser-Pools (Playwright-Fallback) und der Scrape-Hosts (Pause durch Circuit Breaker)
+app.get('/api/health/browser', (req, res) => res.json({
+  ok: !scraper.browserPool.closed,
+  time: new Date().toISOString(),
+  browserPool: scraper.browserPool.describe(),
+  hosts: scraper.scheduler.describe()
+}));
+app.get('/api/tolerances', (req, res) => res.json(resolveTolerances()));
+// Aktive Feldzuordnung des Web-Vergleichs (Felder, Überschriften, Web-Schlüssel, Parser, Vergleich)
+app.get('/api/field-mapping', (req, res) => res.json(loadDefaultFieldMapping()));
+// Aktive Anbieter (providers.json): ID-Präfixe, Lieferantennamen, Produktsuche und Browser-Fallback
+app.get('/api/providers', (req, res) => res.json({
+  supplierHeaders: scraper.registry.supplierHeaders,
+  providers: scraper.registry.describe()
+}));
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+
+// Antwort auf neu angelegte Jobs: Job-Sicht plus URLs für Status, Events, Statistik und Download
+function jobLinks(job) {
+  return {
+    ...job,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`,
+    statsUrl: `/api/jobs/${job.id}/stats`,
+    downloadUrl: `/api/jobs/${job.id}/download`
+  };
 }
-function getColumnIndex(letter) {
-  let index = 0;
-  for (let i = 0; i < letter.length; i++) {
-    index = index * 26 + (letter.charCodeAt(i) - 64);
-  }
-  return index;
+
+// Ein-/Ausgabeformat aus den Formularfeldern: inputFormat (sonst Dateiendung), format (Ausgabe, Standard xlsx),
+// für CSV zusätzlich delimiter, encoding und decimal
+function formatOptions(req, file) {
+  return {
+    inputFormat: detectFormat(req.body.inputFormat, file.originalname),
+    outputFormat: detectFormat(req.body.format || 'xlsx'),
+    csv: resolveCsvOptions(req.body)
+  };
+}
+
+function sendResult(res, { buffer, stats, format }, basename) {
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  res.setHeader('Content-Disposition',`attachment; filename="${basename}.${FORMATS[format].ext}"`);
+  res.setHeader('X-Statistics', JSON.stringify(stats.totals));
+  res.send(Buffer.from(buffer));
 }
 
-// -------- Layout-Berechnung / Struktur ----------
-function calculateNewColumnStructure(ws) {
-  const newStructure = { pairs: [], otherCols: new Map(), totalInsertedCols: 0 };
-  let insertedCols = 0;
-
-  // Für jedes DB/Web-Paar fügen wir rechts daneben 1 Spalte ein
-  for (const pair of DB_WEB_PAIRS) {
-    const originalIndex = getColumnIndex(pair.original);
-    const adjustedOriginalIndex = originalIndex + insertedCols;
-    pair.dbCol  = getColumnLetter(adjustedOriginalIndex);
-    pair.webCol = getColumnLetter(adjustedOriginalIndex + 1);
-    newStructure.pairs.push({ ...pair });
-    insertedCols++;
+app.post('/api/process-excel', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Bitte Excel-, CSV- oder JSON-Datei hochladen (file).' });
+
+    const result = await runWebComparison(req.file.buffer, {
+      ...formatOptions(req, req.file),
+      scraper,
+      reviews,
+      concurrency: SCRAPE_CONCURRENCY,
+      tolerances: req.body.tolerances
+    });
+    sendResult(res, result, 'Web_Vergleich_Ergebnis');
+
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
   }
-  newStructure.totalInsertedCols = insertedCols;
-
-  // Andere Spalten passend verschieben (Mapping alt → neu)
-  const lastCol = ws.lastColumn?.number || ws.columnCount || ws.getRow(HEADER_ROW).cellCount || 0;
-  for (let colIndex = 1; colIndex <= lastCol; colIndex++) {
-    const originalLetter = getColumnLetter(colIndex);
-    const isPairColumn = DB_WEB_PAIRS.some(p => p.original === originalLetter);
-    if (!isPairColumn) {
-      let insertedBefore = 0;
-      for (const p of DB_WEB_PAIRS) {
-        if (getColumnIndex(p.original) < colIndex) insertedBefore++;
-      }
-      const newLetter = getColumnLetter(colIndex + insertedBefore);
-      newStructure.otherCols.set(originalLetter, newLetter);
-    }
+});
+
+// -------- Web-Vergleich als JSON ----------
+// Eingabe: Excel-/CSV-Datei (Feld "file") oder JSON { rows: [...], tolerances }
+// Ausgabe: je Zeile und Feld DB-Wert, Web-Rohwert, normalisierte Werte, Ergebnis und Scrape-Metadaten
+async function compareInput(req) {
+  if (req.file) {
+    const { inputFormat, csv } = formatOptions(req, req.file);
+    return { input: await readWorkbook(req.file.buffer, { format: inputFormat, csv }), tolerances: req.body.tolerances };
   }
-  return newStructure;
+  if (req.is('application/json')) return { input: req.body.rows, tolerances: req.body.tolerances };
+  const err = new Error('Bitte Excel-/CSV-Datei (file) oder JSON mit "rows" senden.');
+  err.status = 400;
+  throw err;
 }
 
-// -------- Formatierungen ----------
-function fillColor(ws, addr, color) {
-  if (!color) return;
-  const map = {
-    green:  'FFD5F4E6', // hellgrün
-    red:    'FFFDEAEA', // hellrot
-    orange: 'FFFFEAA7', // hellorange
-    dbBlue: 'FFE6F3FF', // hellblau (Label DB)
-    webBlue:'FFCCE7FF'  // noch helleres Blau (Label Web)
-  };
-  ws.getCell(addr).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: map[color] || map.green } };
-}
-function copyColumnFormatting(ws, fromCol, toCol, rowStart, rowEnd) {
-  for (let row = rowStart; row <= rowEnd; row++) {
-    const fromCell = ws.getCell(`${fromCol}${row}`);
-    const toCell   = ws.getCell(`${toCol}${row}`);
-    if (fromCell.fill)      toCell.fill = fromCell.fill;
-    if (fromCell.font)      toCell.font = fromCell.font;
-    if (fromCell.border)    toCell.border = fromCell.border;
-    if (fromCell.alignment) toCell.alignment = fromCell.alignment;
-    if (fromCell.style)     Object.assign(toCell.style, fromCell.style);
+app.post('/api/compare', upload.single('file'), async (req, res) => {
+  try {
+    const { input, tolerances } = await compareInput(req);
+    const { scraped, ...result } = await compareRows(input, { scraper, reviews, concurrency: SCRAPE_CONCURRENCY, tolerances });
+    res.json(result);
+
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
   }
-}
-function applyLabelCellFormatting(ws, addr, isWebCell = false) {
-  const cell = ws.getCell(addr);
-  fillColor(ws, addr, isWebCell ? 'webBlue' : 'dbBlue');
-  cell.border = { top:{style:'thin'}, left:{style:'thin'}, bottom:{style:'thin'}, right:{style:'thin'} };
-  cell.font = { bold: true, size: 10 };
-  cell.alignment = { horizontal: 'center', vertical: 'middle' };
-}
+});
 
-// -------- Vergleichslogik ----------
-function hasValue(v){ return v!==null && v!==undefined && v!=='' && String(v).trim()!==''; }
-function eqText(a,b){
-  if (a==null||b==null) return false;
-  const A=String(a).trim().toLowerCase().replace(/\s+/g,' ');
-  const B=String(b).trim().toLowerCase().replace(/\s+/g,' ');
-  return A===B;
-}
-function eqPart(a,b){ return normPartNo(a)===normPartNo(b); }
-function eqN(a,b){ return normalizeNCode(a)===normalizeNCode(b); }
-function eqWeight(exS, webVal){
-  const { value: wv } = parseWeight(webVal);
-  if (wv==null) return false;
-  const exNum = toNumber(exS); if (exNum==null) return false;
-  return Math.abs(exNum - wv) < 1e-9;
-}
-function eqDimension(exVal, webDimText, dimType){
-  const exNum = toNumber(exVal); if (exNum==null) return false;
-  const d = parseDimensionsToLBH(webDimText);
-  const webVal = (dimType==='L')?d.L:(dimType==='B')?d.B:d.H;
-  if (webVal==null) return false;
-  return exNum===webVal;
-}
+app.post('/api/jobs/compare', upload.single('file'), async (req, res) => {
+  try {
+    const { input, tolerances: rawTolerances } = await compareInput(req);
+    const tolerances = resolveTolerances(rawTolerances);
+    const compare = async (options) => {
+      const { scraped, ...result } = await compareRows(input, { scraper, reviews, concurrency: SCRAPE_CONCURRENCY, tolerances, ...options });
+      return { buffer: Buffer.from(JSON.stringify(result)), stats: result.stats, review: reviewItemsOf(result), scraped };
+    };
+    const job = jobs.create('compare', async (report) => {
+      const { scraped, ...result } = await compare({ onProgress: report });
+      // Download mit den aktuellen Prüfentscheidungen, ohne erneut zu scrapen
+      return { ...result, filename: 'Web_Vergleich_Ergebnis.json', contentType: 'application/json', rebuild: () => compare({ scraped }) };
+    });
+    res.status(202).json(jobLinks(job));
 
-// -------- Top-Header (Zeile 1) --------
-function applyTopHeader(ws) {
-  // Fills (Hintergründe) sichern
-  const b1Fill  = ws.getCell('B1').fill;
-  const ag1Fill = ws.getCell('AG1').fill;
-  const ah1Fill = ws.getCell('AH1').fill;
-
-  // evtl. vorhandene Merges lösen
-  try { ws.unMergeCells('B1:AF1'); } catch {}
-  try { ws.unMergeCells('AH1:AJ1'); } catch {}
-
-  // B1:AF1
-  ws.mergeCells('B1:AF1');
-  const b1 = ws.getCell('B1');
-  b1.value = 'DB AG SAP R/3 K MARA Stammdaten Stand 20.Mai 2025';
-  if (b1Fill) b1.fill = b1Fill;
-  b1.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
-
-  // AG1 (einzeln)
-  const ag1 = ws.getCell('AG1');
-  ag1.value = 'SAP Klassifizierung aus Okt24';
-  if (ag1Fill) ag1.fill = ag1Fill;
-  ag1.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
-
-  // AH1:AJ1
-  ws.mergeCells('AH1:AJ1');
-  const ah1 = ws.getCell('AH1');
-  ah1.value = 'Zusatz Herstellerdaten aus Abfragen in 2024';
-  if (ah1Fill) ah1.fill = ah1Fill;
-  ah1.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
-}
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// -------- Korrekturvorschläge für die SAP-Massenpflege ----------
+// Korrekturliste: je Material und abweichendem Feld DB-Wert, Web-Vorschlag, Grund und Spalte "Übernehmen"
+app.post('/api/corrections', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Bitte Excel-, CSV- oder JSON-Datei hochladen (file).' });
+
+    const result = await runCorrections(req.file.buffer, {
+      ...formatOptions(req, req.file),
+      scraper,
+      reviews,
+      concurrency: SCRAPE_CONCURRENCY,
+      tolerances: req.body.tolerances
+    });
+    sendResult(res, result, 'Korrekturvorschläge');
 
-// -------- NEU: Header-Zeilen 2 & 3 pro DB/Web-Paar zusammenfassen --------
-function mergePairHeaders(ws, pairs) {
-  for (const pair of pairs) {
-    const dbCol  = pair.dbCol;   // Buchstabe, z.B. "C"
-    const webCol = pair.webCol;  // Buchstabe, z.B. "D"
-    if (!dbCol || !webCol) continue;
-
-    // Vorhandene Merges lösen (falls schon gemergt)
-    try { ws.unMergeCells(`${dbCol}2:${webCol}2`); } catch {}
-    try { ws.unMergeCells(`${dbCol}3:${webCol}3`); } catch {}
-
-    // Werte aus DB-Header holen (wir verwenden bewusst die DB-Seite als Quelle)
-    const v2 = ws.getCell(`${dbCol}2`).value; // technischer Code
-    const v3 = ws.getCell(`${dbCol}3`).value; // Klartext Spaltenname
-
-    // Merge durchführen
-    ws.mergeCells(`${dbCol}2:${webCol}2`);
-    ws.mergeCells(`${dbCol}3:${webCol}3`);
-
-    // Werte und Optik setzen (oben links der Merge-Range)
-    const top2 = ws.getCell(`${dbCol}2`);
-    const top3 = ws.getCell(`${dbCol}3`);
-    top2.value = v2;
-    top3.value = v3;
-
-    // Ausrichtung mittig
-    top2.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
-    top3.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
-
-    // Hintergrund/Fonts der DB-Zelle übernehmen (falls vorhanden)
-    const src2 = ws.getCell(`${dbCol}2`);
-    const src3 = ws.getCell(`${dbCol}3`);
-    if (src2.fill)  top2.fill  = src2.fill;
-    if (src2.font)  top2.font  = src2.font;
-    if (src2.border)top2.border= src2.border;
-
-    if (src3.fill)  top3.fill  = src3.fill;
-    if (src3.font)  top3.font  = src3.font;
-    if (src3.border)top3.border= src3.border;
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
   }
-}
+});
 
-// -------- Routes ----------
-app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
-app.get('/api/health', (req, res) => res.json({ ok: true, time: new Date().toISOString() }));
+app.post('/api/jobs/corrections', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Bitte Excel-, CSV- oder JSON-Datei hochladen (file).' });
+
+    const tolerances = resolveTolerances(req.body.tolerances);
+    const { inputFormat, outputFormat, csv } = formatOptions(req, req.file);
+    const prepared = await prepareWebComparison(await readWorkbook(req.file.buffer, { format: inputFormat, csv }));
+    const job = jobs.create('corrections', async (report) => {
+      const result = await runCorrections(prepared, {
+        outputFormat,
+        csv,
+        scraper,
+        reviews,
+        concurrency: SCRAPE_CONCURRENCY,
+        onProgress: report,
+        tolerances
+      });
+      return { ...result, filename: `Korrekturvorschläge.${FORMATS[outputFormat].ext}`, contentType: FORMATS[outputFormat].contentType };
+    });
+    res.status(202).json(jobLinks(job));
 
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-app.post('/api/process-excel', upload.single('file'), async (req, res) => {
+// Geprüfte Korrekturliste zurück: Änderungsliste (MATNR + MARA-Felder) nur mit den übernommenen Vorschlägen
+app.post('/api/corrections/apply', upload.single('file'), async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ error: 'Bitte Excel-Datei hochladen (file).' });
+    if (!req.file) return res.status(400).json({ error: 'Bitte geprüfte Korrekturliste hochladen (file).' });
 
-    const wb = new ExcelJS.Workbook();
-    await wb.xlsx.load(req.file.buffer);
+    const result = await applyCorrections(req.file.buffer, formatOptions(req, req.file));
+    sendResult(res, result, 'SAP_Änderungsliste');
 
-    // 1) A2V-Nummern aus Spalte Z (ursprünglich) einsammeln, bevor wir umbauen
-    const tasks = [];
-    const rowsPerSheet = new Map(); // ws -> [rowIndex,...]
-    for (const ws of wb.worksheets) {
-      const indices = [];
-      const last = ws.lastRow?.number || 0;
-      for (let r = FIRST_DATA_ROW - 1; r <= last; r++) { // -1, weil wir gleich eine Zeile 4 einfügen
-        const a2v = (ws.getCell(`${ORIGINAL_COLS.Z}${r}`).value || '').toString().trim().toUpperCase();
-        if (a2v.startsWith('A2V')) { indices.push(r); tasks.push(a2v); }
-      }
-      rowsPerSheet.set(ws, indices);
-    }
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    // 2) Scrapen
-    const resultsMap = await scraper.scrapeMany(tasks, SCRAPE_CONCURRENCY);
+// -------- Prüfentscheidungen ----------
+// Body: { decision: 'db' | 'web' | 'unclear', dbNorm, webNorm, comment } – gilt nur für genau diese Werte
+app.put('/api/reviews/:a2v/:field', (req, res) => {
+  try {
+    const { decision, dbNorm, webNorm, comment } = req.body || {};
+    res.json(reviews.set(req.params.a2v, req.params.field, { decision, dbNorm, webNorm, comment }));
 
-    // 3) Umbau pro Worksheet
-    for (const ws of wb.worksheets) {
-      // 3.1 Spaltenstruktur berechnen
-      const structure = calculateNewColumnStructure(ws);
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+app.delete('/api/reviews/:a2v/:field', (req, res) => {
+  res.json({ deleted: reviews.delete(req.params.a2v, req.params.field) });
+});
 
-      // 3.2 Spalten einfügen (von rechts nach links)
-      for (const pair of [...structure.pairs].reverse()) {
-        const insertPos = getColumnIndex(pair.original) + 1; // rechts neben der Originalspalte
-        ws.spliceColumns(insertPos, 0, [null]);
-      }
+// -------- Einzelprodukt nachschlagen ----------
+// Query: refresh=1 scraped neu, tolerances=JSON, weitere Parameter sind DB-Werte (z.B. ?Nettogewicht=0.16&Gewichtseinheit=KG)
+app.get('/api/product/:a2v', async (req, res) => {
+  try {
+    const { refresh, tolerances, ...dbValues } = req.query;
+    res.json(await lookupProduct(req.params.a2v, {
+      scraper,
+      reviews,
+      refresh: refresh === '1' || refresh === 'true',
+      dbValues,
+      tolerances
+    }));
 
-      // 3.3 Zeile 4 (Labels) einfügen
-      ws.spliceRows(LABEL_ROW, 0, [null]);
-
-      // 3.4 Zeilen 2 & 3 Inhalte in Web-Spalten spiegeln + Labels schreiben
-      for (const pair of structure.pairs) {
-        // Inhalte 2/3 spiegeln
-        const dbTech = ws.getCell(`${pair.dbCol}2`).value;
-        const dbName = ws.getCell(`${pair.dbCol}3`).value;
-        ws.getCell(`${pair.webCol}2`).value = dbTech;
-        ws.getCell(`${pair.webCol}3`).value = dbName;
-        copyColumnFormatting(ws, pair.dbCol, pair.webCol, 1, 3);
-
-        // Labels Zeile 4
-        ws.getCell(`${pair.dbCol}${LABEL_ROW}`).value  = 'DB-Wert';
-        ws.getCell(`${pair.webCol}${LABEL_ROW}`).value = 'Web-Wert';
-        applyLabelCellFormatting(ws, `${pair.dbCol}${LABEL_ROW}`, false);
-        applyLabelCellFormatting(ws, `${pair.webCol}${LABEL_ROW}`, true);
-      }
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-      // 3.5 Top-Header (Zeile 1) setzen
-      applyTopHeader(ws);
-
-      // 3.6 NEU: Header in Zeile 2 und 3 pro Paar zusammenfassen (C2:D2, C3:D3, F2:G2, F3:G3, ...)
-      mergePairHeaders(ws, structure.pairs);
-
-      // 3.7 Web-Daten eintragen / vergleichen
-      const prodRows = rowsPerSheet.get(ws) || [];
-      for (const originalRow of prodRows) {
-        const currentRow = originalRow + 1; // wegen eingefügter Label-Zeile
-
-        // neue Z-Spalte (A2V) bestimmen
-        let zCol = ORIGINAL_COLS.Z;
-        if (structure.otherCols.has(ORIGINAL_COLS.Z)) zCol = structure.otherCols.get(ORIGINAL_COLS.Z);
-        const a2v = (ws.getCell(`${zCol}${currentRow}`).value || '').toString().trim().toUpperCase();
-        const web = resultsMap.get(a2v) || {};
-
-        // je Paar
-        for (const pair of structure.pairs) {
-          const dbValue = ws.getCell(`${pair.dbCol}${currentRow}`).value;
-          let webValue = null;
-          let isEqual = false;
-
-          switch (pair.original) {
-            case 'C': // Material-Kurztext
-              webValue = (web.Produkttitel && web.Produkttitel !== 'Nicht gefunden') ? web.Produkttitel : null;
-              isEqual  = webValue ? eqText(dbValue || '', webValue) : false;
-              break;
-            case 'E': // Herstellartikelnummer
-              webValue = (web['Weitere Artikelnummer'] && web['Weitere Artikelnummer'] !== 'Nicht gefunden')
-                        ? web['Weitere Artikelnummer']
-                        : a2v;
-              isEqual  = eqPart(dbValue || a2v, webValue);
-              break;
-            case 'N': // Fert./Prüfhinweis
-              if (web.Materialklassifizierung && web.Materialklassifizierung !== 'Nicht gefunden') {
-                const code = normalizeNCode(mapMaterialClassificationToExcel(web.Materialklassifizierung));
-                if (code) { webValue = code; isEqual = eqN(dbValue || '', code); }
-              }
-              break;
-            case 'P': // Werkstoff
-              webValue = (web.Werkstoff && web.Werkstoff !== 'Nicht gefunden') ? web.Werkstoff : null;
-              isEqual  = webValue ? eqText(dbValue || '', webValue) : false;
-              break;
-            case 'S': // Nettogewicht
-              if (web.Gewicht && web.Gewicht !== 'Nicht gefunden') {
-                const { value } = parseWeight(web.Gewicht);
-                if (value != null) { webValue = value; isEqual = eqWeight(dbValue, web.Gewicht); }
-              }
-              break;
-            case 'U': // Länge
-              if (web.Abmessung && web.Abmessung !== 'Nicht gefunden') {
-                const d = parseDimensionsToLBH(web.Abmessung);
-                if (d.L != null) { webValue = d.L; isEqual = eqDimension(dbValue, web.Abmessung, 'L'); }
-              }
-              break;
-            case 'V': // Breite
-              if (web.Abmessung && web.Abmessung !== 'Nicht gefunden') {
-                const d = parseDimensionsToLBH(web.Abmessung);
-                if (d.B != null) { webValue = d.B; isEqual = eqDimension(dbValue, web.Abmessung, 'B'); }
-              }
-              break;
-            case 'W': // Höhe
-              if (web.Abmessung && web.Abmessung !== 'Nicht gefunden') {
-                const d = parseDimensionsToLBH(web.Abmessung);
-                if (d.H != null) { webValue = d.H; isEqual = eqDimension(dbValue, web.Abmessung, 'H'); }
-              }
-              break;
-          }
+// -------- Jobs: Web-Vergleich im Hintergrund ----------
+app.post('/api/jobs/process-excel', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Bitte Excel-, CSV- oder JSON-Datei hochladen (file).' });
+
+    // Spalten und Einstellungen vorab prüfen, damit ungültige Uploads sofort abgelehnt werden
+    const tolerances = resolveTolerances(req.body.tolerances);
+    const { inputFormat, outputFormat, csv } = formatOptions(req, req.file);
+    const prepared = await prepareWebComparison(await readWorkbook(req.file.buffer, { format: inputFormat, csv }));
+    const options = { outputFormat, csv, scraper, reviews, concurrency: SCRAPE_CONCURRENCY, tolerances };
+    const job = jobs.create('web-comparison', async (report) => {
+      const { scraped, ...result } = await runWebComparison(prepared, { ...options, onProgress: report });
+      return {
+        ...result,
+        filename: `Web_Vergleich_Ergebnis.${FORMATS[outputFormat].ext}`,
+        contentType: FORMATS[outputFormat].contentType,
+        // Download mit den aktuellen Prüfentscheidungen, ohne erneut zu scrapen; prepared ist danach bereits umgebaut
+        rebuild: () => runWebComparison(req.file.buffer, { ...options, inputFormat, scraped })
+      };
+    });
+    res.status(202).json(jobLinks(job));
 
-          const hasDb = hasValue(dbValue);
-          const hasWeb = webValue !== null;
-
-          if (hasWeb) {
-            ws.getCell(`${pair.webCol}${currentRow}`).value = webValue;
-            // Nur markieren wenn DB-Wert vorhanden ist
-            if (hasDb) {
-              fillColor(ws, `${pair.webCol}${currentRow}`, isEqual ? 'green' : 'red');
-            }
-            // Wenn DB-Wert fehlt, aber Web-Wert vorhanden → keine Markierung
-          } else {
-            // Web-Wert fehlt, aber DB-Wert vorhanden → orange
-            if (hasDb) fillColor(ws, `${pair.webCol}${currentRow}`, 'orange');
-          }
-        }
-      }
-    }
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    const out = await wb.xlsx.writeBuffer();
-    res.setHeader('Content-Type','application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition','attachment; filename="Web_Vergleich_Ergebnis.xlsx"');
-    res.send(Buffer.from(out));
+// -------- Jobs: Qualitätsbericht im Hintergrund ----------
+app.post('/api/jobs/check-completeness', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'rules', maxCount: 1 }]), async (req, res) => {
+  try {
+    const file = req.files?.file?.[0];
+    if (!file) return res.status(400).json({ error: 'Bitte Excel-, CSV- oder JSON-Datei hochladen (file).' });
+
+    const rulesFile = req.files?.rules?.[0];
+    const ruleSet = rulesFile ? loadRuleSet(rulesFile.buffer) : undefined;
+    const formats = formatOptions(req, file);
+    const job = jobs.create('check-completeness', async () => {
+      const result = await runCompletenessCheck(file.buffer, { ...formats, ruleSet });
+      return { ...result, filename: `Qualitätsbericht.${FORMATS[result.format].ext}`, contentType: FORMATS[result.format].contentType };
+    });
+    res.status(202).json(jobLinks(job));
 
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job nicht gefunden.' });
+  res.json(jobs.view(job));
+});
+
+// Server-Sent Events: Status-Updates bis der Job fertig ist
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job nicht gefunden.' });
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const send = (view) => {
+    res.write(`event: progress\ndata: ${JSON.stringify(view)}\n\n`);
+    if (view.status === 'done' || view.status === 'error') { cleanup(); res.end(); }
+  };
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = jobs.subscribe(job.id, send);
+  const cleanup = () => { clearInterval(keepAlive); unsubscribe(); };
+  req.on('close', cleanup);
+
+  send(jobs.view(job));
+});
+
+// Statistik des fertigen Jobs (gleicher Inhalt wie das Blatt "Zusammenfassung")
+app.get('/api/jobs/:id/stats', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job nicht gefunden.' });
+  if (job.status !== 'done') return res.status(409).json({ error: `Job ist noch nicht fertig (Status: ${job.status}).` });
+  res.json(job.stats);
+});
+
+// Prüfliste eines Web-Vergleichs-Jobs: alle roten/orangen Zellen mit der aktuell gespeicherten Entscheidung
+app.get('/api/jobs/:id/review', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job nicht gefunden.' });
+  if (job.status !== 'done') return res.status(409).json({ error: `Job ist noch nicht fertig (Status: ${job.status}).` });
+  if (!job.review) return res.status(404).json({ error: 'Dieser Job hat keine Prüfliste.' });
+  res.json({
+    items: job.review.map(item => ({ ...item, review: reviews.lookup(item.a2v, item.field, item) }))
+  });
+});
+
+// Ergebnis herunterladen; Web-Vergleiche werden dafür mit den aktuellen Prüfentscheidungen neu aufgebaut (Notizen, Zusammenfassung)
+app.get('/api/jobs/:id/download', async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job nicht gefunden.' });
+  if (job.status !== 'done') return res.status(409).json({ error: `Job ist noch nicht fertig (Status: ${job.status}).` });
+  try {
+    const result = await jobs.rebuild(job);
+    res.setHeader('Content-Type', job.contentType);
+    res.setHeader('Content-Disposition',`attachment; filename="${job.filename}"`);
+    res.send(result);
+
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// -------- Scrape-Cache: ansehen, neu scrapen, löschen ----------
+app.get('/api/cache', (req, res) => {
+  res.json({ ...scraper.cache.stats(), items: scraper.cache.list().map(({ result, ...meta }) => meta) });
+});
+
+// ohne ?provider= der zuletzt gescrapte Eintrag der A2V-Nummer
+app.get('/api/cache/:a2v', (req, res) => {
+  const entry = scraper.cache.describe(req.params.a2v, { provider: req.query.provider });
+  if (!entry) return res.status(404).json({ error: 'Kein Cache-Eintrag für diese A2V-Nummer.' });
+  res.json(entry);
+});
+
+// Alle Einträge (mit ?prefix=A2V0001 nur die passenden) als abgelaufen markieren – der nächste Lauf scraped neu
+app.post('/api/cache/refresh', (req, res) => {
+  const { prefix } = req.query;
+  res.json({ invalidated: scraper.cache.invalidate(prefix, { prefix: !!prefix }) });
+});
+
+app.post('/api/cache/:a2v/refresh', async (req, res) => {
+  try {
+    const out = await scraper.scrapeOne(req.params.a2v, { refresh: true, provider: req.query.provider });
+    res.json(scraper.cache.describe(req.params.a2v, { provider: out.Anbieter }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
 });
 
+// Alle Einträge löschen, mit ?prefix=A2V0001 nur die passenden
+app.delete('/api/cache', (req, res) => {
+  const { prefix } = req.query;
+  res.json({ purged: scraper.cache.purge(prefix, { prefix: !!prefix }) });
+});
+
+app.delete('/api/cache/:a2v', (req, res) => {
+  res.json({ purged: scraper.cache.purge(req.params.a2v) });
+});
+
 // Neue Route für Vollständigkeitsprüfung
-app.post('/api/check-completeness', upload.single('file'), async (req, res) => {
+// Optional: eigene Regeldatei (JSON) im Feld "rules" – sonst completeness-rules.json
+app.post('/api/check-completeness', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'rules', maxCount: 1 }]), async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ error: 'Bitte Excel-Datei hochladen (file).' });
+    const file = req.files?.file?.[0];
+    if (!file) return res.status(400).json({ error: 'Bitte Excel-, CSV- oder JSON-Datei hochladen (file).' });
 
-    const result = await checkCompleteness(req.file.buffer);
-    
-    res.setHeader('Content-Type','application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition','attachment; filename="Qualitätsbericht.xlsx"');
-    res.send(Buffer.from(result));
+    const rulesFile = req.files?.rules?.[0];
+    const ruleSet = rulesFile ? loadRuleSet(rulesFile.buffer) : undefined;
+    const result = await runCompletenessCheck(file.buffer, { ...formatOptions(req, file), ruleSet });
+    sendResult(res, result, 'Qualitätsbericht');
 
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Aktives Standard-Regelwerk (Vorlage für eigene Regeldateien)
+app.get('/api/completeness-rules', (req, res) => {
+  try {
+    res.setHeader('Content-Disposition','attachment; filename="completeness-rules.json"');
+    res.json(loadDefaultRuleSet());
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
+// Aktive Werkstoff-Synonymtabelle (Vorlage zum Ergänzen)
+app.get('/api/material-synonyms', (req, res) => {
+  res.setHeader('Content-Disposition','attachment; filename="material-synonyms.json"');
+  res.sendFile(SYNONYMS_FILE, err => {
+    if (err && !res.headersSent) res.status(500).json({ error: err.message });
+  });
+});
+
 // Neue Route für Qualitätsbericht Statistiken
+// Bevorzugt das Blatt "Zusammenfassung"; ältere Berichte ohne dieses Blatt werden über die Zellfarben gezählt.
 app.post('/api/quality-stats', upload.single('file'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'Bitte Excel-Datei hochladen (file).' });
 
     const wb = new ExcelJS.Workbook();
     await wb.xlsx.load(req.file.buffer);
+
+    const summary = readSummaryTotals(wb, QUALITY_TOTAL_LABELS);
+    if (summary) return res.json({ ...summary, source: 'Zusammenfassung' });
+
     const ws = wb.worksheets[0];
     
     let greenCount = 0;  // Vollständige und richtige Datensätze
     let redCount = 0;    // Unvollständige oder unplausible Datensätze
     
-    // Debug: Log all found colors
-    const foundColors = new Set();
-    
     // Count colored cells in data rows (from row 4)
     const lastRow = ws.lastRow ? ws.lastRow.number : 0;
     for (let r = 4; r <= lastRow; r++) {
@@ -429,7 +456,6 @@ app.post('/api/quality-stats', upload.single('file'), async (req, res) => {
         const cell = row.getCell(c);
         if (cell.fill && cell.fill.fgColor) {
           const color = cell.fill.fgColor.argb;
-          foundColors.add(color);
           
           if (color === 'FFCCFFCC') { // Green - vollständig und richtig
             rowHasGreen = true;
@@ -446,17 +472,10 @@ app.post('/api/quality-stats', upload.single('file'), async (req, res) => {
         redCount++;
       }
     }
-    
-    console.log('Found colors in Qualitätsbericht:', Array.from(foundColors));
-    console.log('Quality counts:', { complete: greenCount, incomplete: redCount });
-    
+
     res.json({
       complete: greenCount,
-      incomplete: redCount,
-      debug: {
-        foundColors: Array.from(foundColors),
-        totalRows: lastRow
-      }
+      incomplete: redCount
     });
 
   } catch (err) {
@@ -466,21 +485,33 @@ app.post('/api/quality-stats', upload.single('file'), async (req, res) => {
 });
 
 // Neue Route für Web-Suche Statistiken
+// Bevorzugt das Blatt "Zusammenfassung"; ältere Ergebnisse ohne dieses Blatt werden über die Zellfarben gezählt.
 app.post('/api/web-search-stats', upload.single('file'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'Bitte Excel-Datei hochladen (file).' });
 
     const wb = new ExcelJS.Workbook();
     await wb.xlsx.load(req.file.buffer);
+
+    const summary = readSummaryTotals(wb, WEB_TOTAL_LABELS);
+    if (summary) {
+      return res.json({
+        green: summary.equal,
+        tolerance: summary.tolerance,
+        red: summary.mismatch,
+        orange: summary.missing,
+        products: summary.products,
+        source: 'Zusammenfassung'
+      });
+    }
+
     const ws = wb.worksheets[0];
     
     let greenCount = 0;  // Übereinstimmungen (grün)
+    let limeCount = 0;   // innerhalb Toleranz (gelbgrün)
     let redCount = 0;    // Abweichungen (rot)
     let orangeCount = 0; // Fehlende Web-Werte (orange)
     
-    // Debug: Log all found colors
-    const foundColors = new Set();
-    
     // Count colored cells in web value columns
     const lastRow = ws.lastRow ? ws.lastRow.number : 0;
     for (let r = 5; r <= lastRow; r++) { // Start from row 5 (after labels)
@@ -488,11 +519,12 @@ app.post('/api/web-search-stats', upload.single('file'), async (req, res) => {
         const cell = ws.getCell(r, c);
         if (cell.fill && cell.fill.fgColor) {
           const color = cell.fill.fgColor.argb;
-          foundColors.add(color);
           
           // Check only the specific colors used in the system
           if (color === 'FFD5F4E6') { // Green - Übereinstimmungen
             greenCount++;
+          } else if (color === 'FFE8F5C8') { // Gelbgrün - innerhalb Toleranz
+            limeCount++;
           } else if (color === 'FFFDEAEA') { // Red - Abweichungen
             redCount++;
           } else if (color === 'FFFFEAA7') { // Orange - Fehlende Web-Werte
@@ -501,19 +533,12 @@ app.post('/api/web-search-stats', upload.single('file'), async (req, res) => {
         }
       }
     }
-    
-    console.log('Found colors in Excel:', Array.from(foundColors));
-    console.log('Counts:', { green: greenCount, red: redCount, orange: orangeCount });
-    
+
     res.json({
       green: greenCount,
+      tolerance: limeCount,
       red: redCount,
-      orange: orangeCount,
-      debug: {
-        foundColors: Array.from(foundColors),
-        totalRows: lastRow,
-        totalColumns: ws.columnCount
-      }
+      orange: orangeCount
     });
 
   } catch (err) {
@@ -522,4 +547,28 @@ app.post('/api/web-search-stats', upload.single('file'), async (req, res) => {
   }
 });
 
-app.listen(PORT, () => console.log(`Server running at http://0.0.0.0:${PORT}`));
+// Nur beim direkten Start lauschen – Tests binden die App selbst an einen freien Port
+if (require.main === module) {
+  const server = app.listen(PORT, () => console.log(`Server running at http://0.0.0.0:${PORT}`));
+
+  // SIGTERM (Render, Docker) / Strg+C: keine neuen Verbindungen, Browser schließen, Cache und Prüfungen speichern
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`${signal} empfangen – Server wird beendet`);
+    server.close();
+    server.closeIdleConnections();
+    try {
+      await scraper.close();
+      reviews.flush();
+    } catch (err) {
+      console.error(err);
+    }
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { app, scraper, jobs, reviews };
@@ -0,0 +1,248 @@
+/* statistics.js */
+// Statistiken für Web-Vergleich und Qualitätsbericht – werden beim Aufbau der Ergebnisse gezählt
+// (nicht aus Zellfarben zurückgerechnet) und als Blatt "Zusammenfassung" sowie als JSON ausgegeben.
+
+const { DECISIONS, REVIEWABLE } = require('./review-store');
+
+const SUMMARY_SHEET = 'Zusammenfassung';
+const STATS_TOP_N = Number(process.env.STATS_TOP_N || 10);
+
+const FILL_HEADER = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F3FF' } };
+
+// Kennzahlen im Block "Gesamt" (Beschriftung in Spalte A, Wert in Spalte B)
+const WEB_TOTAL_LABELS = {
+  products:  'Geprüfte Produkte (A2V)',
+  equal:     'Übereinstimmungen',
+  tolerance: 'Innerhalb Toleranz / wahrscheinlich / gleichwertig',
+  mismatch:  'Abweichungen',
+  missing:   'Fehlende Web-Werte'
+};
+const QUALITY_TOTAL_LABELS = {
+  rows:       'Geprüfte Zeilen',
+  complete:   'Vollständige & richtige Zeilen',
+  incomplete: 'Zeilen mit Fehlern',
+  warnings:   'Zeilen nur mit Warnungen',
+  violations: 'Regelverstöße gesamt'
+};
+
+function emptyCounts() {
+  return { equal: 0, tolerance: 0, mismatch: 0, missing: 0 };
+}
+
+function topEntries(map, n) {
+  return Array.from(map.values()).sort((a, b) => b.count - a.count).slice(0, n);
+}
+
+class WebComparisonStats {
+  constructor() {
+    this.totals = { products: 0, ...emptyCounts() };
+    this.fields = new Map();   // field -> { field, label, ruleId, ...counts }
+    this.sheets = new Map();   // sheet -> { sheet, rows, ...counts }
+    this.failures = new Map(); // Muster -> { ruleId, field, label, status, db, web, count }
+    this.review = { db: 0, web: 0, unclear: 0, open: 0 }; // Prüfentscheidungen zu roten/orangen Zellen
+  }
+
+  addRow(sheetName) {
+    this._sheet(sheetName).rows++;
+    this.totals.products++;
+  }
+
+  /**
+   * Ergebnis eines DB/Web-Paars zählen (cmp aus compareField, review aus ReviewStore.lookup)
+   */
+  record(sheetName, pair, cmp, review = null) {
+    if (!(cmp.status in this.totals)) return; // 'noDb' / 'empty' werden nicht gezählt
+    this.totals[cmp.status]++;
+    if (REVIEWABLE.has(cmp.status)) this.review[review ? review.decision : 'open']++;
+    this._sheet(sheetName)[cmp.status]++;
+    if (!this.fields.has(pair.field)) {
+      this.fields.set(pair.field, { field: pair.field, label: pair.label, ruleId: pair.ruleId, ...emptyCounts() });
+    }
+    this.fields.get(pair.field)[cmp.status]++;
+
+    if (cmp.status === 'mismatch' || cmp.status === 'missing') {
+      const db = cmp.status === 'missing' ? '' : cmp.dbNorm;
+      const web = cmp.status === 'missing' ? '' : cmp.webNorm;
+      const key = [pair.ruleId, cmp.status, db, web].join('\u0000');
+      if (!this.failures.has(key)) {
+        this.failures.set(key, { ruleId: pair.ruleId, field: pair.field, label: pair.label, status: cmp.status, db, web, count: 0 });
+      }
+      this.failures.get(key).count++;
+    }
+  }
+
+  _sheet(name) {
+    if (!this.sheets.has(name)) this.sheets.set(name, { sheet: name, rows: 0, ...emptyCounts() });
+    return this.sheets.get(name);
+  }
+
+  toJSON(topN = STATS_TOP_N) {
+    return {
+      totals: { ...this.totals },
+      fields: Array.from(this.fields.values()),
+      sheets: Array.from(this.sheets.values()),
+      topFailures: topEntries(this.failures, topN),
+      review: { ...this.review }
+    };
+  }
+}
+
+class CompletenessStats {
+  constructor() {
+    this.totals = { rows: 0, complete: 0, incomplete: 0, warnings: 0, violations: 0 };
+    this.rules = new Map();    // ruleId -> { ruleId, type, severity, description, violations, rows }
+    this.columns = new Map();  // Spaltenname -> { column, violations }
+    this.sheets = new Map();   // sheet -> { sheet, rows, complete, incomplete }
+    this.failures = new Map(); // Meldung -> { ruleId, message, count }
+    this.unresolved = [];      // Regeln mit nicht gefundenen Spalten: { ruleId, missing, applied }
+  }
+
+  /**
+   * Regeln vermerken, deren Spalten nicht (alle) gefunden wurden
+   * @param {Object[]} unresolved - compileRules().unresolved
+   */
+  recordUnresolved(unresolved) {
+    for (const u of unresolved) this.unresolved.push({ ruleId: u.id, missing: [...u.missing], applied: u.applied });
+  }
+
+  /**
+   * Ergebnis einer Zeile zählen
+   * @param {string} sheetName
+   * @param {Object[]} violations - evaluateRow()
+   * @param {Map} rulesById - kompilierte Regeln (für Typ, Severity, Spaltennamen)
+   */
+  recordRow(sheetName, violations, rulesById) {
+    if (!this.sheets.has(sheetName)) this.sheets.set(sheetName, { sheet: sheetName, rows: 0, complete: 0, incomplete: 0 });
+    const sheet = this.sheets.get(sheetName);
+    const hasError = violations.some(v => v.severity !== 'warning');
+
+    this.totals.rows++;
+    sheet.rows++;
+    if (hasError) { this.totals.incomplete++; sheet.incomplete++; }
+    else { this.totals.complete++; sheet.complete++; }
+    if (!hasError && violations.length) this.totals.warnings++;
+
+    const rulesInRow = new Set();
+    for (const v of violations) {
+      const rule = rulesById.get(v.ruleId) || {};
+      this.totals.violations++;
+      if (!this.rules.has(v.ruleId)) {
+        this.rules.set(v.ruleId, {
+          ruleId: v.ruleId, type: rule.type, severity: v.severity, description: rule.description || '', violations: 0, rows: 0
+        });
+      }
+      const r = this.rules.get(v.ruleId);
+      r.violations++;
+      if (!rulesInRow.has(v.ruleId)) { r.rows++; rulesInRow.add(v.ruleId); }
+
+      for (const c of v.cols) {
+        const column = rule.headerOf ? rule.headerOf(c) : `Spalte ${c}`;
+        if (!this.columns.has(column)) this.columns.set(column, { column, violations: 0 });
+        this.columns.get(column).violations++;
+      }
+
+      const key = `${v.ruleId}\u0000${v.message}`;
+      if (!this.failures.has(key)) this.failures.set(key, { ruleId: v.ruleId, message: v.message, count: 0 });
+      this.failures.get(key).count++;
+    }
+  }
+
+  toJSON(topN = STATS_TOP_N) {
+    return {
+      totals: { ...this.totals },
+      rules: Array.from(this.rules.values()),
+      columns: Array.from(this.columns.values()).sort((a, b) => b.violations - a.violations),
+      sheets: Array.from(this.sheets.values()),
+      topFailures: topEntries(this.failures, topN),
+      unresolvedRules: this.unresolved.map(u => ({ ...u, missing: [...u.missing] }))
+    };
+  }
+}
+
+// -------- Blatt "Zusammenfassung" ----------
+function writeTable(ws, title, headers, rows) {
+  const titleRow = ws.addRow([title]);
+  titleRow.font = { bold: true, size: 12 };
+  const headerRow = ws.addRow(headers);
+  headerRow.eachCell(c => { c.font = { bold: true }; c.fill = FILL_HEADER; });
+  if (!rows.length) ws.addRow(['–']);
+  for (const r of rows) ws.addRow(r);
+  ws.addRow([]);
+}
+
+function addSheet(wb, title) {
+  const existing = wb.getWorksheet(SUMMARY_SHEET);
+  if (existing) wb.removeWorksheet(existing.id);
+  const ws = wb.addWorksheet(SUMMARY_SHEET);
+  ws.columns = [{ width: 34 }, { width: 18 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 12 }];
+  const t = ws.addRow([title]);
+  t.font = { bold: true, size: 14 };
+  ws.addRow([`Erstellt: ${new Date().toLocaleString('de-DE')}`]);
+  ws.addRow([]);
+  return ws;
+}
+
+/** "Zusammenfassung" für den Web-Vergleich anhängen */
+function addWebSummarySheet(wb, stats) {
+  const s = stats.toJSON();
+  const ws = addSheet(wb, 'Zusammenfassung – Web-Vergleich');
+  writeTable(ws, 'Gesamt', ['Kennzahl', 'Wert'],
+    Object.entries(WEB_TOTAL_LABELS).map(([k, label]) => [label, s.totals[k]]));
+  writeTable(ws, 'Pro Feld', ['Feld', 'Regel', 'Übereinstimmung', 'Toleranz / ähnlich', 'Abweichung', 'Fehlt'],
+    s.fields.map(f => [f.label, f.ruleId, f.equal, f.tolerance, f.mismatch, f.missing]));
+  writeTable(ws, 'Pro Blatt', ['Blatt', 'Produkte', 'Übereinstimmung', 'Toleranz', 'Abweichung', 'Fehlt'],
+    s.sheets.map(b => [b.sheet, b.rows, b.equal, b.tolerance, b.mismatch, b.missing]));
+  writeTable(ws, `Häufigste Abweichungen (Top ${STATS_TOP_N})`, ['Feld', 'Regel', 'DB (normalisiert)', 'Web (normalisiert)', 'Art', 'Anzahl'],
+    s.topFailures.map(f => [f.label, f.ruleId, f.db, f.web, f.status === 'missing' ? 'Web-Wert fehlt' : 'Abweichung', f.count]));
+  writeTable(ws, 'Prüfentscheidungen (Abweichungen & fehlende Web-Werte)', ['Entscheidung', 'Anzahl'], [
+    ...Object.entries(DECISIONS).map(([k, label]) => [label, s.review[k]]),
+    ['offen', s.review.open]
+  ]);
+  return ws;
+}
+
+/** "Zusammenfassung" für den Qualitätsbericht anhängen */
+function addQualitySummarySheet(wb, stats) {
+  const s = stats.toJSON();
+  const ws = addSheet(wb, 'Zusammenfassung – Qualitätsbericht');
+  writeTable(ws, 'Gesamt', ['Kennzahl', 'Wert'],
+    Object.entries(QUALITY_TOTAL_LABELS).map(([k, label]) => [label, s.totals[k]]));
+  writeTable(ws, 'Pro Regel', ['Regel', 'Typ', 'Severity', 'Verstöße', 'Zeilen', 'Beschreibung'],
+    s.rules.map(r => [r.ruleId, r.type, r.severity, r.violations, r.rows, r.description]));
+  writeTable(ws, 'Pro Spalte', ['Spalte', 'Verstöße'], s.columns.map(c => [c.column, c.violations]));
+  writeTable(ws, 'Pro Blatt', ['Blatt', 'Zeilen', 'Vollständig', 'Fehlerhaft'],
+    s.sheets.map(b => [b.sheet, b.rows, b.complete, b.incomplete]));
+  writeTable(ws, `Häufigste Verstöße (Top ${STATS_TOP_N})`, ['Regel', 'Meldung', 'Anzahl'],
+    s.topFailures.map(f => [f.ruleId, f.message, f.count]));
+  writeTable(ws, 'Regeln mit fehlenden Spalten', ['Regel', 'Fehlende Spalten', 'Auswirkung'],
+    s.unresolvedRules.map(u => [u.ruleId, u.missing.join(', '), u.applied ? 'nur vorhandene Spalten geprüft' : 'übersprungen']));
+  ws.getColumn(2).width = 60;
+  return ws;
+}
+
+/**
+ * Block "Gesamt" aus einem Ergebnis-Workbook lesen (für die Statistik-Endpunkte)
+ * @returns {Object|null} - { key: wert } mit den Schlüsseln aus WEB_TOTAL_LABELS bzw. QUALITY_TOTAL_LABELS
+ */
+function readSummaryTotals(wb, labels) {
+  const ws = wb.getWorksheet(SUMMARY_SHEET);
+  if (!ws) return null;
+  const byLabel = new Map(Object.entries(labels).map(([k, label]) => [label, k]));
+  const out = {};
+  ws.eachRow(row => {
+    const key = byLabel.get(String(row.getCell(1).value || '').trim());
+    if (key && !(key in out)) out[key] = Number(row.getCell(2).value) || 0;
+  });
+  return Object.keys(out).length ? out : null;
+}
+
+module.exports = {
+  SUMMARY_SHEET,
+  WEB_TOTAL_LABELS,
+  QUALITY_TOTAL_LABELS,
+  WebComparisonStats,
+  CompletenessStats,
+  addWebSummarySheet,
+  addQualitySummarySheet,
+  readSummaryTotals
+};
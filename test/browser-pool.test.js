@@ -0,0 +1,132 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const { BrowserPool } = require('../browser-pool');
+
+// Minimaler Ersatz für Playwright: Browser mit Kontext und Seiten, crash() simuliert einen Absturz
+class FakeBrowser extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.openPages = 0;
+  }
+  isConnected() { return this.connected; }
+  async newContext() {
+    return {
+      newPage: async () => {
+        this.openPages++;
+        return { close: async () => { this.openPages--; } };
+      },
+      close: async () => {}
+    };
+  }
+  async close() { this.connected = false; this.emit('disconnected'); }
+  crash() { this.connected = false; this.emit('disconnected'); }
+}
+
+function fakePool(options = {}) {
+  const browsers = [];
+  const pool = new BrowserPool({
+    launch: async () => { const b = new FakeBrowser(); browsers.push(b); return b; },
+    maxPages: 2,
+    idleMs: 0,
+    ...options
+  });
+  return { pool, browsers };
+}
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+describe('BrowserPool', () => {
+  test('höchstens maxPages Seiten gleichzeitig, Seiten werden geschlossen', async () => {
+    const { pool, browsers } = fakePool();
+    const gates = [deferred(), deferred(), deferred()];
+    let running = 0;
+    let peak = 0;
+    const calls = gates.map((gate, i) => pool.withPage(async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await gate.promise;
+      running--;
+      return i;
+    }));
+    await new Promise(r => setImmediate(r));
+    assert.equal(pool.describe().queued, 1);
+    gates.forEach(g => g.resolve());
+    assert.deepEqual(await Promise.all(calls), [0, 1, 2]);
+    assert.equal(peak, 2);
+    assert.equal(browsers.length, 1);
+    assert.equal(browsers[0].openPages, 0);
+    assert.equal(pool.describe().activePages, 0);
+    await pool.close();
+  });
+
+  test('Fehler in fn schließen die Seite ebenfalls', async () => {
+    const { pool, browsers } = fakePool();
+    await assert.rejects(() => pool.withPage(async () => { throw new Error('goto fehlgeschlagen'); }), /goto fehlgeschlagen/);
+    assert.equal(browsers[0].openPages, 0);
+    await pool.close();
+  });
+
+  test('Neustart nach Absturz, laufender Abruf wird einmal wiederholt', async () => {
+    const { pool, browsers } = fakePool();
+    let attempts = 0;
+    const result = await pool.withPage(async () => {
+      attempts++;
+      if (attempts === 1) {
+        browsers[0].crash();
+        throw new Error('Target closed');
+      }
+      return 'ok';
+    });
+    assert.equal(result, 'ok');
+    assert.equal(browsers.length, 2);
+    const state = pool.describe();
+    assert.equal(state.crashes, 1);
+    assert.equal(state.launches, 2);
+    assert.equal(state.running, true);
+
+    // Absturz zwischen zwei Abrufen: der nächste Abruf startet neu
+    browsers[1].crash();
+    assert.equal(pool.describe().running, false);
+    assert.equal(await pool.withPage(async () => 'wieder da'), 'wieder da');
+    assert.equal(browsers.length, 3);
+    await pool.close();
+  });
+
+  test('Leerlauf schließt den Browser', async () => {
+    const { pool, browsers } = fakePool({ idleMs: 20 });
+    await pool.withPage(async () => null);
+    assert.equal(pool.describe().running, true);
+    await new Promise(r => setTimeout(r, 60));
+    assert.equal(pool.describe().running, false);
+    assert.equal(browsers[0].isConnected(), false);
+    assert.equal(pool.describe().crashes, 0);
+    await pool.close();
+  });
+
+  test('close() bricht Wartende ab und lehnt neue Abrufe ab', async () => {
+    const { pool, browsers } = fakePool({ maxPages: 1 });
+    const gate = deferred();
+    const first = pool.withPage(() => gate.promise);
+    const waiting = pool.withPage(async () => 'nie');
+    await new Promise(r => setImmediate(r));
+    await pool.close();
+    await assert.rejects(waiting, /geschlossen/);
+    gate.resolve('fertig');
+    assert.equal(await first, 'fertig');
+    assert.equal(browsers[0].isConnected(), false);
+    await assert.rejects(() => pool.withPage(async () => null), /geschlossen/);
+  });
+
+  test('ohne Playwright: verständlicher Fehler', async () => {
+    const pool = new BrowserPool({ launch: async () => null });
+    await assert.rejects(() => pool.withPage(async () => null), /Playwright nicht verfügbar/);
+    assert.equal(pool.describe().running, false);
+  });
+});
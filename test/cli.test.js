@@ -0,0 +1,137 @@
+// CLI als eigener Prozess gegen den Fake-MoBase-Server
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startFakeMobase } = require('./fake-mobase');
+const { buildWorkbook, buildCsv, loadWorkbook } = require('./fixtures/workbooks');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+describe('qmp CLI', () => {
+  let mobase;
+  let tmpDir;
+  let env;
+
+  const file = (name) => path.join(tmpDir, name);
+  const run = (...args) => new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { env, timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+
+  before(async () => {
+    mobase = await startFakeMobase();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qmp-cli-'));
+    env = {
+      ...process.env,
+      MOBASE_BASE_URL: mobase.baseUrl,
+      CACHE_FILE: file('scrape-cache.json'),
+      DISABLE_PLAYWRIGHT: '1'
+    };
+    fs.writeFileSync(file('ok.xlsx'), await buildWorkbook([{}]));
+    fs.writeFileSync(file('abweichung.xlsx'), await buildWorkbook([{}, { S: 0.5 }]));
+    fs.writeFileSync(file('fehlt.xlsx'), await buildWorkbook([{ Z: 'A2V00000000404', E: 'A2V00000000404' }]));
+    fs.writeFileSync(file('unvollstaendig.xlsx'), await buildWorkbook([{}, { D: null }]));
+    fs.writeFileSync(file('export.csv'), buildCsv([{}, { D: null }]));
+  });
+
+  after(async () => {
+    await mobase.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('compare ohne Abweichungen: Exit-Code 0 und Ergebnis-Workbook', async () => {
+    const { code, stdout } = await run('compare', file('ok.xlsx'), '-o', file('ok-out.xlsx'), '-q');
+    assert.equal(code, 0);
+    assert.match(stdout, /9 Übereinstimmungen/);
+    const wb = await loadWorkbook(fs.readFileSync(file('ok-out.xlsx')));
+    assert.ok(wb.getWorksheet('Zusammenfassung'));
+  });
+
+  test('compare mit Abweichungen: Exit-Code 1 und JSON-Statistik auf stdout', async () => {
+    const { code, stdout } = await run('compare', file('abweichung.xlsx'), '--json', '-', '-q', '-c', '2');
+    assert.equal(code, 1);
+    const summary = JSON.parse(stdout);
+    assert.equal(summary.command, 'compare');
+    assert.equal(summary.exitCode, 1);
+    assert.equal(summary.stats.totals.mismatch, 1);
+    assert.equal(summary.output, file('abweichung_Web_Vergleich.xlsx'));
+    assert.ok(fs.existsSync(summary.output));
+  });
+
+  test('fehlende Web-Werte zählen nur mit --strict', async () => {
+    assert.equal((await run('compare', file('fehlt.xlsx'), '-q', '--no-cache')).code, 0);
+    assert.equal((await run('compare', file('fehlt.xlsx'), '-q', '--no-cache', '--strict')).code, 1);
+  });
+
+  test('Toleranzen aus JSON', async () => {
+    const { code } = await run('compare', file('abweichung.xlsx'), '-q', '--tolerances', '{"weight":{"absKg":1}}');
+    assert.equal(code, 0);
+  });
+
+  test('Cache-Datei wird geschrieben', async () => {
+    await run('compare', file('ok.xlsx'), '-q', '--cache-file', file('eigener-cache.json'));
+    const cache = JSON.parse(fs.readFileSync(file('eigener-cache.json'), 'utf8'));
+    assert.ok(cache.entries['mobase:A2V00000000001']);
+  });
+
+  test('Meldungen der Module nur mit --verbose, dann auf stderr', async () => {
+    const args = ['compare', file('ok.xlsx'), '-q', '--cache-file', file('eigener-cache.json'), '--json', '-'];
+    const quiet = await run(...args);
+    assert.equal(JSON.parse(quiet.stdout).exitCode, 0);
+    // stderr enthält nur die Zusammenfassung (stdout ist für JSON reserviert)
+    assert.doesNotMatch(quiet.stderr, /Scrape-Cache/);
+    assert.match(quiet.stderr, /1 Produkte/);
+
+    const verbose = await run(...args, '--verbose');
+    assert.equal(JSON.parse(verbose.stdout).exitCode, 0);
+    assert.match(verbose.stderr, /Scrape-Cache geladen: \d+ Einträge/);
+  });
+
+  test('check: Exit-Code je nach Regelverstößen, JSON-Datei', async () => {
+    assert.equal((await run('check', file('ok.xlsx'), '-o', file('bericht.xlsx'))).code, 0);
+    const { code } = await run('check', file('unvollstaendig.xlsx'), '--json', file('check.json'));
+    assert.equal(code, 1);
+    const summary = JSON.parse(fs.readFileSync(file('check.json'), 'utf8'));
+    assert.deepEqual(summary.stats.totals, { rows: 2, complete: 1, incomplete: 1, warnings: 0, violations: 1 });
+  });
+
+  test('check mit CSV: Ausgabeformat aus der Endung von --output', async () => {
+    const { code } = await run('check', file('export.csv'), '-o', file('bericht.csv'));
+    assert.equal(code, 1);
+    const [header, , bad] = fs.readFileSync(file('bericht.csv'), 'utf8').trim().split('\r\n').map(l => l.split(';'));
+    assert.equal(header.at(-3), 'Status');
+    assert.equal(bad.at(-2), 'PFLICHT-01');
+    assert.equal((await run('check', file('export.csv'), '--format', 'json', '-o', file('bericht.json'))).code, 1);
+    assert.equal(JSON.parse(fs.readFileSync(file('bericht.json'), 'utf8')).rows[1].status, 'error');
+  });
+
+  test('corrections und apply: Korrekturliste prüfen, Änderungsliste erzeugen', async () => {
+    assert.equal((await run('corrections', file('ok.xlsx'), '-q')).code, 0);
+    const { code, stdout } = await run('corrections', file('abweichung.xlsx'), '-o', file('korrekturen.xlsx'), '-q');
+    assert.equal(code, 1);
+    assert.match(stdout, /1 Korrekturvorschläge/);
+
+    const wb = await loadWorkbook(fs.readFileSync(file('korrekturen.xlsx')));
+    wb.getWorksheet('Korrekturen').getCell('K2').value = 'Ja';
+    fs.writeFileSync(file('geprueft.xlsx'), Buffer.from(await wb.xlsx.writeBuffer()));
+    assert.equal((await run('apply', file('geprueft.xlsx'), '-o', file('aenderungen.csv'))).code, 0);
+    assert.match(fs.readFileSync(file('aenderungen.csv'), 'utf8'), /^MATNR;NTGEW\r\n1001;0,021\r\n$/);
+  });
+
+  test('Aufruffehler: Exit-Code 2', async () => {
+    assert.equal((await run()).code, 2);
+    assert.equal((await run('vergleich', file('ok.xlsx'))).code, 2);
+    assert.equal((await run('compare', file('gibt-es-nicht.xlsx'))).code, 2);
+    assert.equal((await run('compare', file('ok.xlsx'), '--tolerances', '{"weight":{"pct":-1}}', '-q')).code, 2);
+    assert.equal((await run('check', file('ok.xlsx'), '--unbekannt')).code, 2);
+    assert.equal((await run('check', file('export.csv'), '--decimal', ';')).code, 2);
+    const help = await run('--help');
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /qmp compare/);
+  });
+});
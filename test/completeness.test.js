@@ -0,0 +1,114 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkCompleteness } = require('../completeness-checker');
+const { loadRuleSet } = require('../rule-engine');
+const { buildWorkbook, loadWorkbook } = require('./fixtures/workbooks');
+
+const GREEN = 'FFCCFFCC';
+const RED = 'FFFFCCCC';
+const ORANGE = 'FFFFE0B2';
+
+const noteText = (cell) => {
+  const note = cell.note;
+  if (!note) return '';
+  return typeof note === 'string' ? note : note.texts.map(t => t.text).join('');
+};
+
+async function check(rows, { workbook, ...options } = {}) {
+  const { buffer, stats } = await checkCompleteness(await buildWorkbook(rows, workbook), options);
+  const wb = await loadWorkbook(buffer);
+  return { ws: wb.getWorksheet('Qualitätsbericht'), wb, stats };
+}
+
+describe('checkCompleteness', () => {
+  test('vollständige Zeile wird grün', async () => {
+    const { ws, stats } = await check([{}]);
+    assert.equal(ws.getCell('A4').fill.fgColor.argb, GREEN);
+    assert.equal(ws.getCell('Z4').fill.fgColor.argb, GREEN);
+    assert.deepEqual(stats.totals, { rows: 1, complete: 1, incomplete: 0, warnings: 0, violations: 0 });
+  });
+
+  test('Regelverstöße werden rot markiert und mit Regel-ID notiert', async () => {
+    const { ws, stats } = await check([
+      { D: null },                     // PFLICHT-01
+      { N: '1/3.1/CL9/N/A1' },         // FERT-01
+      { U: -5 },                       // MASSE-01
+      { S: 0 },                        // GEWICHT-01
+      { T: 0.01 },                     // GEWICHT-03: brutto < netto
+      { C: 'Scheibe', U: 0, V: 0, W: 0 }, // MASSE-02
+      { C: 'Blech 10 x 20', U: 0, V: 0, W: 0 } // MASSE-02 Ausnahme: Maß im Kurztext
+    ]);
+    const expected = [
+      ['D4', 'PFLICHT-01'],
+      ['N5', 'FERT-01'],
+      ['U6', 'MASSE-01'],
+      ['S7', 'GEWICHT-01'],
+      ['T8', 'GEWICHT-03'],
+      ['U9', 'MASSE-02']
+    ];
+    for (const [addr, ruleId] of expected) {
+      assert.equal(ws.getCell(addr).fill.fgColor.argb, RED, addr);
+      assert.match(noteText(ws.getCell(addr)), new RegExp(`^\\[${ruleId}\\] `), addr);
+    }
+    assert.equal(ws.getCell('A4').fill, undefined);
+    assert.equal(ws.getCell('A10').fill.fgColor.argb, GREEN);
+    assert.deepEqual(stats.totals, { rows: 7, complete: 1, incomplete: 6, warnings: 0, violations: 6 });
+    assert.deepEqual(stats.rules.map(r => r.ruleId).sort(), ['FERT-01', 'GEWICHT-01', 'GEWICHT-03', 'MASSE-01', 'MASSE-02', 'PFLICHT-01']);
+  });
+
+  test('Pflichtfelder werden über die Überschrift gefunden, nicht über die Position', async () => {
+    // Export mit vertauschten Spalten: Basismengeneinheit steht in Q, die Zeichnungsnummer (kein Pflichtfeld) in D
+    const headers = { D: 'Zeichnungsnummer', Q: 'Basismengeneinheit' };
+    const { ws, stats } = await check([{ D: null, Q: 'ST' }, { D: 'Z-4711', Q: null }], { workbook: { headers } });
+    assert.equal(ws.getCell('D4').fill.fgColor.argb, GREEN);
+    assert.equal(ws.getCell('Q5').fill.fgColor.argb, RED);
+    assert.match(noteText(ws.getCell('Q5')), /^\[PFLICHT-01\] /);
+    assert.equal(ws.getCell('D5').fill, undefined);
+    assert.deepEqual(stats.totals, { rows: 2, complete: 1, incomplete: 1, warnings: 0, violations: 1 });
+  });
+
+  test('eigenes Regelwerk mit Warnungen', async () => {
+    const ruleSet = loadRuleSet({
+      version: 1,
+      rules: [{ id: 'WERKSTOFF-01', type: 'regex', severity: 'warning', column: 'Werkstoff', pattern: '^\\d\\.\\d{4}$' }]
+    });
+    const { ws, stats } = await check([{}, { P: 'EPDM' }], { ruleSet });
+    assert.equal(ws.getCell('P4').fill.fgColor.argb, GREEN);
+    assert.equal(ws.getCell('P5').fill.fgColor.argb, ORANGE);
+    assert.equal(ws.getCell('A5').fill.fgColor.argb, GREEN);
+    assert.equal(stats.totals.warnings, 1);
+  });
+
+  test('Regeln mit fehlenden Spalten erscheinen in Statistik und Zusammenfassung', async () => {
+    const ruleSet = loadRuleSet({
+      version: 1,
+      rules: [
+        { id: 'FARBE-01', type: 'required', columns: ['Werkstoff', 'Farbe'] },
+        { id: 'OBERFL-01', type: 'regex', column: 'Oberfläche', pattern: '^blank$' }
+      ]
+    });
+    const { wb, stats } = await check([{ P: null }], { ruleSet });
+    assert.deepEqual(stats.unresolvedRules, [
+      { ruleId: 'FARBE-01', missing: ['Farbe'], applied: true },
+      { ruleId: 'OBERFL-01', missing: ['Oberfläche'], applied: false }
+    ]);
+    assert.equal(stats.totals.violations, 1);   // Werkstoff wird trotzdem geprüft
+
+    const rows = [];
+    wb.getWorksheet('Zusammenfassung').eachRow(row => rows.push(row.values.slice(1)));
+    assert.deepEqual(rows.find(r => r[0] === 'OBERFL-01'), ['OBERFL-01', 'Oberfläche', 'übersprungen']);
+    assert.ok(rows.some(r => r.join('|') === 'FARBE-01|Farbe|nur vorhandene Spalten geprüft'));
+  });
+
+  test('Blatt Zusammenfassung', async () => {
+    const { wb } = await check([{}, { D: null }]);
+    const rows = [];
+    wb.getWorksheet('Zusammenfassung').eachRow(row => rows.push(row.values.slice(1)));
+    assert.deepEqual(rows.find(r => r[0] === 'Zeilen mit Fehlern'), ['Zeilen mit Fehlern', 1]);
+  });
+
+  test('ungültiges Regelwerk', () => {
+    assert.throws(() => loadRuleSet({ rules: [{ type: 'required' }] }), (err) => err.status === 400);
+  });
+});
@@ -0,0 +1,94 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runCorrections, applyCorrections } = require('../corrections');
+const { parseCsv, resolveCsvOptions } = require('../formats');
+const { buildWorkbook, buildCsv, loadWorkbook } = require('./fixtures/workbooks');
+
+// Web-Daten passend zu BASE_ROW, nur der Werkstoff weicht ab
+const fakeScraper = {
+  async scrapeMany(list) {
+    return new Map(list.map(a2v => [a2v, {
+      URL: `https://example.test/${a2v}`,
+      Produkttitel: 'Sechskantschraube M8x40',
+      'Weitere Artikelnummer': 'ISO 4017-M8X40',
+      Gewicht: '21 g',
+      Werkstoff: '1.4571',
+      Status: 'initialData JSON'
+    }]));
+  }
+};
+
+// Zeilen der Korrekturliste als Objekte { Überschrift: Wert }
+function sheetRows(ws) {
+  const headers = ws.getRow(1).values;
+  const rows = [];
+  for (let r = 2; r <= ws.rowCount; r++) {
+    const values = ws.getRow(r).values;
+    rows.push(Object.fromEntries(headers.map((h, c) => [h, values[c] ?? null]).filter(([h]) => h)));
+  }
+  return rows;
+}
+
+describe('Korrekturvorschläge', () => {
+  test('nur Abweichungen mit Web-Wert, SAP-Feld aus Zeile 2', async () => {
+    const input = await buildWorkbook([{}, { A: '1002', S: 0.5 }]);
+    const { buffer, stats } = await runCorrections(input, { scraper: fakeScraper });
+    assert.deepEqual(stats.totals, { products: 2, materials: 2, proposals: 3 });
+
+    const ws = (await loadWorkbook(buffer)).getWorksheet('Korrekturen');
+    const rows = sheetRows(ws);
+    assert.deepEqual(rows.map(r => [r.Material, r['SAP-Feld'], r['DB-Wert'], r['Vorschlag (Web)']]), [
+      ['1001', 'WRKST', '1.4301', '1.4571'],
+      ['1002', 'WRKST', '1.4301', '1.4571'],
+      ['1002', 'NTGEW', 0.5, 0.021]
+    ]);
+    assert.equal(rows[2].Einheit, 'KG');
+    assert.match(rows[2].Grund, /^\[WEB-GEWICHT\] /);
+    assert.deepEqual(ws.getCell('K2').dataValidation.formulae, ['"Ja,Nein"']);
+  });
+
+  test('Änderungsliste enthält nur übernommene Vorschläge', async () => {
+    const input = await buildWorkbook([{}, { A: '1002', S: 0.5 }]);
+    const wb = await loadWorkbook((await runCorrections(input, { scraper: fakeScraper })).buffer);
+    const ws = wb.getWorksheet('Korrekturen');
+    ws.getCell('K2').value = 'Nein';
+    ws.getCell('K3').value = 'Ja';
+    ws.getCell('K4').value = 'x';
+    ws.getCell('I4').value = 0.022; // Vorschlag bei der Prüfung angepasst
+    const reviewed = Buffer.from(await wb.xlsx.writeBuffer());
+
+    const { buffer, stats } = await applyCorrections(reviewed, { outputFormat: 'csv' });
+    assert.deepEqual(stats.totals, { corrections: 3, accepted: 2, rejected: 1, open: 0, materials: 1 });
+    assert.equal(buffer.toString(), 'MATNR;WRKST;NTGEW\r\n1002;1.4571;0,022\r\n');
+  });
+
+  test('CSV hin und zurück, offene Zeilen bleiben draußen', async () => {
+    const csv = resolveCsvOptions();
+    const input = Buffer.from(buildCsv([{}, { A: '1002' }], { techRow: true }));
+    const out = await runCorrections(input, { inputFormat: 'csv', outputFormat: 'csv', csv, scraper: fakeScraper });
+    const [header, ...rows] = parseCsv(out.buffer.toString(), ';');
+    const accept = header.indexOf('Übernehmen');
+    rows[0][accept] = 'Ja';
+    const reviewed = [header, ...rows].map(r => r.map(v => (v.includes(';') ? `"${v}"` : v)).join(';')).join('\r\n');
+
+    const { buffer, stats } = await applyCorrections(Buffer.from(reviewed), { inputFormat: 'csv', outputFormat: 'json', csv });
+    assert.deepEqual(stats.totals, { corrections: 2, accepted: 1, rejected: 0, open: 1, materials: 1 });
+    assert.deepEqual(JSON.parse(buffer.toString()).changes, [{ MATNR: '1001', WRKST: '1.4571' }]);
+  });
+
+  test('fehlerhafte Korrekturliste wird abgelehnt', async () => {
+    const input = await buildWorkbook([{}, {}]);
+    const wb = await loadWorkbook((await runCorrections(input, { scraper: fakeScraper })).buffer);
+    const ws = wb.getWorksheet('Korrekturen');
+    ws.getCell('K2').value = 'vielleicht';
+    await assert.rejects(applyCorrections(Buffer.from(await wb.xlsx.writeBuffer())), { status: 400, message: /unbekannte Angabe/ });
+
+    ws.getCell('K2').value = 'Ja';
+    ws.getCell('K3').value = 'Ja';
+    ws.getCell('I3').value = '1.4404';
+    await assert.rejects(applyCorrections(Buffer.from(await wb.xlsx.writeBuffer())), { status: 400, message: /mehrfach/ });
+
+    await assert.rejects(applyCorrections(input), { status: 400, message: /SAP-Feld/ });
+  });
+});
@@ -0,0 +1,82 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDimensions, dimensionSet } = require('../dimensions');
+const { compareRows } = require('../web-comparison');
+
+const lbh = (text) => { const { L, B, H } = parseDimensions(text); return { L, B, H }; };
+
+describe('Abmessungen', () => {
+  test('beschriftete Maße in beliebiger Reihenfolge', () => {
+    assert.deepEqual(lbh('L: 120 mm, B: 4 cm, H: 0,5 dm'), { L: 120, B: 40, H: 50 });
+    assert.deepEqual(lbh('Höhe 30 mm / Länge 120 mm / Breite 40 mm'), { L: 120, B: 40, H: 30 });
+    assert.deepEqual(lbh('B x T x H: 20 x 30 x 40 cm'), { L: 300, B: 200, H: 400 });
+    assert.deepEqual(lbh('LxBxH (mm) = 40x13x5'), { L: 40, B: 13, H: 5 });
+  });
+
+  test('Durchmesser', () => {
+    const d = parseDimensions('Ø 20 x 30 mm');
+    assert.equal(d.D, 20);
+    assert.equal(d.B, 20);
+    assert.equal(d.H, 30);
+    assert.deepEqual(dimensionSet(d), [20, 20, 30]);
+  });
+
+  test('Einheiten und Bereiche', () => {
+    assert.deepEqual(lbh('1,2 x 0,4 x 0,05 m'), { L: 1200, B: 400, H: 50 });
+    assert.deepEqual(lbh('40 x 40 x 42 mm'), { L: 40, B: 40, H: 42 });
+    const d = parseDimensions('L: 10-20 mm, B: 5 mm, H: 3 mm');
+    assert.equal(d.L, 20);
+    assert.deepEqual(d.ranges, { L: [10, 20] });
+    assert.deepEqual(lbh('12 mm'), { L: null, B: null, H: null });
+    // unbeschrifteter Bereich: nach Position (erstes Maß = Länge)
+    assert.deepEqual(parseDimensions('10-20 mm'), { L: 20, B: null, H: null, D: null, ranges: { L: [10, 20] } });
+    assert.deepEqual(parseDimensions('1 bis 2 cm').ranges, { L: [10, 20] });
+  });
+
+  test('Dezimalstellen bleiben erhalten', () => {
+    assert.deepEqual(lbh('200 x 4,8 x 1,2 mm'), { L: 200, B: 4.8, H: 1.2 });
+    assert.deepEqual(lbh('4 x 1,3 x 0,05 cm'), { L: 40, B: 13, H: 0.5 });
+    assert.deepEqual(parseDimensions('L: 2,5-7,5 mm').ranges, { L: [2.5, 7.5] });
+  });
+
+  test('Dezimalmaße im Web-Vergleich, auch mit mm-Toleranz', async () => {
+    const scraper = {
+      async scrapeMany(list) {
+        return new Map(list.map(a2v => [a2v, { Abmessung: '200 x 4,8 x 1,2 mm', Status: 'HTTP-Parser' }]));
+      }
+    };
+    const input = [{ 'Produkt-ID': 'A2V00000000003', 'Länge': 200, 'Breite': 4.8, 'Höhe': 1.1 }];
+    const strict = await compareRows(input, { scraper });
+    assert.deepEqual(strict.rows[0].fields.map(f => [f.webValue, f.status]), [[200, 'equal'], [4.8, 'equal'], [1.2, 'mismatch']]);
+    const tolerant = await compareRows(input, { scraper, tolerances: { height: { mm: 0.1 } } });
+    assert.equal(tolerant.rows[0].fields[2].status, 'tolerance');
+  });
+
+  test('Ausrichtung und Bereich im Web-Vergleich', async () => {
+    const scraper = {
+      async scrapeMany(list) {
+        return new Map(list.map(a2v => [a2v, { Abmessung: a2v.endsWith('1') ? '40 x 13 x 5 mm' : 'L: 10-20 mm, B: 5 mm, H: 3 mm', Status: 'initialData JSON' }]));
+      }
+    };
+    const input = [
+      { 'Produkt-ID': 'A2V00000000001', 'Länge': 13, 'Breite': 40, 'Höhe': 5 },
+      { 'Produkt-ID': 'A2V00000000002', 'Länge': 15, 'Breite': 5, 'Höhe': 3 }
+    ];
+    const strict = await compareRows(input, { scraper });
+    assert.deepEqual(strict.rows[0].fields.map(f => f.status), ['mismatch', 'mismatch', 'equal']);
+    assert.deepEqual(strict.rows[1].fields.map(f => [f.status, f.detail]), [['tolerance', 'range'], ['equal', null], ['equal', null]]);
+    assert.equal(strict.rows[1].fields[0].webNorm, '10–20 mm');
+
+    const any = await compareRows(input, { scraper, tolerances: { dimensions: { anyOrientation: 1 } } });
+    assert.deepEqual(any.rows[0].fields.map(f => [f.status, f.detail]), [['tolerance', 'orientation'], ['tolerance', 'orientation'], ['equal', null]]);
+    assert.equal(any.stats.totals.mismatch, 0);
+  });
+
+  test('unbeschrifteter Bereich im Web-Vergleich: Länge, nicht fehlend', async () => {
+    const scraper = { async scrapeMany(list) { return new Map(list.map(a2v => [a2v, { Abmessung: '10-20 mm', Status: 'initialData JSON' }])); } };
+    const { rows } = await compareRows([{ 'Produkt-ID': 'A2V00000000001', 'Länge': 15 }], { scraper });
+    const length = rows[0].fields.find(f => f.field === 'length');
+    assert.deepEqual([length.status, length.detail, length.webNorm], ['tolerance', 'range', '10–20 mm']);
+  });
+});
@@ -0,0 +1,99 @@
+// test/fake-mobase.js - Lokaler Ersatz für MoBase: liefert aufgezeichnete Produktseiten aus test/fixtures/mobase.
+// GET /de/p/<A2V> -> <A2V>.html, unbekannte Nummern -> 404; einzelne Nummern können verzögert ausgeliefert werden
+// oder zunächst mit Fehlerstatus (429/503, optional Retry-After) antworten.
+// Andere Sprachversionen, z.B. GET /en/p/<A2V> -> en/<A2V>.html (sonst 404), protokolliert als "en:<A2V>".
+// GET /de/search?text=<Suchbegriff> -> Trefferliste aller Seiten, die den Begriff enthalten (Groß-/Kleinschreibung egal).
+// Standalone: `node test/fake-mobase.js`, dann `MOBASE_BASE_URL=http://localhost:3999/de npm start`
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'mobase');
+const FAKE_MOBASE_PORT = Number(process.env.FAKE_MOBASE_PORT || 3999);
+
+// Langsame Produktseite (Timeout-Tests)
+const DEFAULT_DELAYS = { A2V00000000005: 2000 };
+
+/**
+ * Fake-Server starten
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 = freier Port
+ * @param {string} [options.fixturesDir]
+ * @param {Object} [options.delays] - { A2V: Verzögerung in ms }
+ * @param {Object} [options.failures] - { A2V: [503, { status: 429, retryAfter: '1' }, …] } – je Abruf wird der nächste
+ *   Eintrag verbraucht, danach kommt die normale Seite
+ * @returns {Promise<{ baseUrl: string, requests: string[], close: Function }>}
+ */
+function startFakeMobase({ port = 0, fixturesDir = FIXTURES_DIR, delays = DEFAULT_DELAYS, failures = {} } = {}) {
+  const pending = new Map(Object.entries(failures).map(([id, list]) => [id.toUpperCase(), [...list]]));
+  const requests = [];
+  const timers = new Set();
+  const server = http.createServer((req, res) => {
+    const search = new URL(req.url, 'http://localhost');
+    if (search.pathname.endsWith('/search')) {
+      const query = (search.searchParams.get('text') || '').toLowerCase();
+      requests.push(`search:${query}`);
+      const tiles = fs.readdirSync(fixturesDir)
+        .filter(f => f.endsWith('.html') && query && fs.readFileSync(path.join(fixturesDir, f), 'utf8').toLowerCase().includes(query))
+        .sort()
+        .map(f => {
+          const id = path.basename(f, '.html');
+          const title = (fs.readFileSync(path.join(fixturesDir, f), 'utf8').match(/<title>([^<|]*)/) || [])[1] || id;
+          return `<li class="product-tile"><a href="/de/p/${id}">${title.trim()}</a></li>`;
+        });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(`<html><body><h1>Suche</h1><ul>${tiles.join('')}</ul></body></html>`);
+    }
+
+    const m = req.url.match(/(?:\/([a-z]{2}))?\/p\/([^/?#]+)/);
+    const id = m ? decodeURIComponent(m[2]).toUpperCase() : null;
+    const lang = m?.[1] && m[1] !== 'de' ? m[1] : null;
+    requests.push(lang ? `${lang}:${id}` : id || req.url);
+
+    const failure = id && !lang && pending.get(id)?.shift();
+    if (failure) {
+      const { status, retryAfter } = typeof failure === 'number' ? { status: failure } : failure;
+      res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...(retryAfter != null && { 'Retry-After': retryAfter }) });
+      return res.end(`<html><body><h1>${status}</h1></body></html>`);
+    }
+
+    const file = id && path.join(fixturesDir, lang || '', `${id}.html`);
+    if (!file || !fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end('<html><head><title>Seite nicht gefunden | MoBase</title></head><body><h1>404</h1></body></html>');
+    }
+    const send = () => {
+      timers.delete(timer);
+      if (res.destroyed) return;
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(fs.readFileSync(file));
+    };
+    const timer = setTimeout(send, (!lang && delays[id]) || 0);
+    timers.add(timer);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}/de`;
+      resolve({
+        baseUrl,
+        requests,
+        close: () => new Promise((done) => {
+          for (const t of timers) clearTimeout(t);
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startFakeMobase({ port: FAKE_MOBASE_PORT }).then(({ baseUrl }) => {
+    console.log(`Fake-MoBase läuft: ${baseUrl}/p/<A2V>`);
+    console.log(`Server starten mit: MOBASE_BASE_URL=${baseUrl} npm start`);
+  });
+}
+
+module.exports = { startFakeMobase, FIXTURES_DIR };
@@ -0,0 +1,63 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadFieldMapping, loadDefaultFieldMapping } = require('../field-mapping');
+const { compareRows, DEFAULT_TOLERANCES } = require('../web-comparison');
+const { parseVolume, volumeToLiter } = require('../utils');
+
+const entry = (extra = {}) => ({
+  field: 'ean', label: 'EAN', ruleId: 'WEB-EAN', headers: ['EAN'], web: ['EAN'], parser: 'partNumber', comparator: 'exact', ...extra
+});
+
+describe('Feldzuordnung', () => {
+  test('Standardzuordnung enthält Pflicht- und Zusatzfelder', () => {
+    const { fields, units } = loadDefaultFieldMapping();
+    assert.deepEqual(fields.filter(f => !f.optional).map(f => f.field),
+      ['text', 'partNo', 'nCode', 'material', 'weight', 'length', 'width', 'height']);
+    assert.deepEqual(fields.filter(f => f.optional).map(f => f.label),
+      ['Bruttogewicht', 'Volumen', 'EAN', 'Zolltarifnummer', 'Ursprungsland']);
+    assert.equal(fields.find(f => f.field === 'grossWeight').unit, 'weight');
+    assert.deepEqual(fields.filter(f => f.searchKey).map(f => f.field), ['partNo']);
+    assert.deepEqual(Object.keys(units), ['weight', 'dimension', 'volume']);
+    assert.deepEqual(DEFAULT_TOLERANCES.grossWeight, DEFAULT_TOLERANCES.weight);
+    assert.deepEqual(DEFAULT_TOLERANCES.volume, { pct: 0, absL: 0 });
+  });
+
+  test('ungültige Einträge werden mit 400 abgelehnt', () => {
+    const invalid = (fields, units = {}) => assert.throws(() => loadFieldMapping({ units, fields }), err => err.status === 400);
+    invalid([entry({ parser: 'weight' })]);                       // Vergleich passt nicht, Einheitengruppe fehlt
+    invalid([entry({ parser: 'dimension', comparator: 'numeric', axis: 'X' })]);
+    invalid([entry(), entry({ field: 'gtin' })]);                 // Überschrift doppelt
+    invalid([entry({ field: 'a2v' })]);
+    invalid([entry({ web: [] })]);
+    invalid([entry({ parser: 'text', searchKey: true })]);                // Suche nur über Artikelnummern
+    invalid([entry({ searchKey: true }), entry({ field: 'gtin', headers: ['GTIN'], searchKey: true })]);
+    assert.throws(() => loadFieldMapping('{'), /kein gültiges JSON/);
+    assert.deepEqual(loadFieldMapping({ fields: [entry()] }).fields[0].optional, false);
+  });
+
+  test('Zusatzfelder aus den technischen Daten vergleichen', async () => {
+    const scraper = {
+      async scrapeMany(list) {
+        return new Map(list.map(a2v => [a2v, {
+          Status: 'initialData JSON',
+          Spezifikationen: { 'EAN-Code': '4 012345 678901', Ursprungsland: 'DE', 'HS-Code': '7318 15 88', Volumen: '250 cm³' }
+        }]));
+      }
+    };
+    const { rows } = await compareRows([
+      { 'Produkt-ID': 'A2V00000000001', EAN: '4012345678901', Ursprungsland: 'de', Zolltarifnummer: '73181588', Volumen: 0.25, Volumeneinheit: 'L' },
+      { 'Produkt-ID': 'A2V00000000002', EAN: '4012345678902', Ursprungsland: 'CN', Volumen: 250, volumeUnit: 'CCM', Bruttogewicht: 1 }
+    ], { scraper });
+    const status = (r) => Object.fromEntries(r.fields.map(f => [f.field, f.status]));
+    assert.deepEqual(status(rows[0]), { volume: 'equal', ean: 'equal', customsTariff: 'equal', origin: 'equal' });
+    assert.deepEqual(status(rows[1]), { grossWeight: 'missing', volume: 'equal', ean: 'mismatch', origin: 'mismatch' });
+    assert.equal(rows[1].fields.find(f => f.field === 'volume').webNorm, '0.25 l');
+  });
+
+  test('Volumen umrechnen', () => {
+    assert.deepEqual(parseVolume('250 cm³'), { value: 250, unit: 'cm3' });
+    assert.equal(volumeToLiter(2, 'M3'), 2000);
+    assert.equal(volumeToLiter(1.5, ''), 1.5);
+  });
+});
@@ -0,0 +1,46 @@
+// test/fixtures/providers/demo.js - Beispiel-Anbieter für die Tests: Produktseiten mit schema.org-Daten (JSON-LD),
+// keine Produktsuche und kein Browser-Fallback. Vorlage für weitere Anbieter.
+
+const { NOT_FOUND, addSpecification, specPicker } = require('../../../providers');
+
+function readJsonLd(html) {
+  for (const m of html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/gi)) {
+    try {
+      const data = JSON.parse(m[1]);
+      if (data['@type'] === 'Product') return data;
+    } catch {}
+  }
+  return null;
+}
+
+function extract(html, { id, url }) {
+  const product = readJsonLd(html) || {};
+  const specs = {};
+  if (product.mpn) addSpecification(specs, 'Herstellerartikelnummer', product.mpn);
+  if (product.weight?.value != null) addSpecification(specs, 'Gewicht', `${product.weight.value} ${product.weight.unitText || 'kg'}`);
+  for (const p of product.additionalProperty || []) addSpecification(specs, p.name, p.value);
+  const pick = specPicker(specs);
+  return {
+    A2V: id,
+    URL: url,
+    Produkttitel: product.name || NOT_FOUND,
+    'Weitere Artikelnummer': product.mpn || NOT_FOUND,
+    Gewicht: pick(['gewicht']) || NOT_FOUND,
+    Abmessung: pick(['abmess']) || NOT_FOUND,
+    Werkstoff: pick(['werkstoff']) || NOT_FOUND,
+    Materialklassifizierung: NOT_FOUND,
+    Spezifikationen: specs,
+    Status: product.name ? 'JSON-LD' : 'HTTP-Parser'
+  };
+}
+
+function createProvider({ baseUrl }) {
+  return {
+    label: 'Demo Bahntechnik',
+    baseUrl,
+    productUrl: (id) => `${baseUrl}/p/${encodeURIComponent(id)}`,
+    extract
+  };
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,79 @@
+// test/fixtures/workbooks.js - Beispiel-Workbooks im Layout der DB-Exporte
+// (Zeile 2 technische Feldnamen, Zeile 3 Überschriften, Daten ab Zeile 4)
+
+const ExcelJS = require('exceljs');
+
+const HEADERS = {
+  A: 'Material', B: 'Materialart', C: 'Materialkurztext', D: 'Basismengeneinheit', E: 'Her.-Artikelnummer',
+  F: 'Hersteller', G: 'Warengruppe', H: 'Sparte', I: 'Status', J: 'Einkaufsgruppe',
+  K: 'Bestellmengeneinheit', L: 'Prüfart', M: 'Dispomerkmal', N: 'Fert./Prüfhinweis', O: 'Normbezeichnung',
+  P: 'Werkstoff', Q: 'Zeichnungsnummer', R: 'Gewichtseinheit', S: 'Nettogewicht', T: 'Bruttogewicht',
+  U: 'Länge', V: 'Breite', W: 'Höhe', X: 'Einheit für Abmessungen', Y: 'Klassifizierung', Z: 'Produkt-ID'
+};
+const TECH_NAMES = { C: 'MAKTX', E: 'MFRPN', N: 'FERTH', P: 'WRKST', R: 'GEWEI', S: 'NTGEW', T: 'BRGEW', U: 'LAENG', V: 'BREIT', W: 'HOEHE', X: 'MEABM', Z: 'A2V' };
+
+// Vollständige, plausible Zeile – Tests überschreiben einzelne Spalten
+const BASE_ROW = {
+  A: '1001', B: 'ERSA', C: 'Sechskantschraube M8x40', D: 'ST', E: 'ISO 4017-M8X40', F: 'Siemens', G: '100', H: '01',
+  I: 'A', J: 'E01', N: 'OHNE/N/N/N/N', P: '1.4301', R: 'KG', S: 0.021, T: 0.025, U: 40, V: 13, W: 5.3, X: 'MM',
+  Z: 'A2V00000000001'
+};
+
+/**
+ * Workbook mit einem Datenblatt "Daten" erzeugen
+ * @param {Object[]} rows - je Zeile { Spaltenbuchstabe: Wert }, wird mit BASE_ROW gemischt (null = leere Zelle)
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - abweichende Überschriften je Spalte (z.B. für Alias-Tests)
+ * @param {Object} [options.topHeader] - Blöcke in Zeile 1 je Bereich, z.B. { 'B1:X1': 'MARA', Y1: 'Klassifizierung' }
+ * @returns {Promise<Buffer>}
+ */
+async function buildWorkbook(rows, { headers = {}, topHeader = {} } = {}) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Daten');
+  for (const [range, text] of Object.entries(topHeader)) {
+    if (range.includes(':')) ws.mergeCells(range);
+    ws.getCell(range.split(':')[0]).value = text;
+  }
+  for (const [col, name] of Object.entries({ ...HEADERS, ...headers })) {
+    ws.getCell(`${col}3`).value = name;
+    if (TECH_NAMES[col]) ws.getCell(`${col}2`).value = TECH_NAMES[col];
+  }
+  rows.forEach((row, i) => {
+    for (const [col, value] of Object.entries({ ...BASE_ROW, ...row })) {
+      if (value !== null && value !== undefined) ws.getCell(`${col}${4 + i}`).value = value;
+    }
+  });
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+/**
+ * Gleiche Daten als CSV-Text wie aus SAP exportiert (Semikolon, Dezimalkomma)
+ * @param {Object[]} rows - wie buildWorkbook
+ * @param {Object} [options]
+ * @param {boolean} [options.techRow] - Zeile mit technischen Feldnamen vor der Kopfzeile
+ * @returns {string}
+ */
+function buildCsv(rows, { techRow = false } = {}) {
+  const cols = Object.keys(HEADERS);
+  const field = (v) => {
+    if (v === null || v === undefined) return '';
+    if (typeof v === 'number') return String(v).replace('.', ',');
+    return /[;"]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+  };
+  const lines = [];
+  if (techRow) lines.push(cols.map(c => TECH_NAMES[c] || '').join(';'));
+  lines.push(cols.map(c => HEADERS[c]).join(';'));
+  for (const row of rows) {
+    const values = { ...BASE_ROW, ...row };
+    lines.push(cols.map(c => field(values[c])).join(';'));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+async function loadWorkbook(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  return wb;
+}
+
+module.exports = { HEADERS, BASE_ROW, buildWorkbook, buildCsv, loadWorkbook };
@@ -0,0 +1,125 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const iconv = require('iconv-lite');
+
+const {
+  detectFormat, resolveCsvOptions, parseCsv, readWorkbook, encodeCsv, runWebComparison, runCompletenessCheck
+} = require('../formats');
+const { buildCsv } = require('./fixtures/workbooks');
+
+// Scraper-Ersatz ohne Netzwerk: liefert für jede A2V-Nummer dieselben Webdaten
+const fakeScraper = {
+  async scrapeMany(list) {
+    return new Map(list.map(a2v => [a2v, {
+      A2V: a2v,
+      URL: `https://example.test/${a2v}`,
+      Produkttitel: 'Sechskantschraube M8x40',
+      'Weitere Artikelnummer': 'ISO 4017-M8X40',
+      Gewicht: '21 g',
+      Werkstoff: '1.4301',
+      Status: 'initialData JSON'
+    }]));
+  }
+};
+
+const csv1252 = resolveCsvOptions({ encoding: 'windows-1252' });
+
+function decodeCsv(buffer, csv = csv1252) {
+  return parseCsv(iconv.decode(buffer, csv.encoding), csv.delimiter);
+}
+
+describe('Formate', () => {
+  test('Format aus Angabe oder Dateiendung', () => {
+    assert.equal(detectFormat(undefined, 'export.CSV'), 'csv');
+    assert.equal(detectFormat(undefined, 'liste.json'), 'json');
+    assert.throws(() => detectFormat(undefined, 'alt.xls'), err => err.status === 400 && /bitte als \.xlsx speichern/.test(err.message));
+    assert.equal(detectFormat('csv', 'export.xlsx'), 'csv');
+    assert.throws(() => detectFormat('ods'), { status: 400 });
+  });
+
+  test('CSV-Optionen werden geprüft', () => {
+    assert.deepEqual(resolveCsvOptions({}), { delimiter: ';', encoding: 'utf-8', decimal: ',' });
+    assert.equal(resolveCsvOptions({ delimiter: 'tab' }).delimiter, '\t');
+    assert.throws(() => resolveCsvOptions({ delimiter: ';;' }), { status: 400 });
+    assert.throws(() => resolveCsvOptions({ encoding: 'klingonisch' }), { status: 400 });
+    assert.throws(() => resolveCsvOptions({ decimal: 'x' }), { status: 400 });
+  });
+
+  test('Windows-1252-CSV mit Semikolon und Dezimalkomma', async () => {
+    const text = buildCsv([{ C: 'Scheibe "groß"; verzinkt', S: 1.5 }], { techRow: true });
+    const wb = await readWorkbook(iconv.encode(text, 'windows-1252'), { format: 'csv', csv: csv1252 });
+    const ws = wb.worksheets[0];
+    assert.equal(ws.getCell('C2').value, 'MAKTX');
+    assert.equal(ws.getCell('U3').value, 'Länge');
+    assert.equal(ws.getCell('C4').value, 'Scheibe "groß"; verzinkt');
+    assert.equal(ws.getCell('S4').value, 1.5);
+    assert.equal(ws.getCell('H4').value, '01'); // führende Null bleibt Text
+  });
+
+  test('JSON-Eingabe: Objekte mit Überschriften als Schlüssel', async () => {
+    const wb = await readWorkbook(Buffer.from(JSON.stringify({ rows: [{ 'Produkt-ID': 'A2V00000000001', Länge: 40 }] })), { format: 'json' });
+    const ws = wb.worksheets[0];
+    assert.equal(ws.getCell('A3').value, 'Produkt-ID');
+    assert.equal(ws.getCell('B4').value, 40);
+    await assert.rejects(readWorkbook(Buffer.from('[1, 2]'), { format: 'json' }), { status: 400 });
+  });
+
+  test('CSV-Ausgabe mit Dezimalkomma und Anführungszeichen', () => {
+    const out = encodeCsv({ headers: ['A', 'B'], rows: [[0.25, 'x;y'], [null, 'ä']] }, csv1252);
+    assert.equal(iconv.decode(out, 'windows-1252'), 'A;B\r\n0,25;"x;y"\r\n;ä\r\n');
+  });
+
+  test('Qualitätsprüfung: CSV rein, CSV mit Status-Spalten raus', async () => {
+    const input = iconv.encode(buildCsv([{}, { D: null }]), 'windows-1252');
+    const { buffer, stats, format } = await runCompletenessCheck(input, { inputFormat: 'csv', outputFormat: 'csv', csv: csv1252 });
+    assert.equal(format, 'csv');
+    assert.deepEqual(stats.totals, { rows: 2, complete: 1, incomplete: 1, warnings: 0, violations: 1 });
+
+    const [header, ok, bad] = decodeCsv(buffer);
+    assert.deepEqual(header.slice(-3), ['Status', 'Regel-IDs', 'Meldungen']);
+    assert.equal(header[header.length - 4], 'Produkt-ID');
+    assert.deepEqual(ok.slice(-3), ['ok', '', '']);
+    assert.deepEqual(bad.slice(-3, -1), ['error', 'PFLICHT-01']);
+    assert.match(bad[bad.length - 1], /Basismengeneinheit: Pflichtfeld leer/);
+    assert.equal(bad[header.indexOf('Nettogewicht')], '0,021');
+  });
+
+  test('Web-Vergleich: CSV-Ausgabe mit Web- und Status-Spalte je Feld', async () => {
+    const input = Buffer.from(buildCsv([{}, { E: 'ANDERE-NR' }]));
+    const csv = resolveCsvOptions();
+    const { buffer, stats } = await runWebComparison(input, { inputFormat: 'csv', outputFormat: 'csv', csv, scraper: fakeScraper });
+    assert.equal(stats.totals.products, 2);
+
+    const [header, first, second] = decodeCsv(buffer, csv);
+    const col = (name) => header.indexOf(name);
+    assert.ok(col('Her.-Artikelnummer (Web)') === col('Her.-Artikelnummer') + 1);
+    assert.equal(first[col('Her.-Artikelnummer (Status)')], 'equal');
+    assert.equal(second[col('Her.-Artikelnummer (Status)')], 'mismatch');
+    assert.equal(first[col('Werkstoff (Status)')], 'equal');
+    assert.equal(first[col('Nettogewicht (Status)')], 'equal');
+    assert.equal(first[col('URL')], 'https://example.test/A2V00000000001');
+  });
+
+  test('Web-Vergleich: JSON-Ausgabe wie /api/compare', async () => {
+    const { buffer, format } = await runWebComparison(Buffer.from(buildCsv([{}])), {
+      inputFormat: 'csv', outputFormat: 'json', scraper: fakeScraper
+    });
+    assert.equal(format, 'json');
+    const result = JSON.parse(buffer.toString());
+    assert.equal(result.rows[0].a2v, 'A2V00000000001');
+    assert.ok(result.rows[0].fields.some(f => f.field === 'material' && f.status === 'equal'));
+  });
+
+  test('Web-Vergleich: Prüfliste in allen Ausgabeformaten gleich', async () => {
+    const input = Buffer.from(buildCsv([{}, { E: 'ANDERE-NR' }]));
+    const run = (outputFormat) => runWebComparison(input, { inputFormat: 'csv', outputFormat, scraper: fakeScraper });
+    const { review } = await run('xlsx');
+    const mismatch = review.filter(i => i.status === 'mismatch');
+    assert.deepEqual(mismatch.map(i => [i.row, i.field, i.dbValue]), [[5, 'partNo', 'ANDERE-NR']]);
+    assert.equal(mismatch[0].url, 'https://example.test/A2V00000000001');
+    assert.ok(review.some(i => i.status === 'missing'));
+    // Reihenfolge innerhalb einer Zeile: Excel nach Spalten, CSV/JSON nach Feldzuordnung
+    const sorted = (items) => [...items].sort((a, b) => a.row - b.row || a.field.localeCompare(b.field));
+    for (const format of ['csv', 'json']) assert.deepEqual(sorted((await run(format)).review), sorted(review), format);
+  });
+});
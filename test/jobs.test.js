@@ -0,0 +1,248 @@
+// Hintergrund-Jobs: JobManager (Ablauf, Restzeit) und die Endpunkte /api/jobs/* mit Fake-MoBase als Datenquelle
+process.env.DISABLE_PLAYWRIGHT = '1';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JobManager } = require('../jobs');
+const { startFakeMobase } = require('./fake-mobase');
+const { buildWorkbook, loadWorkbook } = require('./fixtures/workbooks');
+
+// Nächstes Status-Update eines Jobs, das die Bedingung erfüllt
+function nextUpdate(manager, id, predicate = () => true) {
+  return new Promise((resolve) => {
+    const unsubscribe = manager.subscribe(id, (view) => {
+      if (predicate(view)) { unsubscribe(); resolve(view); }
+    });
+  });
+}
+
+// Promise mit Auflösung von außen (Job, der auf den Test wartet)
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+describe('JobManager', () => {
+  test('Ablauf: queued → running → done mit Ergebnis', async () => {
+    const manager = new JobManager();
+    const gate = deferred();
+    const created = manager.create('test', async (report) => {
+      report({ phase: 'scraping', total: 2, done: 0 });
+      await gate.promise;
+      report({ phase: 'writing' });
+      return { buffer: Buffer.from('xlsx'), filename: 'Ergebnis.xlsx', stats: { products: 2 }, review: [{ a2v: 'A2V1' }] };
+    });
+    assert.equal(created.status, 'queued');
+    assert.equal(created.hasResult, false);
+
+    const running = await nextUpdate(manager, created.id, v => v.phase === 'scraping');
+    assert.equal(running.status, 'running');
+    assert.ok(running.startedAt);
+    assert.equal(running.total, 2);
+
+    const finished = nextUpdate(manager, created.id, v => v.status === 'done');
+    gate.resolve();
+    const done = await finished;
+    assert.equal(done.phase, null);
+    assert.equal(done.hasResult, true);
+    assert.equal(done.hasReview, true);
+    assert.equal(done.filename, 'Ergebnis.xlsx');
+    assert.deepEqual(done.stats, { products: 2 });
+    assert.ok(done.finishedAt);
+    // Ergebnis und Prüfliste nur am Job, nicht in der öffentlichen Sicht
+    assert.ok(!('result' in done) && !('review' in done));
+    assert.equal(manager.get(created.id).result.toString(), 'xlsx');
+  });
+
+  test('Fehler im Runner: Status error mit Meldung', async () => {
+    const manager = new JobManager();
+    const { id } = manager.create('test', async () => { throw new Error('kaputt'); });
+    const view = await nextUpdate(manager, id, v => v.status === 'error');
+    assert.equal(view.error, 'kaputt');
+    assert.equal(view.hasResult, false);
+    assert.equal(view.etaSeconds, null);
+  });
+
+  test('Restzeit nur beim Scrapen, aus bisheriger Dauer je Produkt', async () => {
+    const manager = new JobManager();
+    const gate = deferred();
+    const etas = [];
+    const { id } = manager.create('test', async (report) => {
+      manager.get(id).startedAt = new Date(Date.now() - 10000).toISOString(); // 10 s gelaufen
+      report({ phase: 'searching', total: 4, done: 1 });
+      etas.push(manager.get(id).etaSeconds);
+      report({ phase: 'scraping', total: 10, done: 0 });
+      etas.push(manager.get(id).etaSeconds);
+      report({ done: 2 });                                   // 5 s je Produkt, 8 offen
+      etas.push(manager.get(id).etaSeconds);
+      report({ done: 10 });
+      etas.push(manager.get(id).etaSeconds);
+      await gate.promise;
+      return { buffer: Buffer.alloc(0), filename: 'x.xlsx' };
+    });
+    const done = nextUpdate(manager, id, v => v.status === 'done');
+    gate.resolve();
+    await done;
+    assert.deepEqual(etas, [null, null, 40, null]);
+  });
+});
+
+describe('/api/jobs', () => {
+  let mobase;
+  let server;
+  let baseUrl;
+  let tmpDir;
+  let jobs;
+
+  before(async () => {
+    mobase = await startFakeMobase({ delays: {} });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qmp-jobs-'));
+    process.env.MOBASE_BASE_URL = mobase.baseUrl;
+    process.env.CACHE_FILE = path.join(tmpDir, 'scrape-cache.json');
+    process.env.REVIEW_FILE = path.join(tmpDir, 'review-decisions.json');
+    const { app, jobs: manager } = require('../server');
+    jobs = manager;
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await mobase.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const get = (url) => fetch(`${baseUrl}${url}`, { signal: AbortSignal.timeout(30000) });
+
+  // Alle progress-Events eines SSE-Streams; resolved erst, wenn der Server den Stream beendet
+  async function readEvents(url) {
+    const resp = await get(url);
+    assert.equal(resp.headers.get('content-type'), 'text/event-stream');
+    const text = await resp.text();
+    return text.split('\n\n')
+      .filter(block => block.startsWith('event: progress'))
+      .map(block => JSON.parse(block.slice(block.indexOf('data: ') + 6)));
+  }
+
+  test('Web-Vergleich als Job: Links, Events bis zum Ende, Statistik und Download', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([await buildWorkbook([{}, { Z: 'A2V00000000003' }])]), 'Eingabe.xlsx');
+    const resp = await fetch(`${baseUrl}/api/jobs/process-excel`, { method: 'POST', body: form });
+    assert.equal(resp.status, 202);
+    const job = await resp.json();
+    assert.equal(job.type, 'web-comparison');
+    assert.equal(job.eventsUrl, `/api/jobs/${job.id}/events`);
+
+    const events = await readEvents(job.eventsUrl);
+    const last = events.at(-1);
+    assert.equal(last.status, 'done');
+    assert.equal(last.hasResult, true);
+    assert.equal(events.filter(e => e.status === 'done').length, 1);
+    assert.ok(events.some(e => e.phase === 'scraping'));
+
+    const status = await (await get(job.statusUrl)).json();
+    assert.equal(status.status, 'done');
+    assert.equal(status.total, 2);
+
+    const stats = await (await get(job.statsUrl)).json();
+    assert.equal(stats.totals.products, 2);
+
+    const download = await get(job.downloadUrl);
+    assert.equal(download.status, 200);
+    assert.match(download.headers.get('content-disposition'), /filename="Web_Vergleich_Ergebnis\.xlsx"/);
+    const wb = await loadWorkbook(Buffer.from(await download.arrayBuffer()));
+    assert.ok(wb.getWorksheet('Zusammenfassung'));
+
+    // Stream eines fertigen Jobs: ein Event, dann Ende
+    const again = await readEvents(job.eventsUrl);
+    assert.deepEqual(again.map(e => e.status), ['done']);
+  });
+
+  test('Prüfliste auch bei CSV-Ausgabe', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([await buildWorkbook([{ E: 'ANDERE-NR' }])]), 'Eingabe.xlsx');
+    form.append('format', 'csv');
+    const job = await (await fetch(`${baseUrl}/api/jobs/process-excel`, { method: 'POST', body: form })).json();
+    await readEvents(job.eventsUrl);
+
+    const download = await get(job.downloadUrl);
+    assert.match(download.headers.get('content-disposition'), /\.csv"/);
+    const resp = await get(`/api/jobs/${job.id}/review`);
+    assert.equal(resp.status, 200);
+    const { items } = await resp.json();
+    const item = items.find(i => i.field === 'partNo');
+    assert.equal(item.status, 'mismatch');
+    assert.equal(item.dbValue, 'ANDERE-NR');
+    assert.equal(item.review, null);
+  });
+
+  test('Download enthält die aktuellen Prüfentscheidungen, ohne erneut zu scrapen', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([await buildWorkbook([{ E: 'ZWEITE-NR' }])]), 'Eingabe.xlsx');
+    const job = await (await fetch(`${baseUrl}/api/jobs/process-excel`, { method: 'POST', body: form })).json();
+    await readEvents(job.eventsUrl);
+    const { items } = await (await get(`/api/jobs/${job.id}/review`)).json();
+    const item = items.find(i => i.field === 'partNo');
+    const saved = await fetch(`${baseUrl}/api/reviews/${item.a2v}/${item.field}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ decision: 'web', dbNorm: item.dbNorm, webNorm: item.webNorm })
+    });
+    assert.equal(saved.status, 200);
+
+    const requests = mobase.requests.length;
+    const download = await get(job.downloadUrl);
+    assert.equal(download.status, 200);
+    assert.equal(mobase.requests.length, requests);
+    const wb = await loadWorkbook(Buffer.from(await download.arrayBuffer()));
+    const notes = [];
+    wb.getWorksheet('Daten').getRow(5).eachCell(cell => {
+      if (cell.note) notes.push(typeof cell.note === 'string' ? cell.note : cell.note.texts.map(t => t.text).join(''));
+    });
+    assert.ok(notes.some(n => /Prüfung: Web übernehmen/.test(n)), notes.join('\n---\n'));
+    // Statistik des Jobs folgt dem neu aufgebauten Ergebnis
+    const stats = await (await get(job.statsUrl)).json();
+    assert.equal(stats.review.web, 1);
+  });
+
+  test('Ergebnis, Statistik und Prüfliste vor dem Ende: 409', async () => {
+    const gate = deferred();
+    const { id } = jobs.create('test', async () => {
+      await gate.promise;
+      return { buffer: Buffer.from('fertig'), filename: 'test.txt', contentType: 'text/plain' };
+    });
+    for (const suffix of ['download', 'stats', 'review']) {
+      const resp = await get(`/api/jobs/${id}/${suffix}`);
+      assert.equal(resp.status, 409, suffix);
+      assert.match((await resp.json()).error, /noch nicht fertig/);
+    }
+    gate.resolve();
+    await readEvents(`/api/jobs/${id}/events`);
+    const download = await get(`/api/jobs/${id}/download`);
+    assert.equal(await download.text(), 'fertig');
+  });
+
+  test('fehlgeschlagener Job und unbekannte ID', async () => {
+    const { id } = jobs.create('test', async () => { throw new Error('Abbruch im Test'); });
+    const events = await readEvents(`/api/jobs/${id}/events`);
+    assert.equal(events.at(-1).status, 'error');
+    assert.equal(events.at(-1).error, 'Abbruch im Test');
+    assert.equal((await get(`/api/jobs/${id}/download`)).status, 409);
+
+    for (const suffix of ['', '/events', '/stats', '/download']) {
+      assert.equal((await get(`/api/jobs/gibt-es-nicht${suffix}`)).status, 404, suffix);
+    }
+  });
+
+  test('ungültiger Upload wird sofort abgelehnt', async () => {
+    const resp = await fetch(`${baseUrl}/api/jobs/process-excel`, { method: 'POST' });
+    assert.equal(resp.status, 400);
+  });
+});
@@ -0,0 +1,47 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareMaterials, canonicalMaterial, loadMaterialSynonyms } = require('../material-match');
+const { compareRows } = require('../web-comparison');
+
+describe('Werkstoff-Synonyme', () => {
+  test('Werkstoffnummer, Kurzname, Handelsname und Freitext', () => {
+    for (const name of ['1.4301', 'X5CrNi18-10', 'x5crni 18 10', 'V2A', 'AISI 304', 'Edelstahl 1.4301', '1.4301 (V2A)']) {
+      assert.equal(canonicalMaterial(name), '1.4301', name);
+    }
+    assert.equal(canonicalMaterial('Polyamid 6.6'), 'PA66');
+    assert.equal(canonicalMaterial('Polyamid 6'), 'PA6');
+    assert.equal(canonicalMaterial('Edelstahl'), null);
+    assert.equal(canonicalMaterial('1.4301 / 1.4404'), null); // nicht eindeutig
+  });
+
+  test('gleich, gleichwertig und Abweichung', () => {
+    assert.deepEqual(compareMaterials('1.4301', '1.4301'), { result: 'equal', dbNorm: '1.4301', webNorm: '1.4301' });
+    assert.deepEqual(compareMaterials('V2A', 'X5CrNi18-10'), { result: 'equivalent', dbNorm: '1.4301', webNorm: '1.4301' });
+    assert.deepEqual(compareMaterials('1.4301', '1.4571'), { result: 'mismatch', dbNorm: '1.4301', webNorm: '1.4571' });
+    assert.deepEqual(compareMaterials('Sondergummi', 'EPDM'), { result: 'mismatch', dbNorm: 'sondergummi', webNorm: 'EPDM' });
+  });
+
+  test('eigene Tabelle wird geprüft', () => {
+    const synonyms = loadMaterialSynonyms({ materials: [{ canonical: 'WS-1', synonyms: ['Werksnorm 1'] }] });
+    assert.equal(compareMaterials('Werksnorm 1', 'ws1', { synonyms }).result, 'equivalent');
+    assert.throws(() => loadMaterialSynonyms({ materials: [{ canonical: 'A', synonyms: ['X'] }, { canonical: 'B', synonyms: ['x'] }] }),
+      err => err.status === 400 && /bereits A zugeordnet/.test(err.message));
+    assert.throws(() => loadMaterialSynonyms('{"materials": [{"synonyms": []}]}'), err => err.status === 400);
+  });
+
+  test('gleichwertige Bezeichnung zählt im Web-Vergleich nicht als Abweichung', async () => {
+    const scraper = {
+      async scrapeMany(list) {
+        return new Map(list.map(a2v => [a2v, { Werkstoff: 'X5CrNi18-10', Status: 'initialData JSON' }]));
+      }
+    };
+    const { rows, stats } = await compareRows([
+      { 'Produkt-ID': 'A2V00000000001', Werkstoff: 'V2A' },
+      { 'Produkt-ID': 'A2V00000000002', Werkstoff: '1.4571' }
+    ], { scraper });
+    assert.deepEqual(rows.map(r => r.fields[0].status), ['tolerance', 'mismatch']);
+    assert.deepEqual(rows.map(r => r.fields[0].webNorm), ['1.4301', '1.4301']);
+    assert.equal(stats.totals.mismatch, 1);
+  });
+});
@@ -0,0 +1,213 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseWeight, weightToKg, parseDimensionsToLBH, normalizeNCode, mapMaterialClassificationToExcel } = require('../utils');
+const { extractJsonInitialData, mapFromInitialData, parseProductPage } = require('../providers/mobase');
+const { parseMaterialClassification, compareNCodes, describeSegmentDiff } = require('../n-code');
+const { FIXTURES_DIR } = require('./fake-mobase');
+
+const fixture = (a2v) => fs.readFileSync(path.join(FIXTURES_DIR, `${a2v}.html`), 'utf8');
+
+describe('parseWeight', () => {
+  test('erkennt Zahl und Einheit', () => {
+    assert.deepEqual(parseWeight('162 g'), { value: 162, unit: 'g' });
+    assert.deepEqual(parseWeight('1,2 kg'), { value: 1.2, unit: 'kg' });
+    assert.deepEqual(parseWeight('0.5 t'), { value: 0.5, unit: 't' });
+    assert.deepEqual(parseWeight('250 mg'), { value: 250, unit: 'mg' });
+  });
+
+  test('ohne Einheit und leer', () => {
+    assert.deepEqual(parseWeight('12'), { value: 12, unit: '' });
+    assert.deepEqual(parseWeight(0), { value: 0, unit: '' });
+    assert.deepEqual(parseWeight(''), { value: null, unit: '' });
+    assert.deepEqual(parseWeight(null), { value: null, unit: '' });
+  });
+
+  test('weightToKg rechnet um', () => {
+    assert.equal(weightToKg(162, 'g'), 0.162);
+    assert.equal(weightToKg(2, 't'), 2000);
+    assert.equal(weightToKg(1.5, ''), 1.5);
+    assert.equal(weightToKg(null, 'kg'), null);
+  });
+});
+
+describe('parseDimensionsToLBH', () => {
+  test('L x B x H ohne Einheit', () => {
+    assert.deepEqual(parseDimensionsToLBH('40 x 13 x 5,3'), { L: 40, B: 13, H: 5.3 });
+    assert.deepEqual(parseDimensionsToLBH('40X40X42'), { L: 40, B: 40, H: 42 });
+    assert.deepEqual(parseDimensionsToLBH('30×20×10'), { L: 30, B: 20, H: 10 });
+  });
+
+  test('Zylinder (Durchmesser x Höhe)', () => {
+    assert.deepEqual(parseDimensionsToLBH('20 x 30'), { L: null, B: 20, H: 30 });
+  });
+
+  test('cm werden in mm umgerechnet', () => {
+    assert.deepEqual(parseDimensionsToLBH('4 x 1,3 x 0,5 cm'), { L: 40, B: 13, H: 5 });
+  });
+
+  test('mm bleiben mm', () => {
+    assert.deepEqual(parseDimensionsToLBH('40 x 40 x 42 mm'), { L: 40, B: 40, H: 42 });
+  });
+
+  test('leer', () => {
+    assert.deepEqual(parseDimensionsToLBH(''), { L: null, B: null, H: null });
+  });
+});
+
+describe('Fert./Prüfhinweis', () => {
+  test('Materialklassifizierung ohne Relevanz', () => {
+    const code = normalizeNCode(mapMaterialClassificationToExcel('Nicht schweiß-, guss-, klebe-, schmiederelevant'));
+    assert.equal(code, 'OHNE/N/N/N/N');
+  });
+
+  test('Klassen, Zeugnis und Relevanz je Segment', () => {
+    const text = 'Schweißklasse 2; Abnahmeprüfzeugnis 3.1 nach EN 10204; nicht gussrelevant; klebrelevant; Schmiedeklasse A3';
+    assert.equal(mapMaterialClassificationToExcel(text), '2/3.1/N/J/A3');
+    assert.equal(mapMaterialClassificationToExcel('Schweißrelevant CL1, Gussklasse CL2, nicht klebe- und schmiederelevant'), '1/N/CL2/N/N');
+    assert.equal(mapMaterialClassificationToExcel('Abnahmeprüfzeugnis 3.2'), 'OHNE/3.2/N/N/N');
+  });
+
+  test('englische Materialklassifizierung (Sprachversion en)', () => {
+    assert.equal(mapMaterialClassificationToExcel('Not relevant for welding, casting, bonding, forging'), 'OHNE/N/N/N/N');
+    const text = 'Welding class 2; inspection certificate 3.1 according to EN 10204; not relevant for casting; bonding relevant; forging class A3';
+    assert.equal(mapMaterialClassificationToExcel(text), '2/3.1/N/J/A3');
+    assert.equal(mapMaterialClassificationToExcel('Welding relevant CL1, casting class CL2, not relevant for bonding and forging'), '1/N/CL2/N/N');
+  });
+
+  test('unvollständige oder unbekannte Klassifizierung', () => {
+    assert.deepEqual(parseMaterialClassification('schweißrelevant'), { segments: [null, 'N', 'N', 'N', 'N'], code: null });
+    assert.equal(parseMaterialClassification('Schmiedeklasse A4').code, null); // A4 ist kein gültiger Wert
+    assert.equal(parseMaterialClassification('Werkstoffprüfung'), null);
+    assert.equal(mapMaterialClassificationToExcel('schweißrelevant'), '');
+  });
+
+  test('segmentweiser Vergleich', () => {
+    const { equal, segments } = compareNCodes('OHNE/3.1/N/N/N', 'OHNE / 3.2/N/N/A1');
+    assert.equal(equal, false);
+    assert.deepEqual(segments.filter(s => !s.equal).map(s => s.name), ['Zeugnis', 'Schmieden']);
+    assert.equal(describeSegmentDiff(segments), '2 Zeugnis: DB 3.1, Web 3.2; 5 Schmieden: DB N, Web A1');
+    assert.deepEqual(compareNCodes('OHNE/N/N', 'OHNE/N/N/N/N'), { equal: false, segments: null });
+  });
+});
+
+describe('extractJsonInitialData', () => {
+  test("window.initialData['product/dataProduct'] = {...}", () => {
+    const obj = extractJsonInitialData(fixture('A2V00000000001'));
+    assert.equal(obj.data.product.code, 'A2V00000000001');
+  });
+
+  test('window.initialData = {...}', () => {
+    const obj = extractJsonInitialData(fixture('A2V00000000002'));
+    assert.equal(obj.data.product.name, 'Dichtring 20x30');
+  });
+
+  test('Seiten ohne initialData und kaputtes JSON liefern null', () => {
+    assert.equal(extractJsonInitialData(fixture('A2V00000000003')), null);
+    assert.equal(extractJsonInitialData('<script>window.initialData = {"data": };</script>'), null);
+  });
+
+  test('Parsen schreibt nichts auf die Konsole', (t) => {
+    const log = t.mock.method(console, 'log');
+    const obj = extractJsonInitialData(fixture('A2V00000000001'));
+    extractJsonInitialData('<script>window.initialData = {"data": };</script>');
+    mapFromInitialData(obj, 'A2V00000000001', 'u');
+    mapFromInitialData({}, 'A2V1', 'u');
+    assert.equal(log.mock.callCount(), 0);
+  });
+});
+
+describe('mapFromInitialData', () => {
+  test('technische Daten aus localizations', () => {
+    const url = 'http://mobase.test/de/p/A2V00000000001';
+    const out = mapFromInitialData(extractJsonInitialData(fixture('A2V00000000001')), 'A2V00000000001', url);
+    assert.deepEqual(out, {
+      A2V: 'A2V00000000001',
+      URL: url,
+      Produkttitel: 'Sechskantschraube M8x40',
+      'Weitere Artikelnummer': 'ISO 4017-M8X40',
+      Gewicht: '21 g',
+      Abmessung: '40 x 13 x 5,3',
+      Werkstoff: '1.4301',
+      Materialklassifizierung: 'Nicht schweiß-, guss-, klebe-, schmiederelevant',
+      Spezifikationen: {
+        'Weitere Artikelnummer': 'ISO 4017-M8X40',
+        Gewicht: '21 g',
+        Bruttogewicht: '25 g',
+        Abmessungen: '40 x 13 x 5,3',
+        Werkstoff: '1.4301',
+        Materialklassifizierung: 'Nicht schweiß-, guss-, klebe-, schmiederelevant',
+        'Oberfläche': 'blank'
+      },
+      Status: 'initialData JSON'
+    });
+  });
+
+  test('Rückfall auf Produktfelder (weight, additionalMaterialNumbers)', () => {
+    const out = mapFromInitialData(extractJsonInitialData(fixture('A2V00000000002')), 'A2V00000000002', 'u');
+    assert.equal(out['Weitere Artikelnummer'], 'DR-2030');
+    assert.equal(out.Gewicht, '0,5 kg');
+    assert.equal(out.Abmessung, '20 x 30 mm');
+    assert.equal(out.Werkstoff, 'EPDM');
+    assert.equal(out.Materialklassifizierung, 'Nicht gefunden');
+  });
+
+  test('englische Seite: Schlüssel auf die deutschen abgebildet', () => {
+    const out = mapFromInitialData(extractJsonInitialData(fixture('en/A2V00000000004')), 'A2V00000000004', 'u', 'en');
+    assert.equal(out['Weitere Artikelnummer'], 'DIN 125-A8.4');
+    assert.equal(out.Gewicht, '3 g');
+    assert.equal(out.Abmessung, '16 x 16 x 1,6');
+    assert.equal(out.Werkstoff, 'Steel');
+    assert.equal(out.Materialklassifizierung, 'Not relevant for welding, casting, bonding, forging');
+    assert.deepEqual(Object.keys(out.Spezifikationen),
+      ['Weitere Artikelnummer', 'Gewicht', 'Abmessungen', 'Werkstoff', 'Materialklassifizierung', 'Oberfläche']);
+    // ohne Sprachangabe bleiben die englischen Schlüssel
+    const raw = mapFromInitialData(extractJsonInitialData(fixture('en/A2V00000000004')), 'A2V00000000004', 'u');
+    assert.ok('Dimensions' in raw.Spezifikationen);
+  });
+
+  test('leeres Objekt', () => {
+    const out = mapFromInitialData({}, 'A2V1', 'u');
+    assert.equal(out.A2V, 'A2V1');
+    assert.equal(out.Produkttitel, 'Nicht gefunden');
+  });
+});
+
+describe('parseProductPage', () => {
+  test('Tabellen-Seite', () => {
+    const out = parseProductPage(fixture('A2V00000000003'), { id: 'A2V00000000003', url: 'u' });
+    assert.deepEqual(out, {
+      A2V: 'A2V00000000003',
+      URL: 'u',
+      Produkttitel: 'Kabelbinder 200 mm',
+      'Weitere Artikelnummer': 'KB-200-S',
+      Gewicht: '1,2 kg',
+      Abmessung: '200 x 4,8 x 1,2',
+      Werkstoff: 'PA66',
+      Materialklassifizierung: 'Nicht schweiß-, guss-, klebe-, schmiederelevant',
+      Spezifikationen: {
+        'Weitere Artikelnummer': 'KB-200-S',
+        Gewicht: '1,2 kg',
+        Bruttogewicht: '1,3 kg',
+        Abmessungen: '200 x 4,8 x 1,2',
+        Werkstoff: 'PA66',
+        Materialklassifizierung: 'Nicht schweiß-, guss-, klebe-, schmiederelevant',
+        Farbe: 'schwarz'
+      },
+      Status: 'HTTP-Parser'
+    });
+  });
+
+  test('Definitionslisten-Seite', () => {
+    const out = parseProductPage(fixture('A2V00000000004'), { id: 'A2V00000000004', url: 'u' });
+    assert.equal(out.Produkttitel, 'Scheibe 8,4');
+    assert.equal(out['Weitere Artikelnummer'], 'DIN 125-A8,4');
+    assert.equal(out.Gewicht, '3 g');
+    assert.equal(out.Werkstoff, 'St');
+    assert.equal(out.Abmessung, 'Nicht gefunden');
+    assert.equal(out.Materialklassifizierung, 'Nicht gefunden');
+    assert.deepEqual(Object.keys(out.Spezifikationen), ['Weitere Artikelnummer', 'Gewicht', 'Werkstoff']);
+  });
+});
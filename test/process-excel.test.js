@@ -0,0 +1,291 @@
+// Ende-zu-Ende: POST /api/process-excel mit Fake-MoBase als Datenquelle
+process.env.DISABLE_PLAYWRIGHT = '1';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startFakeMobase } = require('./fake-mobase');
+const { buildWorkbook, loadWorkbook } = require('./fixtures/workbooks');
+
+const GREEN = 'FFD5F4E6';
+const RED = 'FFFDEAEA';
+const ORANGE = 'FFFFEAA7';
+
+// Web-Spalten über das Label "Web-Wert" in Zeile 4 finden, Schlüssel = Überschrift aus Zeile 3
+function webColumns(ws) {
+  const cols = {};
+  ws.getRow(4).eachCell((cell, col) => {
+    if (cell.value === 'Web-Wert') cols[ws.getCell(3, col).value] = col;
+  });
+  return cols;
+}
+
+describe('POST /api/process-excel', () => {
+  let mobase;
+  let server;
+  let baseUrl;
+  let tmpDir;
+
+  before(async () => {
+    mobase = await startFakeMobase();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qmp-test-'));
+    process.env.MOBASE_BASE_URL = mobase.baseUrl;
+    process.env.CACHE_FILE = path.join(tmpDir, 'scrape-cache.json');
+    process.env.REVIEW_FILE = path.join(tmpDir, 'review-decisions.json');
+    const { app } = require('../server');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await mobase.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function post(buffer, fields = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([buffer]), 'Eingabe.xlsx');
+    for (const [k, v] of Object.entries(fields)) form.append(k, v);
+    return fetch(`${baseUrl}/api/process-excel`, { method: 'POST', body: form });
+  }
+
+  test('fügt Web-Spalten ein und färbt Übereinstimmungen, Abweichungen und fehlende Werte', async () => {
+    const input = await buildWorkbook([
+      {},                                                                  // passt vollständig zu A2V…01
+      { C: 'Kabelbinder 200 mm', E: 'KB-200-S', P: 'PA66', S: 1.0, T: 1.3, U: 200, V: 4, W: 1.2, Z: 'A2V00000000003' },
+      { Z: 'A2V00000000404' }                                              // Seite existiert nicht
+    ]);
+    const resp = await post(input);
+    assert.equal(resp.status, 200);
+    assert.deepEqual(JSON.parse(resp.headers.get('x-statistics')), { products: 3, equal: 16, tolerance: 0, mismatch: 3, missing: 8 });
+
+    const wb = await loadWorkbook(Buffer.from(await resp.arrayBuffer()));
+    const ws = wb.getWorksheet('Daten');
+    const cols = webColumns(ws);
+    assert.deepEqual(Object.keys(cols), ['Materialkurztext', 'Her.-Artikelnummer', 'Fert./Prüfhinweis', 'Werkstoff', 'Nettogewicht', 'Bruttogewicht', 'Länge', 'Breite', 'Höhe']);
+    assert.equal(ws.getCell(4, cols.Materialkurztext - 1).value, 'DB-Wert');
+
+    const fill = (row, header) => ws.getCell(row, cols[header]).fill?.fgColor?.argb;
+    const value = (row, header) => ws.getCell(row, cols[header]).value;
+
+    // Zeile 5: alles grün, Gewicht in kg umgerechnet
+    for (const header of Object.keys(cols)) assert.equal(fill(5, header), GREEN, header);
+    assert.equal(value(5, 'Nettogewicht'), 0.021);
+    assert.equal(value(5, 'Materialkurztext'), 'Sechskantschraube M8x40');
+
+    // Zeile 6: Gewicht und Breite weichen ab, Notiz mit Regel und normalisierten Werten
+    assert.equal(fill(6, 'Nettogewicht'), RED);
+    assert.equal(fill(6, 'Breite'), RED);
+    assert.equal(fill(6, 'Länge'), GREEN);
+    const note = ws.getCell(6, cols.Nettogewicht).note;
+    const noteText = typeof note === 'string' ? note : note.texts.map(t => t.text).join('');
+    assert.match(noteText, /^\[WEB-GEWICHT\] Abweichung/);
+    assert.match(noteText, /DB \(normalisiert\): 1 kg/);
+    assert.match(noteText, /Web \(normalisiert\): 1\.2 kg/);
+
+    // Zeile 7: keine Web-Daten
+    assert.equal(fill(7, 'Werkstoff'), ORANGE);
+    assert.equal(fill(7, 'Nettogewicht'), ORANGE);
+  });
+
+  test('Blöcke in Zeile 1 wachsen mit den eingefügten Web-Spalten', async () => {
+    const topHeader = { 'B1:W1': 'MARA Stammdaten', X1: 'Abmessungen', 'Y1:Z1': 'Herstellerdaten' };
+    const resp = await post(await buildWorkbook([{}], { topHeader }));
+    const wb = await loadWorkbook(Buffer.from(await resp.arrayBuffer()));
+    const ws = wb.getWorksheet('Daten');
+    const hoehe = webColumns(ws)['Höhe'];                    // letzte Vergleichsspalte im MARA-Block
+
+    const master = (col) => ws.getCell(1, col).master.address;
+    assert.equal(ws.getCell('B1').value, 'MARA Stammdaten');
+    assert.equal(master(hoehe), 'B1');
+    assert.equal(ws.getCell(1, hoehe + 1).value, 'Abmessungen');
+    assert.equal(ws.getCell(1, hoehe + 1).isMerged, false);
+    assert.equal(ws.getCell(1, hoehe + 2).value, 'Herstellerdaten');
+    assert.equal(master(hoehe + 3), ws.getCell(1, hoehe + 2).address);
+    assert.equal(ws.getCell(3, hoehe + 3).value, 'Produkt-ID');
+    assert.equal(ws.getCell(1, hoehe + 4).isMerged, false);
+  });
+
+  test('Blatt Zusammenfassung', async () => {
+    const resp = await post(await buildWorkbook([{}]));
+    const wb = await loadWorkbook(Buffer.from(await resp.arrayBuffer()));
+    assert.deepEqual(wb.worksheets.map(ws => ws.name), ['Daten', 'Zusammenfassung', 'Webdaten']);
+    const rows = [];
+    wb.getWorksheet('Zusammenfassung').eachRow(row => rows.push(row.values.slice(1)));
+    assert.deepEqual(rows.find(r => r[0] === 'Übereinstimmungen'), ['Übereinstimmungen', 9]);
+  });
+
+  test('Statistik-Endpunkt: ältere Datei ohne Zusammenfassung wird über die Zellfarben gezählt', async () => {
+    const resp = await post(await buildWorkbook([{}, { S: 0.5, Z: 'A2V00000000003' }, { Z: 'A2V00000000404' }]));
+    const totals = JSON.parse(resp.headers.get('x-statistics'));
+    const wb = await loadWorkbook(Buffer.from(await resp.arrayBuffer()));
+    wb.removeWorksheet(wb.getWorksheet('Zusammenfassung').id);
+
+    const form = new FormData();
+    form.append('file', new Blob([await wb.xlsx.writeBuffer()]), 'Alt.xlsx');
+    const body = await (await fetch(`${baseUrl}/api/web-search-stats`, { method: 'POST', body: form })).json();
+    assert.deepEqual(body, { green: totals.equal, tolerance: totals.tolerance, red: totals.mismatch, orange: totals.missing });
+  });
+
+  test('Blatt Webdaten: alle technischen Daten je A2V-Nummer', async () => {
+    const resp = await post(await buildWorkbook([{}, { Z: 'A2V00000000003' }, { Z: 'A2V00000000004' }]));
+    const ws = (await loadWorkbook(Buffer.from(await resp.arrayBuffer()))).getWorksheet('Webdaten');
+    const headers = ws.getRow(1).values.slice(1);
+    assert.deepEqual(headers.slice(0, 2), ['A2V', 'Produkttitel']);
+    assert.deepEqual(headers.slice(-4), ['URL', 'Quelle', 'Wiederholungen', 'Gescraped']);
+    assert.ok(headers.includes('Oberfläche'));
+    assert.ok(headers.includes('Farbe'));
+    const rows = {};
+    ws.eachRow((row, n) => { if (n > 1) rows[row.getCell(1).value] = row; });
+    const cell = (a2v, header) => rows[a2v].getCell(headers.indexOf(header) + 1).value;
+    assert.equal(cell('A2V00000000001', 'Oberfläche'), 'blank');
+    assert.equal(cell('A2V00000000001', 'Farbe'), null);
+    assert.equal(cell('A2V00000000003', 'Farbe'), 'schwarz');
+    assert.equal(cell('A2V00000000003', 'Quelle'), 'HTTP-Parser');
+    assert.equal(cell('A2V00000000003', 'Wiederholungen'), 0);
+    assert.ok(cell('A2V00000000001', 'Gescraped') instanceof Date);
+    // aus der englischen Seite ergänzte Werte
+    assert.equal(cell('A2V00000000001', 'Ergänzt (Sprache)'), null);
+    assert.equal(cell('A2V00000000004', 'Ergänzt (Sprache)'), 'en: Abmessung, Materialklassifizierung, Abmessungen, Oberfläche');
+  });
+
+  test('Zeilen ohne A2V-Nummer über die Herstellartikelnummer suchen', async () => {
+    const resp = await post(await buildWorkbook([
+      { C: 'Kabelbinder 200 mm', E: 'KB-200-S', P: 'PA66', S: 1.2, T: 1.3, U: 200, V: 4.8, W: 1.2, Z: null },  // eindeutig A2V…03
+      { Z: null },                                                         // ISO 4017-M8X40: A2V…01 und A2V…05
+      { E: 'XYZ-0815', Z: null },                                          // kein Treffer
+      { E: null, Z: null }                                                 // weder A2V noch Artikelnummer
+    ]));
+    assert.equal(resp.status, 200);
+    assert.equal(JSON.parse(resp.headers.get('x-statistics')).products, 1);
+    const ws = (await loadWorkbook(Buffer.from(await resp.arrayBuffer()))).getWorksheet('Daten');
+    const cols = webColumns(ws);
+    const at = (row, header) => ws.getCell(row, cols[header]);
+
+    assert.equal(at(5, 'A2V (Suche)').value, 'A2V00000000003');
+    assert.equal(at(5, 'Suchtreffer').value, 'eindeutig (Konfidenz hoch)');
+    assert.equal(at(5, 'Suchtreffer').fill.fgColor.argb, GREEN);
+    assert.equal(at(5, 'Materialkurztext').value, 'Kabelbinder 200 mm');
+    assert.equal(at(5, 'Nettogewicht').fill.fgColor.argb, GREEN);
+    // Dezimalmaße der Web-Seite (200 x 4,8 x 1,2) bleiben erhalten
+    assert.equal(at(5, 'Breite').value, 4.8);
+    assert.equal(at(5, 'Breite').fill.fgColor.argb, GREEN);
+    assert.equal(at(5, 'Höhe').value, 1.2);
+    assert.equal(at(5, 'Höhe').fill.fgColor.argb, GREEN);
+
+    assert.equal(at(6, 'A2V (Suche)').value, null);
+    assert.equal(at(6, 'Suchtreffer').value, 'mehrdeutig: A2V00000000001, A2V00000000005');
+    assert.equal(at(6, 'Suchtreffer').fill.fgColor.argb, ORANGE);
+    assert.equal(at(6, 'Materialkurztext').value, null);
+    const note = at(6, 'Suchtreffer').note;
+    assert.match(typeof note === 'string' ? note : note.texts.map(t => t.text).join(''), /Produktsuche nach "ISO 4017-M8X40": 2 Treffer/);
+
+    assert.equal(at(7, 'Suchtreffer').value, 'nicht gefunden');
+    assert.equal(at(7, 'Suchtreffer').fill.fgColor.argb, RED);
+    assert.equal(at(8, 'Suchtreffer').value, null);
+  });
+
+  test('Fert./Prüfhinweis: abweichendes Segment wird hervorgehoben', async () => {
+    const resp = await post(await buildWorkbook([{ N: 'OHNE/3.1/N/N/N' }]));
+    const ws = (await loadWorkbook(Buffer.from(await resp.arrayBuffer()))).getWorksheet('Daten');
+    const cell = ws.getCell(5, webColumns(ws)['Fert./Prüfhinweis']);
+    assert.equal(cell.fill.fgColor.argb, RED);
+    assert.equal(cell.value.richText.map(t => t.text).join(''), 'OHNE/N/N/N/N');
+    assert.deepEqual(cell.value.richText.filter(t => t.font?.bold).map(t => t.text), ['N']);
+    const noteText = typeof cell.note === 'string' ? cell.note : cell.note.texts.map(t => t.text).join('');
+    assert.match(noteText, /Abweichende Segmente: 2 Zeugnis: DB 3\.1, Web N/);
+  });
+
+  test('A2V-Nummer und Einheiten als Hyperlink, Rich Text oder Formel', async () => {
+    const input = await buildWorkbook([
+      { Z: { text: 'A2V00000000001', hyperlink: 'https://mobase.test/de/p/A2V00000000001' }, X: { richText: [{ text: 'M' }, { text: 'M' }] } },
+      { Z: { richText: [{ text: 'A2V0000', font: { bold: true } }, { text: '0000001' }] }, R: { formula: 'UPPER("kg")', result: 'KG' } }
+    ]);
+    const resp = await post(input);
+    assert.equal(resp.status, 200);
+    assert.deepEqual(JSON.parse(resp.headers.get('x-statistics')), { products: 2, equal: 18, tolerance: 0, mismatch: 0, missing: 0 });
+  });
+
+  test('Toleranzen: Abweichung innerhalb Toleranz wird gelbgrün', async () => {
+    const input = await buildWorkbook([{ S: 0.0215 }]);
+    const resp = await post(input, { tolerances: JSON.stringify({ weight: { pct: 5 } }) });
+    const stats = JSON.parse(resp.headers.get('x-statistics'));
+    assert.equal(stats.tolerance, 1);
+    assert.equal(stats.mismatch, 0);
+  });
+
+  test('fehlende Überschriften werden mit 400 abgelehnt', async () => {
+    const resp = await post(await buildWorkbook([{}], { headers: { P: 'Material', S: 'Gewicht netto' } }));
+    assert.equal(resp.status, 400);
+    const body = await resp.json();
+    assert.match(body.error, /Werkstoff/);
+    assert.match(body.error, /Nettogewicht/);
+  });
+
+  test('ohne Datei 400', async () => {
+    const resp = await fetch(`${baseUrl}/api/process-excel`, { method: 'POST' });
+    assert.equal(resp.status, 400);
+  });
+
+  test('altes Excel-Format (.xls) wird mit 400 abgelehnt', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([await buildWorkbook([{}])]), 'Eingabe.xls');
+    const resp = await fetch(`${baseUrl}/api/process-excel`, { method: 'POST', body: form });
+    assert.equal(resp.status, 400);
+    assert.match((await resp.json()).error, /bitte als \.xlsx speichern/);
+  });
+
+  test('Health-Endpunkt meldet Browser-Pool und Hosts', async () => {
+    const body = await (await fetch(`${baseUrl}/api/health/browser`)).json();
+    assert.equal(body.ok, true);
+    assert.equal(body.browserPool.running, false);
+    assert.ok(body.browserPool.maxPages > 0);
+    const host = body.hosts.find(h => mobase.baseUrl.includes(h.host));
+    assert.equal(host.paused, false);
+  });
+
+  test('Prüfentscheidung: nur bekannte Entscheidungen', async () => {
+    const put = (decision) => fetch(`${baseUrl}/api/reviews/A2V00000000001/material`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ decision, dbNorm: 'a', webNorm: 'b' })
+    });
+    for (const decision of ['constructor', 'toString']) {
+      const resp = await put(decision);
+      assert.equal(resp.status, 400, decision);
+      assert.match((await resp.json()).error, /Unbekannte Entscheidung/);
+    }
+    assert.equal((await put('db')).status, 200);
+    await fetch(`${baseUrl}/api/reviews/A2V00000000001/material`, { method: 'DELETE' });
+  });
+
+  test('Cache-Endpunkte: Übersicht, Invalidieren per Präfix, Löschen', async () => {
+    const list = await (await fetch(`${baseUrl}/api/cache`)).json();
+    assert.ok(list.entries > 0);
+    const item = list.items.find(i => i.a2v === 'A2V00000000001');
+    assert.equal(item.invalidated, false);
+    assert.ok(!('result' in item));
+
+    const refresh = await (await fetch(`${baseUrl}/api/cache/refresh?prefix=A2V0000000000`, { method: 'POST' })).json();
+    assert.ok(refresh.invalidated > 0);
+    const entry = await (await fetch(`${baseUrl}/api/cache/A2V00000000001`)).json();
+    assert.equal(entry.invalidated, true);
+    assert.equal(entry.expired, true);
+    assert.equal(entry.result.A2V, 'A2V00000000001');
+
+    assert.equal((await fetch(`${baseUrl}/api/cache/A2V00000000001`, { method: 'DELETE' })).status, 200);
+    assert.equal((await fetch(`${baseUrl}/api/cache/A2V00000000001`)).status, 404);
+  });
+
+  test('Anbieter-Endpunkt', async () => {
+    const body = await (await fetch(`${baseUrl}/api/providers`)).json();
+    assert.ok(body.supplierHeaders.includes('Hersteller'));
+    assert.deepEqual(body.providers.map(p => [p.id, p.baseUrl]), [['mobase', mobase.baseUrl]]);
+  });
+});
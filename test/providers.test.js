@@ -0,0 +1,166 @@
+// Anbieter-Plug-ins: Konfiguration, Zuordnung der Zeilen und Scrapen über einen zweiten Anbieter (Beispielmodul)
+process.env.DISABLE_PLAYWRIGHT = '1';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadProviders, loadDefaultProviders } = require('../providers');
+const { ProductScraper } = require('../scraper');
+const { ScrapeCache } = require('../scrape-cache');
+const { RequestScheduler } = require('../request-scheduler');
+const { compareRows, lookupProduct } = require('../web-comparison');
+const { startFakeMobase } = require('./fake-mobase');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Registry mit MoBase und dem Beispiel-Anbieter (test/fixtures/providers/demo.js)
+function registry({ mobaseUrl = 'http://mobase.test/de', demoUrl = 'http://demo.test/de', demo = {} } = {}) {
+  return loadProviders({
+    default: 'mobase',
+    supplierHeaders: ['Hersteller'],
+    providers: [
+      { id: 'mobase', module: path.join(__dirname, '..', 'providers', 'mobase'), baseUrl: mobaseUrl },
+      { id: 'demo', module: './providers/demo', label: 'Demo Bahntechnik', suppliers: ['Demo Bahntechnik'], baseUrl: demoUrl, ...demo }
+    ]
+  }, { baseDir: FIXTURES });
+}
+
+describe('Anbieter-Konfiguration', () => {
+  test('providers.json: MoBase als Standardanbieter', () => {
+    const [mobase] = loadDefaultProviders().describe();
+    assert.equal(mobase.id, 'mobase');
+    assert.deepEqual(mobase.prefixes, ['A2V']);
+    assert.equal(mobase.default, true);
+    assert.equal(mobase.search, true);
+  });
+
+  test('Zuordnung über ID-Präfix und Lieferant', () => {
+    const reg = registry({ demo: { prefixes: ['DB-'] } });
+    assert.equal(reg.route('A2V00000000001').id, 'mobase');
+    assert.equal(reg.route('db-4711').id, 'demo');
+    assert.equal(reg.route('4711'), null);
+    assert.equal(reg.route('DB-4711', 'Demo Bahntechnik GmbH').id, 'demo');
+    // Lieferant hat Vorrang, die ID muss aber zu seinen Präfixen passen
+    assert.equal(reg.route('A2V00000000001', 'Demo Bahntechnik'), null);
+    assert.equal(reg.route('A2V00000000001', 'Siemens Mobility GmbH').id, 'mobase');
+    assert.equal(reg.route('A2V00000000001', 'Unbekannt AG').id, 'mobase');
+    // Produktsuche: Anbieter des Lieferanten, ohne Suche keiner
+    assert.equal(reg.searchProvider().id, 'mobase');
+    assert.equal(reg.searchProvider('Siemens').id, 'mobase');
+    assert.equal(reg.searchProvider('Demo Bahntechnik'), null);
+  });
+
+  test('MoBase: Sprachversionen aus der Basis-URL', () => {
+    const mobase = registry({ mobaseUrl: 'http://mobase.test/de/' }).get('mobase');
+    assert.deepEqual(mobase.languages, ['de', 'en']);
+    assert.equal(mobase.productUrl('A2V1'), 'http://mobase.test/de/p/A2V1');
+    assert.equal(mobase.productUrl('A2V1', 'en'), 'http://mobase.test/en/p/A2V1');
+    assert.deepEqual(registry({ mobaseUrl: 'http://mobase.test/en' }).get('mobase').languages, ['en']);
+    // ohne Sprache in der Basis-URL keine Sprachversionen
+    assert.equal(registry({ mobaseUrl: 'http://mobase.test' }).get('mobase').languages, undefined);
+  });
+
+  test('Anbieter ohne Präfixe übernimmt jede ID seines Lieferanten', () => {
+    const reg = registry();
+    assert.equal(reg.route('4711', 'Demo Bahntechnik').id, 'demo');
+    assert.equal(reg.route('4711'), null);
+  });
+
+  test('ungültige Einträge werden gesammelt mit 400 abgelehnt', () => {
+    assert.throws(() => loadProviders('{ kaputt'), err => err.status === 400 && /kein gültiges JSON/.test(err.message));
+    assert.throws(() => loadProviders({ providers: [] }), /braucht eine Liste "providers"/);
+    assert.throws(() => loadProviders({
+      default: 'fehlt',
+      providers: [
+        { id: 'a', module: './providers/gibt-es-nicht', prefixes: ['A'] },
+        { id: 'b', module: './providers/demo', baseUrl: 'http://b.test' },
+        { id: 'b', module: './providers/demo', suppliers: ['B'] },
+        { id: 'c', module: './workbooks', prefixes: ['C'] }
+      ]
+    }, { baseDir: FIXTURES }), err => {
+      assert.equal(err.status, 400);
+      assert.match(err.message, /Anbieter a: Modul .* nicht ladbar/);
+      assert.match(err.message, /Anbieter b: braucht "prefixes" oder "suppliers"/);
+      assert.match(err.message, /Anbieter b: "id" doppelt vergeben/);
+      assert.match(err.message, /Anbieter c: Modul \.\/workbooks exportiert kein createProvider\(\)/);
+      assert.match(err.message, /"default": unbekannter Anbieter "fehlt"/);
+      return true;
+    });
+  });
+});
+
+describe('Scrapen über mehrere Anbieter', () => {
+  let mobase;
+  let demo;
+  let scraper;
+
+  before(async () => {
+    mobase = await startFakeMobase({ delays: {} });
+    demo = await startFakeMobase({ fixturesDir: path.join(FIXTURES, 'demo'), delays: {} });
+    scraper = new ProductScraper({
+      cache: new ScrapeCache({ file: null }),
+      registry: registry({ mobaseUrl: mobase.baseUrl, demoUrl: demo.baseUrl }),
+      scheduler: new RequestScheduler({ minIntervalMs: 0, retries: 0 })
+    });
+  });
+
+  after(async () => {
+    await scraper.close();
+    await mobase.close();
+    await demo.close();
+  });
+
+  test('scrapeOne mit ausdrücklichem Anbieter', async () => {
+    const out = await scraper.scrapeOne('4711', { provider: 'demo' });
+    assert.equal(out.Status, 'JSON-LD');
+    assert.equal(out.Anbieter, 'demo');
+    assert.equal(out.URL, `${demo.baseUrl}/p/4711`);
+    assert.equal(out.Gewicht, '2.4 kg');
+    assert.equal(out.Spezifikationen['Oberfläche'], 'verzinkt');
+    await assert.rejects(() => scraper.scrapeOne('4711'), /Keinem Anbieter zugeordnet/);
+  });
+
+  test('dieselbe ID bei zwei Anbietern: getrennte Cache-Einträge', async () => {
+    const demoResult = await scraper.scrapeOne('4711', { provider: 'demo' });
+    const mobaseResult = await scraper.scrapeOne('4711', { provider: 'mobase' });
+    assert.equal(mobaseResult.Anbieter, 'mobase');
+    assert.match(mobaseResult.Status, /^Fehler/);
+    assert.equal(mobaseResult.URL, `${mobase.baseUrl}/p/4711`);
+    assert.ok(mobase.requests.includes('4711'));
+    // beide aus dem Cache, ohne neuen Abruf
+    const before = demo.requests.length;
+    assert.deepEqual(await scraper.scrapeOne('4711', { provider: 'demo' }), demoResult);
+    assert.equal((await scraper.scrapeOne('4711', { provider: 'mobase' })).Anbieter, 'mobase');
+    assert.equal(demo.requests.length, before);
+  });
+
+  test('Zeilen werden über Präfix oder Lieferantenspalte zugeordnet', async () => {
+    const { rows } = await compareRows([
+      { 'Produkt-ID': 'A2V00000000003', Nettogewicht: 1.2 },
+      { 'Produkt-ID': '4711', Hersteller: 'Demo Bahntechnik GmbH', Nettogewicht: 2.4, Werkstoff: 'S235' },
+      { 'Produkt-ID': '4711', Nettogewicht: 2.4 }
+    ], { scraper });
+    assert.equal(rows[0].scrape.provider, 'mobase');
+    assert.equal(rows[0].fields.find(f => f.field === 'weight').status, 'equal');
+    assert.equal(rows[1].scrape.provider, 'demo');
+    assert.equal(rows[1].fields.find(f => f.field === 'weight').status, 'equal');
+    assert.equal(rows[1].fields.find(f => f.field === 'material').status, 'mismatch');
+    assert.equal(rows[2].skipped, 'Keine gültige A2V-Nummer');
+    assert.deepEqual(demo.requests, ['4711']);
+
+    const product = await lookupProduct('4711', { scraper, dbValues: { Hersteller: 'Demo Bahntechnik' } });
+    assert.equal(product.scrape.provider, 'demo');
+    assert.equal(product.fields.Produkttitel, 'Bremsklotzhalter BKH-20');
+  });
+
+  test('Produktsuche nur beim Anbieter des Lieferanten', async () => {
+    const { rows } = await compareRows([
+      { 'Her.-Artikelnummer': 'KB-200-S', Hersteller: 'Siemens' },
+      { 'Her.-Artikelnummer': 'BKH-20', Hersteller: 'Demo Bahntechnik' }
+    ], { scraper });
+    assert.equal(rows[0].a2v, 'A2V00000000003');
+    assert.equal(rows[1].skipped, 'Keine gültige A2V-Nummer');
+    assert.ok(!demo.requests.some(r => r.startsWith('search:')));
+  });
+});
@@ -0,0 +1,111 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RequestScheduler, parseRetryAfter } = require('../request-scheduler');
+
+// Scheduler mit simulierter Uhr: sleep rückt die Zeit vor und merkt sich die Wartezeiten
+function fakeScheduler(options = {}) {
+  let clock = 1_000_000;
+  const sleeps = [];
+  const scheduler = new RequestScheduler({
+    minIntervalMs: 0, retries: 3, baseDelayMs: 100, maxDelayMs: 1000,
+    breakerThreshold: 3, breakerCooldownMs: 60000, breakerMaxPauses: 1,
+    random: () => 1,
+    now: () => clock,
+    sleep: async (ms) => { sleeps.push(ms); clock += ms; },
+    ...options
+  });
+  return { scheduler, sleeps, now: () => clock };
+}
+
+const transient = (message, extra = {}) => Object.assign(new Error(message), { transient: true, ...extra });
+
+// attempt(), das die angegebenen Fehler nacheinander wirft und danach 'ok' liefert
+function failing(...errors) {
+  let calls = 0;
+  const attempt = async () => {
+    calls++;
+    if (errors.length) throw errors.shift();
+    return 'ok';
+  };
+  return { attempt, calls: () => calls };
+}
+
+describe('RequestScheduler', () => {
+  test('Mindestabstand je Host', async () => {
+    const { scheduler, sleeps } = fakeScheduler({ minIntervalMs: 250 });
+    await scheduler.run('https://a.example/p/1', async () => 1);
+    await scheduler.run('https://a.example/p/2', async () => 2);
+    await scheduler.run('https://b.example/p/1', async () => 3);
+    assert.deepEqual(sleeps, [250]);
+  });
+
+  test('exponentieller Backoff, Retry-After hat Vorrang', async () => {
+    const { scheduler, sleeps } = fakeScheduler({ breakerThreshold: 10 });
+    const { attempt, calls } = failing(transient('HTTP 503'), transient('HTTP 503'), transient('HTTP 429', { retryAfterMs: 5000 }));
+    const { value, retries } = await scheduler.run('https://a.example/p/1', attempt);
+    assert.equal(value, 'ok');
+    assert.equal(retries, 3);
+    assert.equal(calls(), 4);
+    // 100, 200, dann Retry-After 5 s (Backoff wäre 400); der Zeitschlitz des Hosts ist bereits erreicht
+    assert.deepEqual(sleeps, [100, 200, 5000]);
+  });
+
+  test('Jitter zwischen 50 und 100 % der Wartezeit', () => {
+    const { scheduler } = fakeScheduler({ random: () => 0 });
+    assert.equal(scheduler.backoff(0), 50);
+    assert.equal(scheduler.backoff(10), 500);   // gedeckelt auf maxDelayMs
+  });
+
+  test('nicht vorübergehende Fehler werden nicht wiederholt', async () => {
+    const { scheduler } = fakeScheduler();
+    const { attempt, calls } = failing(Object.assign(new Error('HTTP 404'), { status: 404 }));
+    await assert.rejects(() => scheduler.run('https://a.example/p/1', attempt), err => err.retries === 0);
+    assert.equal(calls(), 1);
+  });
+
+  test('Wiederholungen erschöpft: Fehler mit Anzahl', async () => {
+    const { scheduler } = fakeScheduler({ breakerThreshold: 10 });
+    const { attempt, calls } = failing(...Array.from({ length: 5 }, () => transient('HTTP 503')));
+    await assert.rejects(() => scheduler.run('https://a.example/p/1', attempt), err => err.message === 'HTTP 503' && err.retries === 3);
+    assert.equal(calls(), 4);
+  });
+
+  test('Circuit Breaker pausiert den Host und gibt nach wiederholtem Ausfall auf', async () => {
+    const { scheduler, sleeps, now } = fakeScheduler({ retries: 0 });
+    const host = 'https://a.example/p/';
+    const down = async () => { throw transient('fetch failed'); };
+    for (let i = 0; i < 3; i++) await assert.rejects(() => scheduler.run(host + i, down));
+    assert.equal(scheduler.describe()[0].paused, true);
+
+    // Pause abwarten, erneuter Fehler öffnet sofort wieder
+    const start = now();
+    await assert.rejects(() => scheduler.run(host + 3, down), /fetch failed/);
+    assert.equal(now() - start, 60000);
+    assert.deepEqual(sleeps, [60000]);
+
+    // zweite Pause in Folge überschreitet breakerMaxPauses: sofort Fehler ohne Anfrage
+    const { attempt, calls } = failing();
+    await assert.rejects(() => scheduler.run(host + 4, attempt), /Circuit Breaker offen/);
+    assert.equal(calls(), 0);
+    // andere Hosts sind nicht betroffen
+    assert.equal((await scheduler.run('https://b.example/p/1', attempt)).value, 'ok');
+  });
+
+  test('Erfolg schließt den Circuit Breaker', async () => {
+    const { scheduler } = fakeScheduler({ retries: 0 });
+    const host = 'https://a.example/p/';
+    for (let i = 0; i < 3; i++) await assert.rejects(() => scheduler.run(host + i, async () => { throw transient('HTTP 502'); }));
+    assert.equal((await scheduler.run(host + 3, async () => 'ok')).value, 'ok');
+    assert.deepEqual(scheduler.describe(), [{ host: 'a.example', paused: false, resumeAt: null, failures: 0 }]);
+  });
+
+  test('Retry-After als Sekunden oder Datum', () => {
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    assert.equal(parseRetryAfter('120', now), 120000);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 12:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 11:00:00 GMT', now), 0);
+    assert.equal(parseRetryAfter(null, now), null);
+    assert.equal(parseRetryAfter('bald', now), null);
+  });
+});
@@ -0,0 +1,117 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ReviewStore } = require('../review-store');
+const { processWebComparison, compareRows, lookupProduct } = require('../web-comparison');
+const { runCorrections } = require('../corrections');
+const { buildWorkbook, loadWorkbook } = require('./fixtures/workbooks');
+
+// Web-Daten passend zu BASE_ROW, nur der Werkstoff weicht ab
+const webData = (a2v) => ({
+  URL: `https://example.test/${a2v}`,
+  Produkttitel: 'Sechskantschraube M8x40',
+  'Weitere Artikelnummer': 'ISO 4017-M8X40',
+  Gewicht: '21 g',
+  Werkstoff: '1.4571',
+  Status: 'initialData JSON'
+});
+const fakeScraper = {
+  async scrapeMany(list) {
+    return new Map(list.map(a2v => [a2v, webData(a2v)]));
+  },
+  async scrapeOne(a2v) {
+    return webData(a2v);
+  }
+};
+
+const A2V = 'A2V00000000001';
+
+function noteText(cell) {
+  const note = cell.note;
+  if (!note) return '';
+  return typeof note === 'string' ? note : note.texts.map(t => t.text).join('');
+}
+
+describe('Prüfentscheidungen', () => {
+  test('Entscheidung gilt nur für unveränderte Werte und wird gespeichert', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qmp-review-')), 'reviews.json');
+    const store = new ReviewStore({ file });
+    store.set(A2V.toLowerCase(), 'material', { decision: 'web', dbNorm: '1.4301', webNorm: '1.4571', comment: ' laut Datenblatt ' });
+
+    assert.equal(store.lookup(A2V, 'material', { dbNorm: '1.4301', webNorm: '1.4571' }).comment, 'laut Datenblatt');
+    assert.equal(store.lookup(A2V, 'material', { dbNorm: '1.4301', webNorm: '1.4404' }), null);
+    assert.equal(store.lookup(A2V, 'weight', { dbNorm: '1.4301', webNorm: '1.4571' }), null);
+
+    store.flush();
+    const reloaded = new ReviewStore({ file });
+    assert.equal(reloaded.lookup(A2V, 'material', { dbNorm: '1.4301', webNorm: '1.4571' }).decision, 'web');
+    assert.equal(reloaded.delete(A2V, 'material'), true);
+    assert.equal(reloaded.delete(A2V, 'material'), false);
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  test('unbekannte Entscheidung wird mit 400 abgelehnt', () => {
+    const store = new ReviewStore({ file: null });
+    assert.throws(() => store.set(A2V, 'material', { decision: 'vielleicht' }), err => err.status === 400);
+    // geerbte Eigenschaften von Object.prototype sind keine Entscheidungen
+    for (const decision of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      assert.throws(() => store.set(A2V, 'material', { decision }), err => err.status === 400, decision);
+    }
+    assert.equal(store.entries.size, 0);
+  });
+
+  test('Prüfliste, Notiz und Zusammenfassung berücksichtigen Entscheidungen', async () => {
+    const reviews = new ReviewStore({ file: null });
+    const first = await processWebComparison(await buildWorkbook([{}]), { scraper: fakeScraper, reviews });
+    const item = first.review.find(i => i.field === 'material');
+    assert.equal(item.a2v, A2V);
+    assert.equal(item.status, 'mismatch');
+    assert.equal(item.row, 4);
+    assert.equal(item.review, null);
+    assert.equal(first.stats.review.open, first.review.length);
+
+    reviews.set(A2V, 'material', { decision: 'web', dbNorm: item.dbNorm, webNorm: item.webNorm, comment: 'laut Datenblatt' });
+    const second = await processWebComparison(await buildWorkbook([{}]), { scraper: fakeScraper, reviews });
+    assert.equal(second.review.find(i => i.field === 'material').review.decision, 'web');
+    assert.equal(second.stats.review.web, 1);
+    assert.equal(second.stats.review.open, second.review.length - 1);
+
+    const ws = (await loadWorkbook(second.buffer)).getWorksheet('Daten');
+    let note = '';
+    ws.getRow(5).eachCell(cell => { if (/WEB-WERKSTOFF/.test(noteText(cell))) note = noteText(cell); });
+    assert.match(note, /Prüfung: Web übernehmen – laut Datenblatt/);
+  });
+
+  test('Korrekturliste übernimmt Entscheidungen als Vorbelegung', async () => {
+    const reviews = new ReviewStore({ file: null });
+    const input = await buildWorkbook([{}]);
+    const { rows } = await compareRows(input, { scraper: fakeScraper, reviews });
+    const field = rows[0].fields.find(f => f.field === 'material');
+    reviews.set(A2V, 'material', { decision: 'db', dbNorm: field.dbNorm, webNorm: field.webNorm, comment: 'Web veraltet' });
+
+    const { buffer } = await runCorrections(input, { scraper: fakeScraper, reviews, outputFormat: 'json' });
+    const [entry] = JSON.parse(buffer.toString('utf8')).corrections;
+    assert.equal(entry.accept, 'Nein');
+    assert.equal(entry.comment, 'Web veraltet');
+  });
+
+  test('Einzelabfrage zeigt die Entscheidung je Feld', async () => {
+    const reviews = new ReviewStore({ file: null });
+    const dbValues = { Werkstoff: '1.4301', Nettogewicht: 0.021, Gewichtseinheit: 'KG' };
+    const before = await lookupProduct(A2V, { scraper: fakeScraper, reviews, dbValues });
+    const field = before.comparison.find(f => f.field === 'material');
+    assert.equal(field.status, 'mismatch');
+    assert.equal(field.review, null);
+
+    reviews.set(A2V, 'material', { decision: 'web', dbNorm: field.dbNorm, webNorm: field.webNorm, comment: 'laut Datenblatt' });
+    const after = await lookupProduct(A2V, { scraper: fakeScraper, reviews, dbValues });
+    const review = after.comparison.find(f => f.field === 'material').review;
+    assert.equal(review.decision, 'web');
+    assert.equal(review.comment, 'laut Datenblatt');
+    // übereinstimmende Felder tragen keine Entscheidung
+    assert.equal(after.comparison.find(f => f.field === 'weight').review, null);
+  });
+});
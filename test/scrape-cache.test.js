@@ -0,0 +1,105 @@
+// Scrape-Cache: TTL, Invalidieren, Löschen und Persistenz (Datei im Temp-Verzeichnis)
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ScrapeCache, isErrorResult } = require('../scrape-cache');
+
+const ok = (a2v) => ({ A2V: a2v, Produkttitel: 'Scheibe', Status: 'HTTP-Parser' });
+const failed = (a2v) => ({ A2V: a2v, Produkttitel: 'Nicht gefunden', Status: 'Fehler: HTTP 503' });
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qmp-cache-')), 'scrape-cache.json');
+
+// Eintrag um minutes Minuten altern lassen
+function age(cache, a2v, minutes) {
+  const entry = cache.entries.get(a2v.toUpperCase());
+  entry.scrapedAt = new Date(Date.parse(entry.scrapedAt) - minutes * 60000).toISOString();
+}
+
+describe('ScrapeCache', () => {
+  test('Schlüssel ohne Groß-/Kleinschreibung, Fehler werden erkannt', () => {
+    const cache = new ScrapeCache({ file: null });
+    cache.set('a2v00000000001', ok('A2V00000000001'));
+    assert.equal(cache.get(' A2V00000000001 ').Status, 'HTTP-Parser');
+    assert.equal(cache.get('A2V00000000002'), null);
+    assert.equal(isErrorResult(failed('A2V1')), true);
+    assert.equal(isErrorResult(ok('A2V1')), false);
+  });
+
+  test('TTL: Ergebnisse laufen nach ttlHours ab, Fehler schon nach errorTtlMinutes', () => {
+    const cache = new ScrapeCache({ file: null, ttlHours: 2, errorTtlMinutes: 15 });
+    cache.set('A2V00000000001', ok('A2V00000000001'));
+    cache.set('A2V00000000503', failed('A2V00000000503'));
+    age(cache, 'A2V00000000001', 20);
+    age(cache, 'A2V00000000503', 20);
+    assert.ok(cache.get('A2V00000000001'));
+    assert.equal(cache.get('A2V00000000503'), null);
+    assert.equal(cache.describe('A2V00000000503').expired, true);
+    assert.equal(cache.describe('A2V00000000503').failed, true);
+
+    age(cache, 'A2V00000000001', 101);
+    assert.equal(cache.get('A2V00000000001'), null);
+    const entry = cache.describe('A2V00000000001');
+    assert.equal(Date.parse(entry.expiresAt) - Date.parse(entry.scrapedAt), 2 * 3600000);
+    assert.deepEqual({ ...cache.stats(), file: undefined },
+      { file: undefined, entries: 2, fresh: 0, expired: 2, failed: 1, ttlHours: 2, errorTtlMinutes: 15 });
+  });
+
+  test('Invalidieren und Löschen: einzeln, per Präfix und alle', () => {
+    const cache = new ScrapeCache({ file: null });
+    for (const a2v of ['A2V00010000001', 'A2V00010000002', 'A2V00020000001']) cache.set(a2v, ok(a2v));
+
+    assert.equal(cache.invalidate('a2v0001', { prefix: true }), 2);
+    assert.equal(cache.get('A2V00010000001'), null);
+    assert.equal(cache.describe('A2V00010000002').invalidated, true);
+    assert.ok(cache.get('A2V00020000001'));
+    // ohne prefix nur die genaue Nummer
+    assert.equal(cache.invalidate('A2V0002'), 0);
+    assert.equal(cache.invalidate('A2V00020000001'), 1);
+    assert.equal(cache.invalidate(), 3);
+
+    assert.equal(cache.purge('A2V0001', { prefix: true }), 2);
+    assert.deepEqual(cache.list().map(e => e.a2v), ['A2V00020000001']);
+    assert.equal(cache.purge('A2V00099999999'), 0);
+    assert.equal(cache.purge(), 1);
+    assert.equal(cache.entries.size, 0);
+  });
+
+  test('Einträge je Anbieter getrennt', () => {
+    const cache = new ScrapeCache({ file: null });
+    cache.set('4711', { ...ok('4711'), Anbieter: 'mobase' }, { provider: 'mobase' });
+    cache.set('4711', { ...failed('4711'), Anbieter: 'demo' }, { provider: 'demo' });
+    assert.equal(cache.get('4711', { provider: 'mobase' }).Anbieter, 'mobase');
+    assert.equal(cache.get('4711', { provider: 'demo' }).Status, 'Fehler: HTTP 503');
+    assert.equal(cache.get('4711'), null);
+    assert.equal(cache.describe('4711', { provider: 'demo' }).failed, true);
+    assert.deepEqual(cache.list().map(e => [e.provider, e.a2v]), [['demo', '4711'], ['mobase', '4711']]);
+
+    // A2V-Nummer ohne Anbieter: alle Anbieter
+    assert.equal(cache.invalidate('4711'), 2);
+    assert.equal(cache.purge('47', { prefix: true }), 2);
+    assert.equal(cache.describe('4711'), null);
+  });
+
+  test('Persistenz: verzögert gespeichert, flush schreibt sofort, neue Instanz lädt', () => {
+    const file = tmpFile();
+    const cache = new ScrapeCache({ file });
+    cache.set('A2V00000000001', ok('A2V00000000001'));
+    cache.set('A2V00000000503', failed('A2V00000000503'));
+    cache.invalidate('A2V00000000001');
+    assert.equal(fs.existsSync(file), false);   // Schreiben ist gesammelt verzögert
+    cache.flush();
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+    const reloaded = new ScrapeCache({ file });
+    assert.equal(reloaded.entries.size, 2);
+    assert.equal(reloaded.describe('A2V00000000001').invalidated, true);
+    assert.equal(reloaded.describe('A2V00000000503').result.Status, 'Fehler: HTTP 503');
+    assert.equal(reloaded.get('A2V00000000001'), null);
+
+    // unlesbare Datei: leer starten
+    fs.writeFileSync(file, '{ kaputt');
+    assert.equal(new ScrapeCache({ file }).entries.size, 0);
+  });
+});
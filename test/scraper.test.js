@@ -0,0 +1,252 @@
+// Scraper gegen den lokalen Fake-MoBase-Server (kein Playwright, kein Netz)
+process.env.DISABLE_PLAYWRIGHT = '1';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SiemensProductScraper } = require('../scraper');
+const { parseSearchResults } = require('../providers/mobase');
+const { ScrapeCache } = require('../scrape-cache');
+const { RequestScheduler } = require('../request-scheduler');
+const { compareRows, lookupProduct } = require('../web-comparison');
+const { startFakeMobase } = require('./fake-mobase');
+
+describe('SiemensProductScraper gegen Fake-MoBase', () => {
+  let mobase;
+  let scraper;
+
+  before(async () => {
+    mobase = await startFakeMobase({
+      delays: { A2V00000000005: 1000 },
+      failures: {
+        A2V00000000002: [503, { status: 429, retryAfter: '0' }],
+        A2V00000000503: [503, 503, 503]
+      }
+    });
+    scraper = new SiemensProductScraper({
+      cache: new ScrapeCache({ file: null }),
+      baseUrl: mobase.baseUrl,
+      httpTimeoutMs: 300,
+      scheduler: new RequestScheduler({ minIntervalMs: 0, retries: 2, baseDelayMs: 10 })
+    });
+  });
+
+  after(async () => {
+    await scraper.close();
+    await mobase.close();
+  });
+
+  test('initialData-Seite', async () => {
+    const out = await scraper.scrapeOne('A2V00000000001');
+    assert.equal(out.Status, 'initialData JSON');
+    assert.equal(out.URL, `${mobase.baseUrl}/p/A2V00000000001`);
+    assert.equal(out.Gewicht, '21 g');
+    assert.equal(out.Werkstoff, '1.4301');
+    assert.equal(out.Wiederholungen, 0);
+  });
+
+  test('Tabellen-Seite über den HTTP-Parser', async () => {
+    const out = await scraper.scrapeOne('A2V00000000003');
+    assert.equal(out.Status, 'HTTP-Parser');
+    assert.equal(out.Abmessung, '200 x 4,8 x 1,2');
+  });
+
+  test('404 wird als Fehler-Ergebnis zurückgegeben', async () => {
+    const out = await scraper.scrapeOne('A2V00000000404');
+    assert.match(out.Status, /^Fehler: /);
+    assert.equal(out.Produkttitel, 'Nicht gefunden');
+    assert.equal(out.Wiederholungen, 0);
+  });
+
+  test('langsame Antwort läuft in den Timeout', async () => {
+    const out = await scraper.scrapeOne('A2V00000000005');
+    assert.match(out.Status, /^Fehler: Timeout nach 300 ms \(nach 2 Wiederholungen\)/);
+    assert.equal(out.Wiederholungen, 2);
+  });
+
+  test('503 und 429 werden wiederholt', async () => {
+    const out = await scraper.scrapeOne('A2V00000000002', { refresh: true });
+    assert.equal(out.Status, 'initialData JSON');
+    assert.equal(out.Wiederholungen, 2);
+    assert.equal(mobase.requests.filter(id => id === 'A2V00000000002').length, 3);
+  });
+
+  test('anhaltender 503 ergibt einen Fehler statt "Nicht gefunden" per Browser', async () => {
+    const out = await scraper.scrapeOne('A2V00000000503');
+    assert.equal(out.Status, 'Fehler: HTTP 503 (nach 2 Wiederholungen)');
+    assert.equal(out.Wiederholungen, 2);
+  });
+
+  test('nur Produkt-IDs eines Anbieters', async () => {
+    await assert.rejects(() => scraper.scrapeOne('12345'), err => err.status === 400 && /Keinem Anbieter zugeordnet: "12345" \(bekannte Präfixe: A2V\)/.test(err.message));
+  });
+
+  test('Cache: zweiter Abruf ohne Request, refresh scraped neu', async () => {
+    const hits = () => mobase.requests.filter(id => id === 'A2V00000000004').length;
+    await scraper.scrapeOne('A2V00000000004');
+    await scraper.scrapeOne('a2v00000000004');
+    assert.equal(hits(), 1);
+    await scraper.scrapeOne('A2V00000000004', { refresh: true });
+    assert.equal(hits(), 2);
+  });
+
+  test('fehlende Felder aus der englischen Sprachversion ergänzt', async () => {
+    const out = await scraper.scrapeOne('A2V00000000004', { refresh: true });
+    assert.ok(mobase.requests.includes('en:A2V00000000004'));
+    // Deutsche Werte haben Vorrang, nur fehlende kommen aus der englischen Seite
+    assert.equal(out['Weitere Artikelnummer'], 'DIN 125-A8,4');
+    assert.equal(out.Werkstoff, 'St');
+    assert.equal(out.Abmessung, '16 x 16 x 1,6');
+    assert.equal(out.Spezifikationen['Oberfläche'], 'zinc plated');
+    assert.equal(out.URL, `${mobase.baseUrl}/p/A2V00000000004`);
+    assert.equal(out.Sprache, 'de');
+    assert.deepEqual(out.Sprachen.Felder, {
+      Produkttitel: 'de', 'Weitere Artikelnummer': 'de', Gewicht: 'de', Werkstoff: 'de', Abmessung: 'en', Materialklassifizierung: 'en'
+    });
+    assert.equal(out.Sprachen.Spezifikationen.Gewicht, 'de');
+    assert.equal(out.Sprachen.Spezifikationen['Oberfläche'], 'en');
+
+    // vollständige Seite: keine englische Abfrage
+    await scraper.scrapeOne('A2V00000000001', { refresh: true });
+    assert.ok(!mobase.requests.includes('en:A2V00000000001'));
+
+    const { rows } = await compareRows([
+      { 'Produkt-ID': 'A2V00000000004', Werkstoff: 'St', 'Länge': 16, 'Fert./Prüfhinweis': 'OHNE/N/N/N/N' }
+    ], { scraper });
+    const field = (name) => rows[0].fields.find(f => f.field === name);
+    assert.equal(field('material').webLanguage, 'de');
+    assert.equal(field('length').webLanguage, 'en');
+    assert.equal(field('length').status, 'equal');
+    // englische Materialklassifizierung wird in den Fert./Prüfhinweis übersetzt
+    assert.equal(field('nCode').webLanguage, 'en');
+    assert.equal(field('nCode').webValue, 'OHNE/N/N/N/N');
+    assert.equal(field('nCode').status, 'equal');
+    assert.equal(rows[0].scrape.language, 'de');
+  });
+
+  test('fehlt die deutsche Seite, gilt die englische', async () => {
+    const out = await scraper.scrapeOne('A2V00000000006');
+    assert.deepEqual(mobase.requests.filter(r => r.endsWith('A2V00000000006')), ['A2V00000000006', 'en:A2V00000000006']);
+    assert.equal(out.Status, 'HTTP-Parser');
+    assert.equal(out.URL, mobase.baseUrl.replace(/\/de$/, '/en/p/A2V00000000006'));
+    assert.equal(out.Produkttitel, 'Spring washer 8');
+    assert.equal(out.Gewicht, '1,1 g');
+    assert.equal(out.Werkstoff, '1.4310');
+    assert.equal(out.Sprache, 'en');
+    assert.equal(out.Sprachen.Felder.Abmessung, 'en');
+
+    // ohne englische Seite bleibt es beim Fehler
+    const missing = await scraper.scrapeOne('A2V00000000404', { refresh: true });
+    assert.match(missing.Status, /^Fehler: /);
+    assert.ok(mobase.requests.includes('en:A2V00000000404'));
+    assert.equal(missing.Sprache, undefined);
+    assert.deepEqual(missing.Sprachen.Fehler, { en: 'HTTP 404' });
+
+    // deutsche Seite vorhanden, englische fehlt: Ergebnis der deutschen, fehlgeschlagene Sprachversion vermerkt
+    const partial = await scraper.scrapeOne('A2V00000000002', { refresh: true });
+    assert.equal(partial.Sprache, 'de');
+    assert.equal(partial.Werkstoff, 'EPDM');
+    assert.deepEqual(partial.Sprachen.Fehler, { en: 'HTTP 404' });
+    assert.equal(partial.Sprachen.Felder.Werkstoff, 'de');
+  });
+
+  test('scrapeMany meldet Fortschritt und Fehler', async () => {
+    const progress = [];
+    const results = await scraper.scrapeMany(['A2V00000000001', 'A2V00000000002', 'A2V00000000002', 'A2V00000000404'], 2, (p) => progress.push(p));
+    assert.equal(results.size, 3);
+    assert.equal(results.get('A2V00000000002').Werkstoff, 'EPDM');
+    const last = progress[progress.length - 1];
+    assert.equal(last.done, 3);
+    assert.equal(last.total, 3);
+    assert.equal(last.failed, 1);
+  });
+});
+
+describe('Produktsuche nach Herstellartikelnummer', () => {
+  let mobase;
+  let scraper;
+
+  before(async () => {
+    mobase = await startFakeMobase({ delays: {} });
+    scraper = new SiemensProductScraper({
+      cache: new ScrapeCache({ file: null }),
+      baseUrl: mobase.baseUrl,
+      scheduler: new RequestScheduler({ minIntervalMs: 0, retries: 0 })
+    });
+  });
+
+  after(async () => {
+    await scraper.close();
+    await mobase.close();
+  });
+
+  test('Trefferliste lesen', () => {
+    const hits = parseSearchResults(`
+      <a href="/de/p/A2V00000000003"><img alt=""></a><a href="/de/p/A2V00000000003">Kabelbinder</a>
+      <a href="https://www.mymobase.com/de/p/a2v00000000004?tab=1">Scheibe</a><a href="/de/c/123">Kategorie</a>`);
+    assert.deepEqual(hits, [{ id: 'A2V00000000003', title: 'Kabelbinder' }, { id: 'A2V00000000004', title: 'Scheibe' }]);
+  });
+
+  test('eindeutiger Treffer', async () => {
+    const exact = await scraper.resolvePartNumber('KB-200-S');
+    assert.equal(exact.a2v, 'A2V00000000003');
+    assert.equal(exact.status, 'resolved');
+    assert.equal(exact.confidence, 'high');
+    assert.deepEqual(exact.candidates, [{ a2v: 'A2V00000000003', title: 'Kabelbinder 200 mm', partNo: 'KB-200-S', match: true }]);
+  });
+
+  test('mehrere passende Treffer sind mehrdeutig', async () => {
+    const res = await scraper.resolvePartNumber('ISO 4017-M8X40');
+    assert.equal(res.status, 'ambiguous');
+    assert.equal(res.a2v, null);
+    assert.deepEqual(res.candidates.map(c => c.a2v), ['A2V00000000001', 'A2V00000000005']);
+  });
+
+  test('nicht abrufbare Treffer senken die Konfidenz', async () => {
+    const slowMobase = await startFakeMobase({ delays: { A2V00000000005: 1000 } });
+    const slow = new SiemensProductScraper({
+      cache: new ScrapeCache({ file: null }),
+      baseUrl: slowMobase.baseUrl,
+      httpTimeoutMs: 300,
+      scheduler: new RequestScheduler({ minIntervalMs: 0, retries: 0 })
+    });
+    try {
+      const res = await slow.resolvePartNumber('ISO 4017-M8X40');
+      assert.equal(res.a2v, 'A2V00000000001');
+      assert.equal(res.confidence, 'medium');
+      assert.equal(res.candidates[1].match, null);
+    } finally {
+      await slow.close();
+      await slowMobase.close();
+    }
+  });
+
+  test('resolvePartNumbers fasst gleiche Nummern zusammen', async () => {
+    const progress = [];
+    const results = await scraper.resolvePartNumbers(['KB-200-S', 'kb-200-s', 'XYZ-0815'], 2, p => progress.push(p));
+    assert.deepEqual([...results.keys()].sort(), ['KB200S', 'XYZ0815']);
+    assert.equal(results.get('XYZ0815').status, 'notFound');
+    assert.equal(progress[progress.length - 1].failed, 1);
+  });
+
+  test('JSON-Zeilen und Einzelabfrage mit Herstellartikelnummer', async () => {
+    const { rows } = await compareRows([
+      { 'Her.-Artikelnummer': 'KB-200-S', Nettogewicht: 1.2 },
+      { 'Her.-Artikelnummer': 'ISO 4017-M8X40' },
+      { Nettogewicht: 1 }
+    ], { scraper });
+    assert.equal(rows[0].a2v, 'A2V00000000003');
+    assert.deepEqual({ ...rows[0].search, candidates: undefined },
+      { partNo: 'KB-200-S', a2v: 'A2V00000000003', status: 'resolved', label: 'eindeutig', confidence: 'high', candidates: undefined });
+    assert.equal(rows[0].fields.find(f => f.field === 'weight').status, 'equal');
+    assert.equal(rows[1].skipped, 'Herstellartikelnummer mehrdeutig');
+    assert.equal(rows[1].search.candidates.length, 2);
+    assert.equal(rows[2].skipped, 'Keine gültige A2V-Nummer');
+
+    const product = await lookupProduct('KB-200-S', { scraper });
+    assert.equal(product.a2v, 'A2V00000000003');
+    assert.equal(product.search.confidence, 'high');
+    await assert.rejects(() => lookupProduct('ISO 4017-M8X40', { scraper }),
+      err => err.status === 404 && /mehrdeutig: A2V00000000001, A2V00000000005/.test(err.message));
+  });
+});
@@ -0,0 +1,62 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { textSimilarity, loadAbbreviations } = require('../text-match');
+const { compareRows, resolveTolerances } = require('../web-comparison');
+
+describe('textSimilarity', () => {
+  test('Abkürzungen, Wortreihenfolge und Maßangaben', () => {
+    assert.equal(textSimilarity('6KT-SCHR. M8X40', 'Sechskantschraube M8 x 40').score, 100);
+    assert.equal(textSimilarity('DICHTG FLANSCH DN50', 'Flanschdichtung DN50').score, 100);
+    assert.equal(textSimilarity('DICHTG FLANSCH DN50', 'Flanschdichtung DN50').dbNorm, 'flanschdichtung dn50');
+  });
+
+  test('auf 40 Zeichen gekürzter SAP-Text', () => {
+    const db = 'SECHSKANTSCHRAUBE M8X40 DIN EN ISO 4017 A';
+    const web = 'Sechskantschraube M8x40 DIN EN ISO 4017 A2-70 nichtrostend';
+    assert.equal(textSimilarity(db, web).score, 100);
+    // ohne Kürzung zählen die zusätzlichen Wörter des Web-Titels mit
+    assert.ok(textSimilarity('Sechskantschraube M8x40', web).score < 60);
+  });
+
+  test('verschiedene Maße und Produkte', () => {
+    assert.equal(textSimilarity('Kabelbinder 200 mm', 'Sechskantschraube M8x40').score, 0);
+    assert.equal(textSimilarity('Sechskantschraube M8x40', 'Sechskantschraube M10x40').score, 50);
+    assert.equal(textSimilarity('', 'Sechskantschraube').score, 0);
+  });
+
+  test('eigenes Wörterbuch', () => {
+    const abbreviations = loadAbbreviations({ abbreviations: { 'KB.': 'Kabelbinder' } });
+    assert.equal(textSimilarity('KB 200 mm', 'Kabelbinder 200 mm', { abbreviations }).score, 100);
+    assert.throws(() => loadAbbreviations('{"abbreviations": {"kb": 1}}'), err => err.status === 400);
+    assert.throws(() => loadAbbreviations('kein json'), err => err.status === 400);
+  });
+});
+
+describe('Kurztext im Web-Vergleich', () => {
+  const scraper = {
+    async scrapeMany(list) {
+      return new Map(list.map(a2v => [a2v, { Produkttitel: 'Sechskantschraube M8x40 ISO 4017', Status: 'initialData JSON' }]));
+    }
+  };
+  const row = (text) => ({ 'Produkt-ID': 'A2V00000000001', Materialkurztext: text });
+
+  test('exakt, wahrscheinlich und Abweichung mit Ähnlichkeit', async () => {
+    const { rows, stats } = await compareRows([
+      row('6KT-SCHR. M8X40 ISO 4017'),
+      row('SCHR. M8X40 ISO4017'),
+      row('Kabelbinder 200 mm')
+    ], { scraper });
+    const text = rows.map(r => r.fields[0]);
+    assert.deepEqual(text.map(f => f.status), ['equal', 'tolerance', 'mismatch']);
+    assert.deepEqual(text.map(f => f.score), [100, 90, 0]);
+    assert.deepEqual(stats.totals, { products: 3, equal: 1, tolerance: 1, mismatch: 1, missing: 0 });
+  });
+
+  test('Schwellen über tolerances', async () => {
+    const { rows } = await compareRows([row('SCHR. M8X40 ISO4017')], { scraper, tolerances: { text: { exact: 90 } } });
+    assert.equal(rows[0].fields[0].status, 'equal');
+    assert.throws(() => resolveTolerances({ text: { probable: 101 } }), err => err.status === 400);
+    assert.throws(() => resolveTolerances({ text: { exact: 70, probable: 90 } }), err => err.status === 400);
+  });
+});
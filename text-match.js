@@ -0,0 +1,162 @@
+/* text-match.js */
+// Unscharfer Vergleich von Materialkurztexten: SAP kürzt auf 40 Zeichen und arbeitet mit Abkürzungen
+// ("SCHR." statt "Schraube"), die Web-Titel sind ausgeschrieben und oft anders sortiert.
+// Ergebnis ist eine Ähnlichkeit von 0–100; die Einstufung (exakt / wahrscheinlich / Abweichung) macht web-comparison.js.
+
+const fs = require('fs');
+const path = require('path');
+
+const ABBREVIATIONS_FILE = process.env.TEXT_ABBREVIATIONS_FILE || path.join(__dirname, 'text-abbreviations.json');
+const SAP_TEXT_LENGTH = 40;   // MAKTX: längere Texte sind abgeschnitten
+const MIN_PREFIX = 3;         // kürzere Präfixe gelten nicht als Abkürzung
+const PREFIX_SCORE = 0.9;     // Abkürzung ohne Wörterbucheintrag ("sechskantschr" ↔ "sechskantschraube")
+const SUFFIX_SCORE = 0.7;     // Grundwort eines Kompositums ("schraube" ↔ "sechskantschraube"), weniger spezifisch
+const MIN_SUFFIX = 4;
+const MIN_EDIT_SCORE = 0.8;   // Tippfehler: darunter zählt ein Wort nicht als Treffer
+
+function abbreviationError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Kleinschreibung, Umlaute ausschreiben, Dezimalkomma und Maßangaben ("M8 x 40" → "m8x40") vereinheitlichen
+function normalize(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/(\d)\s*[x×*]\s*(\d)/g, '$1x$2');
+}
+
+// Wörter ohne Satzzeichen; Punkte bleiben nur innerhalb von Wörtern ("1.4301"), nicht am Ende ("schr.")
+function tokenize(text) {
+  return normalize(text)
+    .split(/[\s,;:/\\()[\]{}"'+\-]+/)
+    .map(t => t.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Abkürzungswörterbuch prüfen und normalisieren
+ * @param {Buffer|string|Object} source - JSON { abbreviations: { "schr": "schraube", ... } }
+ * @returns {Map<string, string[]>} - Abkürzung → Wörter
+ */
+function loadAbbreviations(source) {
+  let data = source;
+  if (Buffer.isBuffer(data)) data = data.toString('utf8');
+  if (typeof data === 'string') {
+    try { data = JSON.parse(data); }
+    catch (e) { throw abbreviationError(`Abkürzungsliste ist kein gültiges JSON: ${e.message}`); }
+  }
+  const entries = data?.abbreviations;
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw abbreviationError('Abkürzungsliste: Objekt "abbreviations" fehlt');
+  }
+  const map = new Map();
+  for (const [short, long] of Object.entries(entries)) {
+    const key = tokenize(short);
+    if (key.length !== 1 || typeof long !== 'string' || !tokenize(long).length) {
+      throw abbreviationError(`Abkürzungsliste: ungültiger Eintrag "${short}"`);
+    }
+    map.set(key[0], tokenize(long));
+  }
+  return map;
+}
+
+let defaultAbbreviations = null;
+function loadDefaultAbbreviations() {
+  if (!defaultAbbreviations) defaultAbbreviations = loadAbbreviations(fs.readFileSync(ABBREVIATIONS_FILE, 'utf8'));
+  return defaultAbbreviations;
+}
+
+// Wörter eines Textes mit ausgeschriebenen Abkürzungen
+function expandTokens(text, abbreviations) {
+  return tokenize(text).flatMap(t => abbreviations.get(t) || [t]);
+}
+
+// Zusammengesetzte Wörter: "sechskant schraube" bzw. "schraube sechskant" ↔ "sechskantschraube"
+function joinCompounds(tokens, other) {
+  const wanted = new Set(other);
+  const out = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const next = tokens[i + 1];
+    const joined = next == null ? null
+      : wanted.has(tokens[i] + next) ? tokens[i] + next
+      : wanted.has(next + tokens[i]) ? next + tokens[i]
+      : null;
+    if (joined) {
+      out.push(joined);
+      i++;
+    } else {
+      out.push(tokens[i]);
+    }
+  }
+  return out;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Ähnlichkeit zweier Wörter 0–1; truncated: DB-Wort wurde am Textende abgeschnitten
+function tokenSimilarity(dbToken, webToken, truncated) {
+  if (dbToken === webToken) return 1;
+  if (truncated && webToken.startsWith(dbToken)) return 1;
+  if (dbToken.length >= MIN_PREFIX && webToken.startsWith(dbToken)) return PREFIX_SCORE;
+  if (webToken.length >= MIN_PREFIX && dbToken.startsWith(webToken)) return PREFIX_SCORE;
+  const [shorter, longer] = dbToken.length < webToken.length ? [dbToken, webToken] : [webToken, dbToken];
+  if (shorter.length >= MIN_SUFFIX && longer.endsWith(shorter)) return SUFFIX_SCORE;
+  if (/\d/.test(dbToken) || /\d/.test(webToken)) return 0; // Maße und Nummern nur exakt
+  const score = 1 - editDistance(dbToken, webToken) / Math.max(dbToken.length, webToken.length);
+  return score >= MIN_EDIT_SCORE ? score : 0;
+}
+
+/**
+ * Ähnlichkeit von DB-Kurztext und Web-Titel
+ * Reihenfolge der Wörter spielt keine Rolle; ist der DB-Text auf 40 Zeichen gekürzt,
+ * zählen nur die DB-Wörter (der Rest des Web-Titels fehlt in SAP zwangsläufig).
+ * @param {string} dbText
+ * @param {string} webText
+ * @param {Object} [options]
+ * @param {Map} [options.abbreviations] - Ergebnis von loadAbbreviations(), Standard: text-abbreviations.json
+ * @returns {{ score: number, dbNorm: string, webNorm: string }} - score 0–100 (ganzzahlig), Norm = ausgeschriebene Wörter
+ */
+function textSimilarity(dbText, webText, { abbreviations = loadDefaultAbbreviations() } = {}) {
+  let db = expandTokens(dbText, abbreviations);
+  let web = expandTokens(webText, abbreviations);
+  db = joinCompounds(db, web);
+  web = joinCompounds(web, db);
+  const result = { score: 0, dbNorm: db.join(' '), webNorm: web.join(' ') };
+  if (!db.length || !web.length) return result;
+
+  const truncated = String(dbText).trim().length >= SAP_TEXT_LENGTH;
+  // Paare nach Ähnlichkeit absteigend zuordnen, jedes Wort höchstens einmal
+  const candidates = [];
+  db.forEach((d, i) => web.forEach((w, j) => {
+    const s = tokenSimilarity(d, w, truncated && i === db.length - 1);
+    if (s > 0) candidates.push({ i, j, s });
+  }));
+  candidates.sort((a, b) => b.s - a.s);
+  const usedDb = new Set(), usedWeb = new Set();
+  let matched = 0;
+  for (const { i, j, s } of candidates) {
+    if (usedDb.has(i) || usedWeb.has(j)) continue;
+    usedDb.add(i); usedWeb.add(j);
+    matched += s;
+  }
+
+  const ratio = truncated ? matched / db.length : (2 * matched) / (db.length + web.length);
+  result.score = Math.round(ratio * 100);
+  return result;
+}
+
+module.exports = { textSimilarity, loadAbbreviations, loadDefaultAbbreviations, SAP_TEXT_LENGTH };
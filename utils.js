@@ -1,9 +1,7 @@
 // utils.js - Normalisierung & Mapping (aktualisiert)
 
-function a2vUrl(a2v) {
-  const id = (a2v || '').toString().trim();
-  return `https://www.mymobase.com/de/p/${id}`;
-}
+const { parseMaterialClassification, normalizeNCode } = require('./n-code');
+const { parseDimensions } = require('./dimensions');
 
 function cleanNumberString(s) {
   if (s == null) return null;
@@ -44,96 +42,100 @@ function weightToKg(value, unit) {
   return value;
 }
 
-/**
- * Dimensions-Parser:
- * - akzeptiert "L×B×H", "LxBxH", "40X40X42", "30x20x10 mm", etc.
- * - Standard-Reihenfolge: Länge × Breite × Höhe (L×B×H)
- * - unterstützt auch Zylinder-Formate: "D×H", "DxH", "20x30 mm" (Durchmesser x Höhe)
- * - Ergebnis in mm (falls Einheiten erkennbar), sonst roh.
- */
-function parseDimensionsToLBH(text) {
-  if (!text) return { L: null, B: null, H: null };
-  const raw = String(text).trim();
-
-  // 1) Einheit in mm|cm|m erkennen, aber entfernen
-  let scale = 1;
-  let s = raw.toLowerCase()
-             .replace(/[,;]/g, '.')          // Komma oder Semikolon → Punkt
-             .replace(/\s+/g, '')            // Leerzeichen killen
-             .replace(/[×xX*/]/g, 'x');      // *, ×, X, / → x
-
-  if (/cm\b/.test(s)) { scale = 10;  s = s.replace(/cm\b/g, ''); }
-  if (/(^|\D)m\b/.test(s)) { scale = 1000; s = s.replace(/m\b/g, ''); }
-
-  // 2) Bis zu 3 Zahlen extrahieren - verbesserte Regex für verschiedene Formate
-  const nums = (s.match(/-?\d+(?:\.\d+)?/g) || []).map(parseFloat);
-  
-  let L, B, H;
-  
-  if (nums.length === 2) {
-    // Zylinder-Format: Durchmesser x Höhe
-    // Durchmesser = Breite (B), Höhe = Höhe (H), Länge = null
-    L = null;
-    B = nums[0] != null ? Math.round(nums[0] * scale) : null;
-    H = nums[1] != null ? Math.round(nums[1] * scale) : null;
-    console.log(`Parsed cylinder dimensions: "${raw}" -> Durchmesser:${B}, Höhe:${H}`);
-  } else if (nums.length === 3) {
-    // Quader-Format: Länge x Breite x Höhe (Standard-Reihenfolge)
-    [L, B, H] = nums.map(n => n != null ? Math.round(n * scale) : null);
-    console.log(`Parsed cuboid dimensions: "${raw}" -> Länge:${L}, Breite:${B}, Höhe:${H}`);
-  } else {
-    // Unbekanntes Format
-    L = B = H = null;
-    console.log(`Unknown dimension format: "${raw}"`);
-  }
+// Volumen: parse "0,5 l", "250 cm³", "1,2 dm3" => { value, unit } (unit normalisiert: ml, l, cm3, dm3, m3)
+function parseVolume(value) {
+  if (!value && value !== 0) return { value: null, unit: '' };
+  const s = String(value).toLowerCase().replace(',', '.').replace(/³/g, '3').trim();
+  const m = s.match(/-?\d+(?:\.\d+)?/);
+  const num = m ? parseFloat(m[0]) : null;
+  let unit = '';
+  if (/\bml\b/.test(s)) unit = 'ml';
+  else if (/\b(?:cm3|ccm)\b/.test(s)) unit = 'cm3';
+  else if (/\b(?:dm3|cdm)\b/.test(s)) unit = 'dm3';
+  else if (/\bm3\b/.test(s)) unit = 'm3';
+  else if (/\b(?:l|liter|ltr)\b/.test(s)) unit = 'l';
+  return { value: num, unit };
+}
 
-  return { L, B, H };
+// Für Vergleich: in Liter umrechnen (DB-Einheiten wie SAP: "L", "CCM", "CDM", "M3"; leer = l)
+function volumeToLiter(value, unit) {
+  if (value == null) return null;
+  const u = (unit || '').toLowerCase().replace(/³/g, '3').trim();
+  if (u === 'ml' || u === 'cm3' || u === 'ccm') return value / 1000;
+  if (u === 'm3') return value * 1000;
+  return value; // l, dm3, cdm
 }
 
+// Abmessungstext -> { L, B, H } in mm (Details und Bereiche siehe dimensions.js)
+function parseDimensionsToLBH(text) {
+  const { L, B, H } = parseDimensions(text);
+  return { L, B, H };
+}
 
 function normPartNo(s) {
   if (!s) return '';
   return String(s).toUpperCase().replace(/[\s\-\/_]+/g, '');
 }
 
+// Länge in mm umrechnen (DB-Einheit z.B. "MM", "CM", "M"; leer = mm)
+function lengthToMm(value, unit) {
+  if (value == null) return null;
+  const u = (unit || '').toLowerCase().trim();
+  if (u === 'cm') return value * 10;
+  if (u === 'dm') return value * 100;
+  if (u === 'm') return value * 1000;
+  return value;
+}
+
+// Toleranz: größere von absoluter (abs) und prozentualer (pct, bezogen auf a) Abweichung
+function withinTolerance(a, b, { abs = 0, pct = 0 } = {}) {
+  if (a == null || b == null) return false;
+  const diff = Math.abs(a - b);
+  const tol = Math.max(abs || 0, Math.abs(a) * ((pct || 0) / 100));
+  return diff <= tol + 1e-9;
+}
+
 function withinToleranceKG(exKg, wbKg, tolPct) {
-  if (exKg == null || wbKg == null) return false;
-  const diff = Math.abs(exKg - wbKg);
-  if (!tolPct || tolPct <= 0) return diff < 1e-9; // streng
-  const tol = Math.abs(exKg) * (tolPct / 100);
-  return diff <= tol;
+  return withinTolerance(exKg, wbKg, { pct: tolPct });
 }
 
-function mapMaterialClassificationToExcel(text) {
-  if (!text) return '';
-  const s = String(text).toLowerCase();
-  const hasNicht = /nicht/.test(s);
-  const hasSchweiss = /schwei|schweiß|schweiss/.test(s);
-  const hasGuss = /guss/.test(s);
-  const hasKlebe = /klebe/.test(s);
-  const hasSchmiede = /schmiede/.test(s);
-  const hasRelevant = /relev/.test(s);
-  if (hasNicht && (hasSchweiss || hasGuss || hasKlebe || hasSchmiede) && hasRelevant) {
-    return 'OHNE/N/N/N/N';
+// Spaltenüberschrift für den Vergleich: ohne Groß-/Kleinschreibung, Leer- und Satzzeichen
+// ("Her.-Artikelnummer" -> "herartikelnummer"); Rich-Text-Zellen werden zusammengesetzt
+function normHeader(v) {
+  if (v == null) return '';
+  const text = typeof v === 'object' && Array.isArray(v.richText) ? v.richText.map(t => t.text).join('') : String(v);
+  return text.toLowerCase().replace(/[^a-z0-9äöüß]+/g, '');
+}
+
+// ExcelJS-Zellwert -> einfacher Wert: Formeln -> Ergebnis, Rich Text/Hyperlink -> Text, leer -> null
+function plainValue(v) {
+  if (v && typeof v === 'object' && !(v instanceof Date)) {
+    if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+    if ('result' in v) return v.result ?? null;
+    if (v.text != null) return v.text;
   }
-  return '';
+  return v ?? null;
 }
 
-// „OHNE/N  /N  /N/N “ -> "OHNE/N/N/N/N"
-function normalizeNCode(s) {
-  if (!s) return '';
-  return String(s).replace(/\s+/g,'').toUpperCase();
+// Materialklassifizierung (MoBase) -> Fert./Prüfhinweis, z.B. "OHNE/N/N/N/N"; '' wenn nicht vollständig bestimmbar
+function mapMaterialClassificationToExcel(text) {
+  return parseMaterialClassification(text)?.code || '';
 }
 
 module.exports = {
-  a2vUrl,
   cleanNumberString,
   toNumber,
   parseWeight,
   weightToKg,
+  parseVolume,
+  volumeToLiter,
+  lengthToMm,
   parseDimensionsToLBH,
   normPartNo,
+  withinTolerance,
   withinToleranceKG,
+  normHeader,
+  plainValue,
   mapMaterialClassificationToExcel,
   normalizeNCode
 };
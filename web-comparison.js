@@ -0,0 +1,1169 @@
+/* web-comparison.js */
+const ExcelJS = require('exceljs');
+const { WebComparisonStats, addWebSummarySheet } = require('./statistics');
+const { DECISIONS, REVIEWABLE } = require('./review-store');
+
+const {
+  toNumber,
+  parseWeight,
+  weightToKg,
+  parseVolume,
+  volumeToLiter,
+  lengthToMm,
+  normPartNo,
+  withinTolerance,
+  normHeader,
+  plainValue,
+  mapMaterialClassificationToExcel,
+  normalizeNCode
+} = require('./utils');
+const { textSimilarity } = require('./text-match');
+const { compareMaterials } = require('./material-match');
+const { compareNCodes, describeSegmentDiff } = require('./n-code');
+const { parseDimensions, dimensionSet, roundValue } = require('./dimensions');
+const { loadDefaultFieldMapping } = require('./field-mapping');
+const { loadDefaultProviders } = require('./providers');
+const { partNoKey } = require('./scraper');
+
+const WEIGHT_TOL_PCT = Number(process.env.WEIGHT_TOL_PCT || 0);       // 0 = strikt
+const WEIGHT_TOL_ABS_KG = Number(process.env.WEIGHT_TOL_ABS_KG || 0); // 0 = strikt
+const DIM_TOL_MM = Number(process.env.DIM_TOL_MM || 0);               // 0 = strikt
+const DIM_ANY_ORIENTATION = Number(process.env.DIM_ANY_ORIENTATION || 0); // 1 = L/B/H als Satz vergleichen
+const VOLUME_TOL_PCT = Number(process.env.VOLUME_TOL_PCT || 0);       // 0 = strikt
+const VOLUME_TOL_ABS_L = Number(process.env.VOLUME_TOL_ABS_L || 0);   // 0 = strikt
+const TEXT_EXACT_SCORE = Number(process.env.TEXT_EXACT_SCORE || 100);       // Kurztext: Ähnlichkeit für "gleich"
+const TEXT_PROBABLE_SCORE = Number(process.env.TEXT_PROBABLE_SCORE || 80);  // Kurztext: Ähnlichkeit für "wahrscheinlich"
+
+// DB/Web-Paare aus der Feldzuordnung (field-mapping.json) – nach jeder gefundenen Originalspalte fügen wir eine Web-Nachbarspalte ein.
+// headers: Überschrift in Zeile 3 plus Aliasse (Vergleich ohne Groß-/Kleinschreibung, Leer- und Satzzeichen)
+// web: Felder des Scrape-Ergebnisses bzw. Schlüssel der technischen Daten, der erste vorhandene Wert zählt
+// ruleId: Kennung der Vergleichsregel (erscheint in den Zell-Notizen)
+// sapField: MARA-Feldname, falls Zeile 2 der Eingabe keinen technischen Namen enthält (Korrekturliste)
+// optional: Feld wird nur verglichen, wenn die Spalte vorhanden ist
+// UNIT_COLUMNS: optionale Einheiten-Spalten je Gruppe (fehlen sie, gelten kg, mm bzw. l)
+const { fields: DB_WEB_PAIRS, units: UNIT_COLUMNS } = loadDefaultFieldMapping();
+const REQUIRED_PAIRS = DB_WEB_PAIRS.filter(p => !p.optional);
+const DIM_PAIRS = DB_WEB_PAIRS.filter(p => p.parser === 'dimension');
+const SCORE_FIELDS = new Set(DB_WEB_PAIRS.filter(p => p.comparator === 'similarity').map(p => p.field));
+// Feld, über das Zeilen ohne A2V-Nummer in der Produktsuche aufgelöst werden (searchKey, Standard: Herstellartikelnummer)
+const SEARCH_PAIR = DB_WEB_PAIRS.find(p => p.searchKey) || null;
+
+// Standard-Toleranz eines Feldes nach Parser/Vergleich; null = Feld ohne Toleranz
+function defaultTolerance(pair) {
+  if (pair.comparator === 'similarity') return { exact: TEXT_EXACT_SCORE, probable: TEXT_PROBABLE_SCORE };
+  if (pair.parser === 'weight') return { pct: WEIGHT_TOL_PCT, absKg: WEIGHT_TOL_ABS_KG };
+  if (pair.parser === 'dimension') return { mm: DIM_TOL_MM };
+  if (pair.parser === 'volume') return { pct: VOLUME_TOL_PCT, absL: VOLUME_TOL_ABS_L };
+  return null;
+}
+
+// Standard-Toleranzen je Feld, pro Upload überschreibbar (siehe resolveTolerances)
+// Ähnlichkeitsvergleich (Kurztext): Schwellen 0–100, siehe text-match.js
+// dimensions.anyOrientation: 1 = gleiche Maße in anderer Ausrichtung gelten nicht als Abweichung
+const DEFAULT_TOLERANCES = {
+  ...Object.fromEntries(DB_WEB_PAIRS.map(p => [p.field, defaultTolerance(p)]).filter(([, t]) => t)),
+  dimensions: { anyOrientation: DIM_ANY_ORIENTATION }
+};
+
+// A2V-Spalte, erkannt über die Überschrift in Zeile 3 (inkl. Aliasse)
+const A2V_HEADERS = ['Produkt-ID', 'Produkt-ID (A2V)', 'A2V', 'A2V-Nummer', 'Siemens Produkt-ID'];
+// Optionale Lieferantenspalte für die Anbieter-Zuordnung (supplierHeaders in providers.json)
+const SUPPLIER_HEADERS = loadDefaultProviders().supplierHeaders;
+
+const HEADER_ROW = 3;      // Spaltennamen
+const LABEL_ROW = 4;       // "DB-Wert" / "Web-Wert"
+const FIRST_DATA_ROW = 5;  // erste Datenzeile
+
+// -------- Helpers: Spalten / Adressen ----------
+function getColumnLetter(index) {
+  let result = '';
+  while (index > 0) {
+    index--;
+    result = String.fromCharCode(65 + (index % 26)) + result;
+    index = Math.floor(index / 26);
+  }
+  return result;
+}
+function getColumnIndex(letter) {
+  let index = 0;
+  for (let i = 0; i < letter.length; i++) {
+    index = index * 26 + (letter.charCodeAt(i) - 64);
+  }
+  return index;
+}
+
+// -------- Spaltenerkennung über Header (Zeile 3) ----------
+function findColumnByHeaders(ws, names) {
+  const wanted = new Set(names.map(normHeader));
+  const hdr = ws.getRow(HEADER_ROW);
+  const lastCol = ws.lastColumn?.number || ws.columnCount || hdr.cellCount || 0;
+  for (let c = 1; c <= lastCol; c++) {
+    if (wanted.has(normHeader(hdr.getCell(c).value))) return c;
+  }
+  return null;
+}
+
+/**
+ * A2V-Spalte und Vergleichsspalten eines Worksheets anhand der Überschriften finden
+ * @returns {{ a2vCol: string|null, supplierCol: string|null, pairs: Array, units: Object, missing: string[] }}
+ *   - pairs aufsteigend nach Spalte
+ */
+function detectColumns(ws) {
+  const missing = [];
+  const a2vIndex = findColumnByHeaders(ws, A2V_HEADERS);
+  if (!a2vIndex) missing.push(A2V_HEADERS[0]);
+
+  const pairs = [];
+  for (const pair of DB_WEB_PAIRS) {
+    const index = findColumnByHeaders(ws, pair.headers);
+    if (index) pairs.push({ ...pair, original: getColumnLetter(index), dbCol: null, webCol: null });
+    else if (!pair.optional) missing.push(pair.headers[0]);
+  }
+  pairs.sort((a, b) => getColumnIndex(a.original) - getColumnIndex(b.original));
+
+  const units = {};
+  for (const [group, def] of Object.entries(UNIT_COLUMNS)) {
+    const index = findColumnByHeaders(ws, def.headers);
+    units[group] = index ? getColumnLetter(index) : null;
+  }
+  const supplierIndex = SUPPLIER_HEADERS.length ? findColumnByHeaders(ws, SUPPLIER_HEADERS) : null;
+  return {
+    a2vCol: a2vIndex ? getColumnLetter(a2vIndex) : null,
+    supplierCol: supplierIndex ? getColumnLetter(supplierIndex) : null,
+    pairs,
+    units,
+    missing
+  };
+}
+
+/**
+ * Workbook laden und Spalten aller Worksheets erkennen.
+ * Worksheets ohne eine einzige bekannte Überschrift (z.B. Infoblätter) bleiben unverändert;
+ * fehlen in einem Datenblatt Überschriften, wird der Upload mit Status 400 abgelehnt.
+ * @param {Buffer|ExcelJS.Workbook} input - Excel file buffer oder bereits geladenes Workbook (z.B. aus CSV, siehe formats.js)
+ * @returns {{ wb: ExcelJS.Workbook, layouts: Map }} - layouts: ws -> detectColumns(ws)
+ */
+async function prepareWebComparison(input) {
+  let wb = input;
+  if (!(input instanceof ExcelJS.Workbook)) {
+    wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(input);
+  }
+
+  const layouts = new Map();
+  const problems = [];
+  for (const ws of wb.worksheets) {
+    const layout = detectColumns(ws);
+    const knownHeaders = REQUIRED_PAIRS.length + 1;
+    if (layout.missing.length === knownHeaders) continue;
+    if (layout.missing.length) problems.push(`${ws.name}: ${layout.missing.join(', ')}`);
+    else layouts.set(ws, layout);
+  }
+
+  if (problems.length || !layouts.size) {
+    const detail = problems.length
+      ? problems.join('; ')
+      : [A2V_HEADERS[0], ...REQUIRED_PAIRS.map(p => p.headers[0])].join(', ');
+    const err = new Error(`Spalten nicht gefunden (Überschriften in Zeile ${HEADER_ROW}) – ${detail}`);
+    err.status = 400;
+    throw err;
+  }
+  return { wb, layouts };
+}
+
+// -------- Layout-Berechnung / Struktur ----------
+function calculateNewColumnStructure(ws, layout) {
+  const newStructure = { pairs: [], otherCols: new Map(), totalInsertedCols: 0 };
+  let insertedCols = 0;
+
+  // Für jedes DB/Web-Paar fügen wir rechts daneben 1 Spalte ein
+  for (const pair of layout.pairs) {
+    const originalIndex = getColumnIndex(pair.original);
+    const adjustedOriginalIndex = originalIndex + insertedCols;
+    newStructure.pairs.push({
+      ...pair,
+      dbCol: getColumnLetter(adjustedOriginalIndex),
+      webCol: getColumnLetter(adjustedOriginalIndex + 1)
+    });
+    insertedCols++;
+  }
+  newStructure.totalInsertedCols = insertedCols;
+
+  // Andere Spalten passend verschieben (Mapping alt → neu)
+  const lastCol = ws.lastColumn?.number || ws.columnCount || ws.getRow(HEADER_ROW).cellCount || 0;
+  for (let colIndex = 1; colIndex <= lastCol; colIndex++) {
+    const originalLetter = getColumnLetter(colIndex);
+    const isPairColumn = layout.pairs.some(p => p.original === originalLetter);
+    if (!isPairColumn) {
+      let insertedBefore = 0;
+      for (const p of layout.pairs) {
+        if (getColumnIndex(p.original) < colIndex) insertedBefore++;
+      }
+      const newLetter = getColumnLetter(colIndex + insertedBefore);
+      newStructure.otherCols.set(originalLetter, newLetter);
+    }
+  }
+  return newStructure;
+}
+
+// -------- Formatierungen ----------
+function fillColor(ws, addr, color) {
+  if (!color) return;
+  const map = {
+    green:  'FFD5F4E6', // hellgrün
+    red:    'FFFDEAEA', // hellrot
+    lime:   'FFE8F5C8', // gelbgrün (innerhalb Toleranz)
+    orange: 'FFFFEAA7', // hellorange
+    dbBlue: 'FFE6F3FF', // hellblau (Label DB)
+    webBlue:'FFCCE7FF'  // noch helleres Blau (Label Web)
+  };
+  ws.getCell(addr).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: map[color] || map.green } };
+}
+
+// Segmentierter Web-Wert (Fert./Prüfhinweis) mit abweichenden Segmenten in Rot/fett
+function segmentRichText(segments) {
+  const richText = [];
+  segments.forEach((s, i) => {
+    if (i) richText.push({ text: '/' });
+    richText.push(s.equal ? { text: s.web } : { text: s.web, font: { bold: true, color: { argb: 'FFC00000' } } });
+  });
+  return { richText };
+}
+function copyColumnFormatting(ws, fromCol, toCol, rowStart, rowEnd) {
+  for (let row = rowStart; row <= rowEnd; row++) {
+    const fromCell = ws.getCell(`${fromCol}${row}`);
+    const toCell   = ws.getCell(`${toCol}${row}`);
+    if (fromCell.fill)      toCell.fill = fromCell.fill;
+    if (fromCell.font)      toCell.font = fromCell.font;
+    if (fromCell.border)    toCell.border = fromCell.border;
+    if (fromCell.alignment) toCell.alignment = fromCell.alignment;
+    if (fromCell.style)     Object.assign(toCell.style, fromCell.style);
+  }
+}
+function applyLabelCellFormatting(ws, addr, isWebCell = false) {
+  const cell = ws.getCell(addr);
+  fillColor(ws, addr, isWebCell ? 'webBlue' : 'dbBlue');
+  cell.border = { top:{style:'thin'}, left:{style:'thin'}, bottom:{style:'thin'}, right:{style:'thin'} };
+  cell.font = { bold: true, size: 10 };
+  cell.alignment = { horizontal: 'center', vertical: 'middle' };
+}
+
+// -------- Vergleichslogik ----------
+function hasValue(v){ return v!==null && v!==undefined && v!=='' && String(v).trim()!==''; }
+function normText(v){ return v==null ? '' : String(v).trim().toLowerCase().replace(/\s+/g,' '); }
+function eqPart(a,b){ return normPartNo(a)===normPartNo(b); }
+// Zahlenvergleich → 'equal' | 'tolerance' | 'mismatch'
+function classifyNumbers(a, b, tol){
+  if (a==null || b==null) return 'mismatch';
+  if (Math.abs(a - b) < 1e-9) return 'equal';
+  return withinTolerance(a, b, tol) ? 'tolerance' : 'mismatch';
+}
+// Ähnlichkeit (0–100) → 'equal' (exakt) | 'tolerance' (wahrscheinlich) | 'mismatch'
+function classifyScore(score, tol){
+  if (score >= tol.exact) return 'equal';
+  return score >= tol.probable ? 'tolerance' : 'mismatch';
+}
+
+// Gewicht: Web-Text (z.B. "162 g") und DB-Wert (in dbUnit, leer = kg) in kg vergleichen.
+// webValue wird in der DB-Einheit zurückgegeben, damit beide Spalten direkt vergleichbar sind.
+function compareWeight(exS, dbUnit, webText, tol){
+  const { value, unit } = parseWeight(webText);
+  const webKg = weightToKg(value, unit);
+  if (webKg==null) return null;
+  const webValue = roundValue(webKg / weightToKg(1, dbUnit));
+  const webNorm = `${roundValue(webKg)} kg`;
+  const exNum = toNumber(exS);
+  if (exNum==null) return { webValue, result: 'mismatch', dbNorm: '', webNorm };
+  const exKg = weightToKg(exNum, dbUnit);
+  const result = classifyNumbers(exKg, webKg, { abs: tol.absKg, pct: tol.pct });
+  return { webValue, result, dbNorm: `${roundValue(exKg)} kg`, webNorm };
+}
+
+// Volumen: Web-Text (z.B. "250 cm³") und DB-Wert (in dbUnit, leer = l) in Liter vergleichen
+function compareVolume(exS, dbUnit, webText, tol){
+  const { value, unit } = parseVolume(webText);
+  const webL = volumeToLiter(value, unit);
+  if (webL==null) return null;
+  const webValue = roundValue(webL / volumeToLiter(1, dbUnit));
+  const webNorm = `${roundValue(webL)} l`;
+  const exNum = toNumber(exS);
+  if (exNum==null) return { webValue, result: 'mismatch', dbNorm: '', webNorm };
+  const exL = volumeToLiter(exNum, dbUnit);
+  const result = classifyNumbers(exL, webL, { abs: tol.absL, pct: tol.pct });
+  return { webValue, result, dbNorm: `${roundValue(exL)} l`, webNorm };
+}
+
+// Abmessung: Web-Wert (mm) und DB-Wert (in dbUnit, leer = mm) in mm vergleichen.
+// Liegt der DB-Wert in einem Web-Bereich ("10-20 mm") oder stimmen bei anyOrientation die Maße als Satz überein,
+// ist das Ergebnis 'tolerance' mit detail 'range' bzw. 'orientation'.
+function compareDimension(exVal, dbUnit, webDimText, dimType, tol, { anyOrientation, dbDims } = {}){
+  const d = parseDimensions(webDimText);
+  const webMm = d[dimType];
+  if (webMm==null) return null;
+  const webValue = roundValue(webMm / lengthToMm(1, dbUnit));
+  const range = d.ranges[dimType];
+  const webNorm = range ? `${range[0]}–${range[1]} mm` : `${webMm} mm`;
+  const exNum = toNumber(exVal);
+  if (exNum==null) return { webValue, result: 'mismatch', dbNorm: '', webNorm };
+  const exMm = lengthToMm(exNum, dbUnit);
+  let result = classifyNumbers(exMm, webMm, { abs: tol.mm });
+  let detail = null;
+  if (result === 'mismatch' && range && exMm >= range[0] - tol.mm && exMm <= range[1] + tol.mm) {
+    result = 'tolerance'; detail = 'range';
+  } else if (result === 'mismatch' && anyOrientation && sameDimensionSet(dbDims, dbUnit, d, tol)) {
+    result = 'tolerance'; detail = 'orientation';
+  }
+  return { webValue, result, dbNorm: `${roundValue(exMm)} mm`, webNorm, detail };
+}
+
+// DB-Maße (L/B/H der Zeile) und Web-Maße unabhängig von der Ausrichtung gleich?
+function sameDimensionSet(dbDims, dbUnit, webDims, tol){
+  if (!dbDims) return false;
+  const db = dimensionSet({ L: toMm(dbDims.L, dbUnit), B: toMm(dbDims.B, dbUnit), H: toMm(dbDims.H, dbUnit) });
+  const web = dimensionSet(webDims);
+  if (!db || !web) return false;
+  return db.every((v, i) => classifyNumbers(v, web[i], { abs: tol.mm }) !== 'mismatch');
+}
+function toMm(v, unit){
+  const n = toNumber(v);
+  return n==null ? null : lengthToMm(n, unit);
+}
+
+const RESULT_COLORS = { equal: 'green', tolerance: 'lime', mismatch: 'red', missing: 'orange' };
+function outcomeOf(eq){ return eq ? 'equal' : 'mismatch'; }
+function webField(v){ return (v && v !== 'Nicht gefunden') ? v : null; }
+
+// Web-Wert eines Feldes: erstes vorhandenes Feld des Scrape-Ergebnisses, sonst gleichnamiger Eintrag der technischen Daten;
+// lang = Sprachversion, aus der der Wert stammt (Scrape-Ergebnis ohne Sprachen: null)
+function webSourceOf(web, names) {
+  const langs = web.Sprachen || {};
+  for (const name of names) {
+    const v = webField(web[name]);
+    if (v) return { value: v, lang: langs.Felder?.[name] || web.Sprache || null };
+  }
+  const specs = Object.entries(web.Spezifikationen || {});
+  for (const name of names) {
+    const hit = specs.find(([k]) => normHeader(k) === normHeader(name));
+    if (hit && webField(hit[1])) return { value: hit[1], lang: langs.Spezifikationen?.[hit[0]] || web.Sprache || null };
+  }
+  return { value: null, lang: null };
+}
+
+// DB-Maße der Zeile je Achse (L/B/H) für den ausrichtungsunabhängigen Vergleich
+function dimensionsOf(valueOf) {
+  return Object.fromEntries(DIM_PAIRS.map(p => [p.axis, valueOf(p)]));
+}
+
+/**
+ * Ein DB/Web-Paar einer Zeile vergleichen (Parser und Vergleich aus der Feldzuordnung)
+ * @param {Object} pair - Eintrag aus DB_WEB_PAIRS
+ * @param {*} dbValue - DB-Zellwert
+ * @param {Object} web - Scrape-Ergebnis der A2V-Nummer
+ * @param {Object} ctx - { a2v, units, dbDims, tol }; units: DB-Einheit je Gruppe (weight, dimension, volume),
+ *   dbDims: { L, B, H } der Zeile
+ * @returns {{ webValue, webRaw, webLang, dbNorm, webNorm, score, segments, detail, status }} - status: 'equal' | 'tolerance' | 'mismatch'
+ *   | 'missing' (Web-Wert fehlt) | 'noDb' (DB-Wert fehlt) | 'empty' (beide fehlen);
+ *   score: Ähnlichkeit 0–100 beim Ähnlichkeitsvergleich (Kurztext), sonst null;
+ *   segments: segmentweiser Vergleich beim Fert./Prüfhinweis (siehe n-code.js), sonst null;
+ *   detail: bei Abmessungen 'range' (DB-Wert im Web-Bereich) oder 'orientation' (andere Ausrichtung), sonst null;
+ *   webLang: Sprachversion der Produktseite, aus der der Web-Wert stammt
+ */
+function compareField(pair, dbValue, web, { a2v, units = {}, dbDims, tol }) {
+  let webValue = null, dbNorm = '', webNorm = '', score = null, segments = null, detail = null;
+  let result = 'mismatch';
+  const fromCompare = (cmp) => { if (cmp) ({ webValue, result, dbNorm, webNorm, detail = null } = cmp); };
+  const { value: webRaw, lang: webLang } = webSourceOf(web, pair.web);
+  const dbUnit = units[pair.unit] || '';
+  const t = tol[pair.field];
+
+  switch (pair.parser) {
+    case 'text':
+      webValue = webRaw;
+      if (pair.comparator === 'similarity') { // Abkürzungen, Kürzung auf 40 Zeichen und Wortreihenfolge tolerieren
+        ({ score, dbNorm, webNorm } = textSimilarity(plainValue(dbValue) ?? '', webValue ?? ''));
+        if (webValue) result = classifyScore(score, t);
+        else score = null;
+      } else if (pair.comparator === 'material') { // gleichwertige Bezeichnungen (Synonymtabelle) gelten als Toleranz
+        if (webValue) {
+          ({ result, dbNorm, webNorm } = compareMaterials(plainValue(dbValue) ?? '', webValue));
+          if (result === 'equivalent') result = 'tolerance';
+        } else {
+          dbNorm = normText(dbValue);
+        }
+      } else {
+        dbNorm = normText(plainValue(dbValue)); webNorm = normText(webValue);
+        result = outcomeOf(dbNorm === webNorm);
+      }
+      break;
+    case 'partNumber': { // ohne Leer-/Satzzeichen; defaultToA2v: fehlende Nummer = A2V-Nummer
+      const dbPart = pair.defaultToA2v ? plainValue(dbValue) || a2v : plainValue(dbValue);
+      webValue = webRaw || (pair.defaultToA2v ? a2v : null);
+      result = outcomeOf(eqPart(dbPart, webValue));
+      dbNorm = normPartNo(dbPart); webNorm = normPartNo(webValue);
+      break;
+    }
+    case 'code': // Fert./Prüfhinweis aus der Materialklassifizierung, segmentweise
+      if (webRaw) {
+        const code = normalizeNCode(mapMaterialClassificationToExcel(webRaw));
+        if (code) {
+          webValue = code;
+          const cmp = compareNCodes(plainValue(dbValue) || '', code);
+          result = outcomeOf(cmp.equal);
+          if (pair.comparator === 'segments') segments = cmp.segments;
+        }
+        dbNorm = normalizeNCode(plainValue(dbValue)); webNorm = code;
+      }
+      break;
+    case 'weight':
+      if (webRaw) fromCompare(compareWeight(dbValue, dbUnit, webRaw, t));
+      break;
+    case 'volume':
+      if (webRaw) fromCompare(compareVolume(dbValue, dbUnit, webRaw, t));
+      break;
+    case 'dimension':
+      if (webRaw) fromCompare(compareDimension(dbValue, dbUnit, webRaw, pair.axis, t, { anyOrientation: !!tol.dimensions.anyOrientation, dbDims }));
+      break;
+  }
+
+  const hasDb = hasValue(dbValue);
+  const hasWeb = webValue !== null;
+  let status;
+  if (hasWeb) status = hasDb ? result : 'noDb';
+  else status = hasDb ? 'missing' : 'empty';
+  return { webValue, webRaw, webLang: webRaw != null ? webLang : null, dbNorm, webNorm, score, segments, detail, status };
+}
+
+// Gespeicherte Prüfentscheidung zu einer roten/orangen Zelle (reviews: ReviewStore, optional)
+function reviewOf(reviews, a2v, pair, cmp) {
+  return reviews && REVIEWABLE.has(cmp.status) ? reviews.lookup(a2v, pair.field, cmp) : null;
+}
+
+// Zell-Notiz für markierte Web-Zellen: Regel, Grund, normalisierte Werte, Scrape-Quelle und ggf. Prüfentscheidung
+function buildComparisonNote(pair, cmp, web, tol, review) {
+  const reasons = {
+    mismatch:  `Abweichung: ${pair.label} in DB und Web unterschiedlich`,
+    tolerance: pair.comparator === 'similarity' ? `Wahrscheinliche Übereinstimmung (${describeTolerance(pair, tol)})`
+      : pair.comparator === 'material' ? `Gleichwertige Werkstoffbezeichnung (${cmp.webNorm})`
+      : cmp.detail === 'orientation' ? 'Gleiche Maße, andere Ausrichtung'
+      : cmp.detail === 'range' ? `Innerhalb des Bereichs (${cmp.webNorm})`
+      : `Abweichung innerhalb Toleranz (${describeTolerance(pair, tol)})`,
+    missing:   `Kein Web-Wert für ${pair.label} gefunden`
+  };
+  const lines = [`[${pair.ruleId}] ${reasons[cmp.status]}`];
+  if (cmp.status !== 'missing') {
+    lines.push(`DB (normalisiert): ${cmp.dbNorm || '—'}`);
+    lines.push(`Web (normalisiert): ${cmp.webNorm || '—'}`);
+  }
+  if (cmp.score != null) lines.push(`Ähnlichkeit: ${cmp.score} %`);
+  if (cmp.status === 'mismatch' && cmp.segments) lines.push(`Abweichende Segmente: ${describeSegmentDiff(cmp.segments)}`);
+  if (cmp.webRaw != null && String(cmp.webRaw) !== String(cmp.webValue)) lines.push(`Web (Rohwert): ${cmp.webRaw}`);
+  if (cmp.webLang && web.Sprache && cmp.webLang !== web.Sprache) lines.push(`Web-Wert aus der Sprachversion "${cmp.webLang}" (fehlt in "${web.Sprache}")`);
+  lines.push(`Quelle: ${web.Status || 'nicht gescraped'}`);
+  if (web.URL) lines.push(`URL: ${web.URL}`);
+  if (review) {
+    const comment = review.comment ? ` – ${review.comment}` : '';
+    lines.push(`Prüfung: ${DECISIONS[review.decision]}${comment} (${review.decidedAt.slice(0, 10)})`);
+  }
+  return lines.join('\n');
+}
+
+function describeTolerance(pair, tol) {
+  const t = tol[pair.field] || {};
+  if (pair.comparator === 'similarity') return `Ähnlichkeit ≥ ${t.probable} %, exakt ab ${t.exact} %`;
+  if (pair.parser === 'weight') return `± ${t.absKg} kg / ± ${t.pct} %`;
+  if (pair.parser === 'volume') return `± ${t.absL} l / ± ${t.pct} %`;
+  return `± ${t.mm} mm`;
+}
+
+/**
+ * Toleranzen eines Uploads mit den Standardwerten zusammenführen
+ * @param {string|Object} [input] - JSON oder Objekt, z.B. { weight: { pct: 2, absKg: 0.005 }, length: { mm: 1 } }
+ * @returns {Object} - vollständige Toleranzen je Feld
+ */
+function resolveTolerances(input) {
+  let overrides = input || {};
+  if (typeof overrides === 'string') {
+    try { overrides = JSON.parse(overrides); }
+    catch {
+      const err = new Error('Ungültige Toleranz-Einstellungen (kein gültiges JSON).');
+      err.status = 400;
+      throw err;
+    }
+  }
+  const result = {};
+  for (const [field, defaults] of Object.entries(DEFAULT_TOLERANCES)) {
+    result[field] = { ...defaults };
+    for (const key of Object.keys(defaults)) {
+      let v = overrides[field]?.[key];
+      if (v == null || v === '') continue;
+      if (typeof v === 'boolean') v = Number(v);
+      const n = Number(String(v).replace(',', '.'));
+      if (!Number.isFinite(n) || n < 0) {
+        const err = new Error(`Ungültige Toleranz für ${field}.${key}: ${v}`);
+        err.status = 400;
+        throw err;
+      }
+      if (SCORE_FIELDS.has(field) && n > 100) {
+        const err = new Error(`Ungültige Schwelle für ${field}.${key}: ${v} (0–100)`);
+        err.status = 400;
+        throw err;
+      }
+      result[field][key] = n;
+    }
+  }
+  for (const field of SCORE_FIELDS) {
+    const t = result[field];
+    if (t.probable > t.exact) {
+      const err = new Error(`Ungültige Schwellen für ${field}: "wahrscheinlich" (${t.probable}) liegt über "exakt" (${t.exact})`);
+      err.status = 400;
+      throw err;
+    }
+  }
+  return result;
+}
+
+// -------- Top-Header (Zeile 1) --------
+// Blöcke der Originaltabelle in Zeile 1 (z.B. MARA-Stammdaten, Klassifizierung, Herstellerdaten): verbundene
+// Bereiche bzw. einzelne beschriftete Zellen. Wird vor dem Einfügen der Web-Spalten gelesen; die Verbindungen
+// werden gelöst, weil spliceColumns sie nicht mitverschiebt.
+function readTopHeader(ws) {
+  const blocks = new Map(); // Adresse der Masterzelle -> { start, end } (Spaltennummern)
+  ws.getRow(1).eachCell({ includeEmpty: true }, (cell) => {
+    if (!cell.isMerged && (cell.value === null || cell.value === '')) return;
+    const master = cell.isMerged ? cell.master : cell;
+    const block = blocks.get(master.address) || { start: master.col, end: master.col };
+    block.end = Math.max(block.end, cell.col);
+    blocks.set(master.address, block);
+  });
+  for (const [address, block] of blocks) {
+    if (block.end > block.start) ws.unMergeCells(address);
+  }
+  return [...blocks.values()].map(b => ({ start: getColumnLetter(b.start), end: getColumnLetter(b.end) }));
+}
+
+// Blöcke auf die neuen Spalten umrechnen: endet ein Block mit einer Vergleichsspalte, gehört deren Web-Spalte dazu
+function applyTopHeader(ws, structure, blocks) {
+  const col = (letter, side = 'dbCol') => {
+    const pair = structure.pairs.find(p => p.original === letter);
+    if (pair) return pair[side];
+    return structure.otherCols.get(letter) || letter;
+  };
+  for (const block of blocks) {
+    const start = col(block.start);
+    const end = col(block.end, 'webCol');
+    if (end !== start) ws.mergeCells(`${start}1:${end}1`);
+    const cell = ws.getCell(`${start}1`);
+    cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+  }
+}
+
+// -------- NEU: Header-Zeilen 2 & 3 pro DB/Web-Paar zusammenfassen --------
+function mergePairHeaders(ws, pairs) {
+  for (const pair of pairs) {
+    const dbCol  = pair.dbCol;   // Buchstabe, z.B. "C"
+    const webCol = pair.webCol;  // Buchstabe, z.B. "D"
+    if (!dbCol || !webCol) continue;
+
+    // Vorhandene Merges lösen (falls schon gemergt)
+    try { ws.unMergeCells(`${dbCol}2:${webCol}2`); } catch {}
+    try { ws.unMergeCells(`${dbCol}3:${webCol}3`); } catch {}
+
+    // Werte aus DB-Header holen (wir verwenden bewusst die DB-Seite als Quelle)
+    const v2 = ws.getCell(`${dbCol}2`).value; // technischer Code
+    const v3 = ws.getCell(`${dbCol}3`).value; // Klartext Spaltenname
+
+    // Merge durchführen
+    ws.mergeCells(`${dbCol}2:${webCol}2`);
+    ws.mergeCells(`${dbCol}3:${webCol}3`);
+
+    // Werte und Optik setzen (oben links der Merge-Range)
+    const top2 = ws.getCell(`${dbCol}2`);
+    const top3 = ws.getCell(`${dbCol}3`);
+    top2.value = v2;
+    top3.value = v3;
+
+    // Ausrichtung mittig
+    top2.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+    top3.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+
+    // Hintergrund/Fonts der DB-Zelle übernehmen (falls vorhanden)
+    const src2 = ws.getCell(`${dbCol}2`);
+    const src3 = ws.getCell(`${dbCol}3`);
+    if (src2.fill)  top2.fill  = src2.fill;
+    if (src2.font)  top2.font  = src2.font;
+    if (src2.border)top2.border= src2.border;
+
+    if (src3.fill)  top3.fill  = src3.fill;
+    if (src3.font)  top3.font  = src3.font;
+    if (src3.border)top3.border= src3.border;
+  }
+}
+
+// -------- Produktsuche über Herstellartikelnummer ----------
+// Zeilen ohne A2V-Nummer: die Nummer aus SEARCH_PAIR wird über die Produktsuche aufgelöst (siehe scraper.resolvePartNumber)
+const SEARCH_HEADERS = ['A2V (Suche)', 'Suchtreffer'];
+const MATCH_LABELS = { resolved: 'eindeutig', ambiguous: 'mehrdeutig', notFound: 'nicht gefunden' };
+const CONFIDENCE_LABELS = { high: 'hoch', medium: 'mittel' };
+
+function matchColor(res) {
+  if (res.status === 'resolved') return res.confidence === 'high' ? 'green' : 'lime';
+  return res.status === 'ambiguous' ? 'orange' : 'red';
+}
+
+// Kurzform für die Zelle, z.B. "eindeutig (Konfidenz hoch)" oder "mehrdeutig: A2V…, A2V…"
+function matchText(res) {
+  const label = MATCH_LABELS[res.status];
+  if (res.status === 'resolved') return `${label} (Konfidenz ${CONFIDENCE_LABELS[res.confidence]})`;
+  if (res.status === 'ambiguous') return `${label}: ${res.candidates.filter(c => c.match).map(c => c.a2v).join(', ')}`;
+  return label;
+}
+
+// Notiz mit allen geprüften Treffern
+function matchNote(res) {
+  const lines = [`Produktsuche nach "${res.partNo}": ${res.candidates.length} Treffer`];
+  for (const c of res.candidates) {
+    const found = c.match === null ? 'Seite nicht abrufbar' : `Artikelnummer ${c.partNo || '–'}${c.match ? ' ✓' : ''}`;
+    lines.push(`${c.a2v}${c.title ? ` ${c.title}` : ''} – ${found}`);
+  }
+  if (res.error) lines.push(`Suche fehlgeschlagen: ${res.error}`);
+  if (res.status === 'resolved' && res.confidence === 'medium') lines.push('Nicht alle Treffer konnten geprüft werden.');
+  return lines.join('\n');
+}
+
+// Suchergebnis für JSON-Zeilen
+function matchSummary(res) {
+  return {
+    partNo: res.partNo,
+    a2v: res.a2v,
+    status: res.status,
+    label: MATCH_LABELS[res.status],
+    confidence: res.confidence,
+    candidates: res.candidates,
+    ...(res.error && { error: res.error })
+  };
+}
+
+// Herstellartikelnummern auflösen (Phase "searching"); Map partNoKey -> Ergebnis
+async function resolveSearchRows(scraper, searches, concurrency, progress) {
+  if (!searches.length) return new Map();
+  progress({ phase: 'searching', done: 0, total: new Set(searches.map(searchKeyOfTask)).size, failed: 0 });
+  return scraper.resolvePartNumbers(searches, concurrency, (p) => progress({ phase: 'searching', ...p }));
+}
+
+// Produktseiten scrapen (Phase "scraping"); Map Produkt-ID -> Ergebnis
+async function scrapeTasks(scraper, tasks, concurrency, progress) {
+  progress({ phase: 'scraping', done: 0, total: new Set(tasks.map(taskId)).size, failed: 0 });
+  return scraper.scrapeMany(tasks, concurrency, (p) => progress({ phase: 'scraping', ...p }));
+}
+
+// -------- Anbieter-Zuordnung ----------
+// Jede Zeile gehört über das Präfix ihrer Produkt-ID oder die Lieferantenspalte zu einem Anbieter (providers.js);
+// Zeilen ohne passende ID werden über die Herstellartikelnummer in der Produktsuche ihres Anbieters aufgelöst.
+const registryOf = (scraper) => scraper?.registry || loadDefaultProviders();
+
+/**
+ * Auftrag einer Zeile für den Scraper
+ * @returns {{ scrape?: string|Object, search?: string|Object }|null} - Eintrag für scraper.scrapeMany bzw.
+ *   scraper.resolvePartNumbers; null = weder zuordenbare Produkt-ID noch Herstellartikelnummer
+ */
+function routeRow(registry, { id, supplier, partNo }) {
+  const provider = registry.route(id, supplier);
+  if (provider) return { scrape: scrapeTask(registry, id, provider) };
+  const searchProvider = normPartNo(partNo) ? registry.searchProvider(supplier) : null;
+  if (!searchProvider) return null;
+  const search = String(partNo).trim();
+  return { search: searchProvider === registry.searchProvider() ? search : { partNo: search, provider: searchProvider.id } };
+}
+
+// Anbieter nur mitgeben, wenn das ID-Präfix allein zu einem anderen führt
+function scrapeTask(registry, id, provider) {
+  return provider === registry.route(id) ? id : { id, provider: provider.id };
+}
+
+const searchKeyOfTask = (search) => typeof search === 'string' ? partNoKey(search) : partNoKey(search.partNo, search.provider);
+
+// Suchergebnis einer Zeile und der Scrape-Auftrag für den eindeutigen Treffer (null, wenn keiner)
+function searchOutcome(registry, matches, search) {
+  const res = matches.get(searchKeyOfTask(search));
+  const provider = typeof search === 'string' ? registry.searchProvider() : registry.get(search.provider);
+  return { res, scrape: res?.a2v ? scrapeTask(registry, res.a2v, provider) : null };
+}
+
+const taskId = (task) => typeof task === 'string' ? task : task.id;
+
+// Spalten "A2V (Suche)" und "Suchtreffer" rechts an das Blatt anhängen und je gesuchter Zeile füllen
+function writeSearchColumns(ws, searched) {
+  const first = ws.columnCount + 1;
+  SEARCH_HEADERS.forEach((header, i) => {
+    const col = getColumnLetter(first + i);
+    ws.getCell(`${col}${HEADER_ROW}`).value = header;
+    ws.getCell(`${col}${HEADER_ROW}`).font = { bold: true };
+    ws.getCell(`${col}${LABEL_ROW}`).value = 'Web-Wert';
+    applyLabelCellFormatting(ws, `${col}${LABEL_ROW}`, true);
+    ws.getColumn(first + i).width = i === 0 ? 18 : 30;
+  });
+  const a2vCol = getColumnLetter(first);
+  const matchCol = getColumnLetter(first + 1);
+  for (const { row, res } of searched) {
+    ws.getCell(`${a2vCol}${row}`).value = res.a2v;
+    ws.getCell(`${matchCol}${row}`).value = matchText(res);
+    ws.getCell(`${matchCol}${row}`).note = matchNote(res);
+    fillColor(ws, `${matchCol}${row}`, matchColor(res));
+    if (res.a2v) fillColor(ws, `${a2vCol}${row}`, matchColor(res));
+  }
+}
+
+/**
+ * Web-Vergleich: A2V-Nummern scrapen, DB/Web-Spaltenpaare einfügen und vergleichen
+ * @param {Buffer|ExcelJS.Workbook|Object} input - Excel file buffer, Workbook oder Ergebnis von prepareWebComparison()
+ * @param {Object} options
+ * @param {ProductScraper} options.scraper - Scraper-Instanz
+ * @param {number} [options.concurrency=4] - parallele Scrapes
+ * @param {Function} [options.onProgress] - Callback mit { phase, done, total, failed }
+ * @param {Object} [options.tolerances] - Toleranzen je Feld (siehe resolveTolerances)
+ * @param {ReviewStore} [options.reviews] - gespeicherte Prüfentscheidungen (Notizen und Statistik)
+ * @param {Object} [options.scraped] - scraped aus einem früheren Lauf: Ergebnis ohne erneutes Suchen und Scrapen neu aufbauen
+ *   (z.B. mit geänderten Prüfentscheidungen); input muss dann wieder die unveränderte Eingabe sein
+ * @returns {Promise<{buffer: Buffer, stats: Object, review: Object[], scraped: Object}>} - Ergebnis-Workbook, Statistik
+ *   (siehe statistics.js), alle roten/orangen Zellen für die Prüfansicht und die Such-/Scrape-Ergebnisse
+ */
+async function processWebComparison(input, { scraper, concurrency = 4, onProgress, tolerances, reviews, scraped } = {}) {
+  const progress = (p) => { if (onProgress) onProgress(p); };
+  const tol = resolveTolerances(tolerances);
+
+  const { wb, layouts } = input.layouts ? input : await prepareWebComparison(input);
+
+  // 1) Produkt-IDs aus der erkannten A2V-Spalte einsammeln und je Zeile einem Anbieter zuordnen, bevor wir umbauen;
+  //    Zeilen ohne zuordenbare ID merken wir mit ihrer Herstellartikelnummer für die Produktsuche
+  const registry = registryOf(scraper);
+  const tasks = [];
+  const searches = [];
+  const rowsPerSheet = new Map(); // ws -> [{ row, search }]
+  for (const [ws, layout] of layouts) {
+    const entries = [];
+    const searchCol = SEARCH_PAIR && layout.pairs.find(p => p.field === SEARCH_PAIR.field)?.original;
+    const textAt = (col, r) => col ? String(plainValue(ws.getCell(`${col}${r}`).value) ?? '').trim() : '';
+    const last = ws.lastRow?.number || 0;
+    for (let r = FIRST_DATA_ROW - 1; r <= last; r++) { // -1, weil wir gleich eine Zeile 4 einfügen
+      const route = routeRow(registry, {
+        id: textAt(layout.a2vCol, r).toUpperCase(),
+        supplier: textAt(layout.supplierCol, r),
+        partNo: textAt(searchCol, r)
+      });
+      if (route?.scrape) { entries.push({ row: r, search: null }); tasks.push(route.scrape); }
+      else if (route) { entries.push({ row: r, search: route.search }); searches.push(route.search); }
+    }
+    rowsPerSheet.set(ws, entries);
+  }
+
+  // 2) Herstellartikelnummern auflösen, dann scrapen (die Treffer sind danach bereits im Cache)
+  const matches = scraped ? scraped.matches : await resolveSearchRows(scraper, searches, concurrency, progress);
+  for (const search of searches) {
+    const { scrape } = searchOutcome(registry, matches, search);
+    if (scrape) tasks.push(scrape);
+  }
+  const resultsMap = scraped ? scraped.results : await scrapeTasks(scraper, tasks, concurrency, progress);
+
+  // 3) Umbau pro Worksheet
+  progress({ phase: 'building' });
+  const stats = new WebComparisonStats();
+  const reviewItems = [];
+  for (const [ws, layout] of layouts) {
+    // 3.1 Spaltenstruktur berechnen
+    const structure = calculateNewColumnStructure(ws, layout);
+    const topHeader = readTopHeader(ws);
+
+    // 3.2 Spalten einfügen (von rechts nach links)
+    for (const pair of [...structure.pairs].reverse()) {
+      const insertPos = getColumnIndex(pair.original) + 1; // rechts neben der Originalspalte
+      ws.spliceColumns(insertPos, 0, [null]);
+    }
+
+    // 3.3 Zeile 4 (Labels) einfügen
+    ws.spliceRows(LABEL_ROW, 0, [null]);
+
+    // 3.4 Zeilen 2 & 3 Inhalte in Web-Spalten spiegeln + Labels schreiben
+    for (const pair of structure.pairs) {
+      // Inhalte 2/3 spiegeln
+      const dbTech = ws.getCell(`${pair.dbCol}2`).value;
+      const dbName = ws.getCell(`${pair.dbCol}3`).value;
+      ws.getCell(`${pair.webCol}2`).value = dbTech;
+      ws.getCell(`${pair.webCol}3`).value = dbName;
+      copyColumnFormatting(ws, pair.dbCol, pair.webCol, 1, 3);
+
+      // Labels Zeile 4
+      ws.getCell(`${pair.dbCol}${LABEL_ROW}`).value  = 'DB-Wert';
+      ws.getCell(`${pair.webCol}${LABEL_ROW}`).value = 'Web-Wert';
+      applyLabelCellFormatting(ws, `${pair.dbCol}${LABEL_ROW}`, false);
+      applyLabelCellFormatting(ws, `${pair.webCol}${LABEL_ROW}`, true);
+    }
+
+    // 3.5 Top-Header (Zeile 1) setzen
+    applyTopHeader(ws, structure, topHeader);
+
+    // 3.6 NEU: Header in Zeile 2 und 3 pro Paar zusammenfassen (C2:D2, C3:D3, F2:G2, F3:G3, ...)
+    mergePairHeaders(ws, structure.pairs);
+
+    // 3.7 Web-Daten eintragen / vergleichen
+    const prodRows = rowsPerSheet.get(ws) || [];
+    const searched = [];
+    for (const { row: originalRow, search } of prodRows) {
+      const currentRow = originalRow + 1; // wegen eingefügter Label-Zeile
+
+      // neue Z-Spalte (A2V) bestimmen; ohne A2V-Nummer das Ergebnis der Produktsuche
+      const zCol = structure.otherCols.get(layout.a2vCol) || layout.a2vCol;
+      let a2v = normA2V(ws.getCell(`${zCol}${currentRow}`).value);
+      if (search) {
+        const { res } = searchOutcome(registry, matches, search);
+        searched.push({ row: currentRow, res });
+        if (!res.a2v) continue;
+        a2v = res.a2v;
+      }
+      const web = resultsMap.get(a2v) || {};
+      const unitOf = (col) => col ? String(plainValue(ws.getCell(`${structure.otherCols.get(col) || col}${currentRow}`).value) ?? '').trim() : '';
+      const units = Object.fromEntries(Object.entries(layout.units).map(([group, col]) => [group, unitOf(col)]));
+      const dbDims = dimensionsOf(p => {
+        const pair = structure.pairs.find(sp => sp.field === p.field);
+        return pair ? plainValue(ws.getCell(`${pair.dbCol}${currentRow}`).value) : null;
+      });
+      stats.addRow(ws.name);
+
+      // je Paar
+      for (const pair of structure.pairs) {
+        const dbValue = ws.getCell(`${pair.dbCol}${currentRow}`).value;
+        const cmp = compareField(pair, dbValue, web, { a2v, units, dbDims, tol });
+        const webAddr = `${pair.webCol}${currentRow}`;
+
+        // Web-Wert eintragen; markiert wird nur, wenn ein DB-Wert vorhanden ist
+        if (cmp.webValue !== null) {
+          ws.getCell(webAddr).value = cmp.status === 'mismatch' && cmp.segments ? segmentRichText(cmp.segments) : cmp.webValue;
+        }
+        const review = reviewOf(reviews, a2v, pair, cmp);
+        stats.record(ws.name, pair, cmp, review);
+        if (cmp.status === 'noDb' || cmp.status === 'empty') continue;
+
+        fillColor(ws, webAddr, RESULT_COLORS[cmp.status]);
+        if (cmp.status !== 'equal') ws.getCell(webAddr).note = buildComparisonNote(pair, cmp, web, tol, review);
+        if (REVIEWABLE.has(cmp.status)) {
+          reviewItems.push({
+            sheet: ws.name,
+            row: originalRow,
+            a2v,
+            field: pair.field,
+            label: pair.label,
+            ruleId: pair.ruleId,
+            status: cmp.status,
+            dbValue: plainValue(dbValue),
+            webValue: cmp.webValue,
+            dbNorm: cmp.dbNorm,
+            webNorm: cmp.webNorm,
+            url: web.URL || null,
+            review
+          });
+        }
+      }
+    }
+    if (searched.length) writeSearchColumns(ws, searched);
+  }
+
+  addWebSummarySheet(wb, stats);
+  addWebDataSheet(wb, resultsMap, scraper);
+
+  progress({ phase: 'writing' });
+  return { buffer: await wb.xlsx.writeBuffer(), stats: stats.toJSON(), review: reviewItems, scraped: { matches, results: resultsMap } };
+}
+
+// -------- Blatt "Webdaten" ----------
+const WEB_DATA_SHEET = 'Webdaten';
+const FILL_HEADER = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F3FF' } };
+
+// Aus anderen Sprachversionen ergänzte Werte, z.B. "en: Abmessung, Oberfläche" (Felder und Spezifikationsschlüssel)
+function supplementedLanguages(web) {
+  if (!web.Sprachen) return null;
+  const byLang = new Map();
+  for (const [name, lang] of [...Object.entries(web.Sprachen.Felder || {}), ...Object.entries(web.Sprachen.Spezifikationen || {})]) {
+    if (lang === web.Sprache) continue;
+    if (!byLang.has(lang)) byLang.set(lang, []);
+    if (!byLang.get(lang).includes(name)) byLang.get(lang).push(name);
+  }
+  return [...byLang].map(([lang, names]) => `${lang}: ${names.join(', ')}`).join('; ') || null;
+}
+
+// Alle gescrapten technischen Daten: eine Zeile je A2V-Nummer, eine Spalte je gefundenem Spezifikationsschlüssel
+function addWebDataSheet(wb, resultsMap, scraper) {
+  const existing = wb.getWorksheet(WEB_DATA_SHEET);
+  if (existing) wb.removeWorksheet(existing.id);
+  const ws = wb.addWorksheet(WEB_DATA_SHEET, { views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }] });
+
+  const keys = [];
+  for (const web of resultsMap.values()) {
+    for (const key of Object.keys(web.Spezifikationen || {})) if (!keys.includes(key)) keys.push(key);
+  }
+  const headers = ['A2V', 'Produkttitel', ...keys, 'Ergänzt (Sprache)', 'URL', 'Quelle', 'Wiederholungen', 'Gescraped'];
+  ws.columns = headers.map((h, i) => ({ header: h, width: i === 0 ? 18 : i === 1 ? 36 : 22 }));
+  ws.getRow(1).eachCell(c => { c.font = { bold: true }; c.fill = FILL_HEADER; });
+
+  for (const [a2v, web] of resultsMap) {
+    const meta = scrapeMetadata(scraper, a2v, web);
+    const specs = web.Spezifikationen || {};
+    ws.addRow([a2v, webField(web.Produkttitel), ...keys.map(k => specs[k] ?? null), supplementedLanguages(web), meta.url, meta.status, meta.retries,
+      meta.scrapedAt ? new Date(meta.scrapedAt) : null]);
+  }
+  ws.getColumn(headers.length).numFmt = 'dd.mm.yyyy hh:mm';
+  ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: headers.length } };
+  return ws;
+}
+
+// -------- Strukturierte Ergebnisse (JSON) ----------
+
+// Spaltennamen/Schlüssel einer JSON-Zeile -> Ziel (a2v, Feld aus DB_WEB_PAIRS, Einheit)
+const JSON_ROW_KEYS = new Map([
+  ...[...A2V_HEADERS, 'a2v'].map(h => [normHeader(h), 'a2v']),
+  ...[...SUPPLIER_HEADERS, 'supplier'].map(h => [normHeader(h), 'supplier']),
+  ...DB_WEB_PAIRS.flatMap(p => [...p.headers, p.field].map(h => [normHeader(h), p.field])),
+  ...Object.entries(UNIT_COLUMNS).flatMap(([group, def]) => [...def.headers, def.key].map(h => [normHeader(h), `unit:${group}`]))
+]);
+
+function normA2V(v) {
+  return String(plainValue(v) ?? '').trim().toUpperCase();
+}
+
+// Nummer für die Produktsuche einer Zeile (leer, wenn keine vorhanden)
+function searchKeyOf(values) {
+  return SEARCH_PAIR ? String(plainValue(values[SEARCH_PAIR.field]) ?? '').trim() : '';
+}
+
+/**
+ * Datenzeilen aus den erkannten Worksheets lesen (Workbook unverändert, Daten ab Zeile 4)
+ * Zeilen ohne zuordenbare Produkt-ID werden nur übernommen, wenn sie eine Nummer für die Produktsuche haben.
+ * @param {Map} layouts - Ergebnis von prepareWebComparison()
+ * @param {ProviderRegistry} registry - Anbieter-Zuordnung
+ * @returns {Object[]} - { sheet, row, a2v, supplier, values: { field: Zellwert }, units: { Gruppe: DB-Einheit } }
+ */
+function readWorkbookRows(layouts, registry) {
+  const rows = [];
+  for (const [ws, layout] of layouts) {
+    const unitAt = (col, r) => col ? String(plainValue(ws.getCell(`${col}${r}`).value) ?? '').trim() : '';
+    const last = ws.lastRow?.number || 0;
+    for (let r = HEADER_ROW + 1; r <= last; r++) {
+      const a2v = normA2V(ws.getCell(`${layout.a2vCol}${r}`).value);
+      const supplier = unitAt(layout.supplierCol, r);
+      const values = {};
+      for (const pair of layout.pairs) values[pair.field] = ws.getCell(`${pair.original}${r}`).value;
+      if (!routeRow(registry, { id: a2v, supplier, partNo: searchKeyOf(values) })) continue;
+      const units = Object.fromEntries(Object.entries(layout.units).map(([group, col]) => [group, unitAt(col, r)]));
+      rows.push({ sheet: ws.name, row: r, a2v, supplier, values, units });
+    }
+  }
+  return rows;
+}
+
+/**
+ * JSON-Zeilen in dieselbe Form wie readWorkbookRows() bringen.
+ * Schlüssel sind Spaltenüberschriften (inkl. Aliasse, z.B. "Produkt-ID", "Länge") oder Feldnamen ("a2v", "length").
+ */
+function readJsonRows(list) {
+  if (!Array.isArray(list) || !list.length) {
+    const err = new Error('Bitte eine Liste von Zeilen übergeben (rows).');
+    err.status = 400;
+    throw err;
+  }
+  return list.map((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      const err = new Error(`Zeile ${i + 1}: Objekt erwartet.`);
+      err.status = 400;
+      throw err;
+    }
+    const out = { sheet: null, row: i + 1, a2v: '', supplier: '', values: {}, units: {} };
+    for (const [key, value] of Object.entries(item)) {
+      const target = JSON_ROW_KEYS.get(normHeader(key));
+      if (target === 'a2v') out.a2v = normA2V(value);
+      else if (target === 'supplier') out.supplier = String(plainValue(value) ?? '').trim();
+      else if (target?.startsWith('unit:')) out.units[target.slice(5)] = String(value ?? '').trim();
+      else if (target) out.values[target] = value;
+    }
+    return out;
+  });
+}
+
+// Scrape-Metadaten einer A2V-Nummer (Quelle, URL, Cache-Zeitstempel, Sprachversionen der Werte)
+function scrapeMetadata(scraper, a2v, web) {
+  const cached = scraper.cache?.describe?.(a2v, { provider: web.Anbieter });
+  return {
+    status: web.Status || null,
+    provider: web.Anbieter || null,
+    url: web.URL || null,
+    scrapedAt: cached?.scrapedAt || null,
+    failed: String(web.Status || '').startsWith('Fehler'),
+    retries: web.Wiederholungen ?? 0,
+    language: web.Sprache || null,
+    languages: web.Sprachen || null,
+    specifications: web.Spezifikationen || {}
+  };
+}
+
+// Alle übergebenen Felder einer Zeile vergleichen; onResult (optional) erhält (pair, cmp, review) z.B. für die Statistik
+function compareRowFields(r, web, { tol, reviews, onResult }) {
+  const fields = [];
+  const dbDims = dimensionsOf(p => plainValue(r.values[p.field]));
+  for (const pair of DB_WEB_PAIRS) {
+    if (!(pair.field in r.values)) continue;
+    const dbValue = r.values[pair.field];
+    const cmp = compareField(pair, dbValue, web, { a2v: r.a2v, units: r.units, dbDims, tol });
+    const review = reviewOf(reviews, r.a2v, pair, cmp);
+    if (onResult) onResult(pair, cmp, review);
+    fields.push({
+      field: pair.field,
+      label: pair.label,
+      ruleId: pair.ruleId,
+      dbValue: plainValue(dbValue),
+      webRaw: cmp.webRaw,
+      webValue: cmp.webValue,
+      webLanguage: cmp.webLang,
+      dbNorm: cmp.dbNorm,
+      webNorm: cmp.webNorm,
+      score: cmp.score,
+      segments: cmp.segments,
+      detail: cmp.detail,
+      status: cmp.status,
+      review
+    });
+  }
+  return fields;
+}
+
+/**
+ * Web-Vergleich ohne Excel-Ausgabe: je Zeile und Feld DB-Wert, Web-Rohwert, normalisierte Werte und Ergebnis
+ * @param {Buffer|ExcelJS.Workbook|Object|Object[]} input - Excel file buffer, Workbook, Ergebnis von prepareWebComparison()
+ *   oder Liste von JSON-Zeilen
+ * @param {Object} options - wie processWebComparison (scraper, concurrency, onProgress, tolerances, reviews, scraped)
+ * @returns {Promise<{rows: Object[], stats: Object, tolerances: Object, scraped: Object}>}
+ */
+async function compareRows(input, { scraper, concurrency = 4, onProgress, tolerances, reviews, scraped } = {}) {
+  const progress = (p) => { if (onProgress) onProgress(p); };
+  const tol = resolveTolerances(tolerances);
+  const registry = registryOf(scraper);
+  let rows;
+  if (Buffer.isBuffer(input) || input instanceof ExcelJS.Workbook) rows = readWorkbookRows((await prepareWebComparison(input)).layouts, registry);
+  else if (input?.layouts) rows = readWorkbookRows(input.layouts, registry);
+  else rows = readJsonRows(input);
+
+  const routes = rows.map(r => routeRow(registry, { id: r.a2v, supplier: r.supplier, partNo: searchKeyOf(r.values) }));
+  const searches = routes.filter(route => route?.search).map(route => route.search);
+  const matches = scraped ? scraped.matches : await resolveSearchRows(scraper, searches, concurrency, progress);
+  const outcomes = routes.map(route => route?.search ? searchOutcome(registry, matches, route.search) : null);
+  const tasks = [...routes.map(route => route?.scrape), ...outcomes.map(o => o?.scrape)].filter(Boolean);
+  const resultsMap = scraped ? scraped.results : await scrapeTasks(scraper, tasks, concurrency, progress);
+
+  progress({ phase: 'building' });
+  const stats = new WebComparisonStats();
+  const out = rows.map((r, i) => {
+    const base = { sheet: r.sheet, row: r.row, a2v: r.a2v || null };
+    let a2v = r.a2v;
+    if (!routes[i]?.scrape) {
+      if (!outcomes[i]) return { ...base, skipped: 'Keine gültige A2V-Nummer', scrape: null, fields: [] };
+      const { res } = outcomes[i];
+      base.search = matchSummary(res);
+      if (!res.a2v) return { ...base, skipped: `Herstellartikelnummer ${MATCH_LABELS[res.status]}`, scrape: null, fields: [] };
+      a2v = base.a2v = res.a2v;
+    }
+
+    const web = resultsMap.get(a2v) || {};
+    stats.addRow(r.sheet || 'JSON');
+    const fields = compareRowFields({ ...r, a2v }, web, { tol, reviews, onResult: (pair, cmp, review) => stats.record(r.sheet || 'JSON', pair, cmp, review) });
+    return { ...base, scrape: scrapeMetadata(scraper, a2v, web), fields };
+  });
+
+  return { rows: out, stats: stats.toJSON(), tolerances: tol, scraped: { matches, results: resultsMap } };
+}
+
+/**
+ * Prüfliste aus dem Ergebnis von compareRows – dieselben Einträge wie processWebComparison für die Excel-Ausgabe
+ * @param {{ rows: Object[] }} result - Ergebnis von compareRows
+ * @returns {Object[]} - je roter/oranger Zelle Blatt, Zeile, A2V-Nummer, Feld, Werte, URL und gespeicherte Entscheidung
+ */
+function reviewItemsOf({ rows }) {
+  return rows.flatMap(r => r.fields.filter(f => REVIEWABLE.has(f.status)).map(f => ({
+    sheet: r.sheet || null,
+    row: r.row,
+    a2v: r.a2v,
+    field: f.field,
+    label: f.label,
+    ruleId: f.ruleId,
+    status: f.status,
+    dbValue: f.dbValue,
+    webValue: f.webValue,
+    dbNorm: f.dbNorm,
+    webNorm: f.webNorm,
+    url: r.scrape?.url || null,
+    review: f.review
+  })));
+}
+
+// Gemappte Felder des Scrapers, die die Produktsuche zurückgibt
+const PRODUCT_FIELDS = ['Produkttitel', 'Weitere Artikelnummer', 'Gewicht', 'Abmessung', 'Werkstoff', 'Materialklassifizierung'];
+
+/**
+ * Einzelnes Produkt nachschlagen: gemappte Felder, geparste Werte und optional Vergleich mit DB-Werten
+ * @param {string} a2v - Produkt-ID oder Herstellartikelnummer (wird über die Produktsuche aufgelöst, Ergebnis unter search)
+ * @param {Object} options
+ * @param {ProductScraper} options.scraper - Scraper-Instanz
+ * @param {boolean} [options.refresh] - Cache ignorieren und neu scrapen
+ * @param {Object} [options.dbValues] - DB-Werte wie bei JSON-Zeilen (z.B. { Nettogewicht: 0.16, Gewichtseinheit: 'KG' });
+ *   ein Lieferant (z.B. { Hersteller: 'Siemens' }) bestimmt den Anbieter
+ * @param {Object} [options.tolerances] - Toleranzen je Feld (siehe resolveTolerances)
+ * @param {ReviewStore} [options.reviews] - gespeicherte Prüfentscheidungen, erscheinen je Feld unter review
+ */
+async function lookupProduct(a2v, { scraper, refresh = false, dbValues, tolerances, reviews } = {}) {
+  const registry = registryOf(scraper);
+  const { supplier } = readJsonRows([{ ...(dbValues || {}) }])[0];
+  let key = normA2V(a2v);
+  let provider = registry.route(key, supplier);
+  let search;
+  if (!provider) {
+    // keine Produkt-ID eines Anbieters: als Herstellartikelnummer über die Produktsuche auflösen
+    provider = registry.searchProvider(supplier);
+    if (!normPartNo(a2v) || !provider) {
+      const err = new Error(normPartNo(a2v)
+        ? `Keine Produkt-ID und keine Produktsuche für Lieferant "${supplier}".`
+        : 'Bitte eine A2V-Nummer oder Herstellartikelnummer angeben.');
+      err.status = 400;
+      throw err;
+    }
+    search = matchSummary(await scraper.resolvePartNumber(a2v, { provider: provider.id }));
+    if (!search.a2v) {
+      const err = new Error(`Herstellartikelnummer "${search.partNo}": ${matchText(search)}`);
+      err.status = 404;
+      throw err;
+    }
+    key = search.a2v;
+  }
+  const tol = resolveTolerances(tolerances);
+  const web = await scraper.scrapeOne(key, { refresh, provider: provider.id });
+
+  const fields = Object.fromEntries(PRODUCT_FIELDS.map(f => [f, webField(web[f])]));
+  const weight = parseWeight(fields.Gewicht);
+  const parsed = {
+    weight: fields.Gewicht ? { ...weight, kg: roundValue(weightToKg(weight.value, weight.unit)) } : null,
+    dimensions: fields.Abmessung ? parseDimensions(fields.Abmessung) : null,
+    nCode: fields.Materialklassifizierung ? normalizeNCode(mapMaterialClassificationToExcel(fields.Materialklassifizierung)) || null : null
+  };
+
+  const row = readJsonRows([{ ...(dbValues || {}), a2v: key }])[0];
+  const comparison = Object.keys(row.values).length ? compareRowFields(row, web, { tol, reviews }) : [];
+
+  return { a2v: key, ...(search && { search }), scrape: scrapeMetadata(scraper, key, web), fields, parsed, comparison };
+}
+
+module.exports = {
+  WEB_DATA_SHEET,
+  SEARCH_HEADERS,
+  matchText,
+  DEFAULT_TOLERANCES,
+  resolveTolerances,
+  prepareWebComparison,
+  processWebComparison,
+  compareRows,
+  reviewItemsOf,
+  lookupProduct
+};